@@ -1,23 +1,48 @@
 /**
  * Model Metadata Aggregation System
- * Aggregates model information from multiple sources for quarterly updates
+ * Aggregates model information from multiple sources for quarterly updates.
+ * Sources are adapters (see SourceAdapters.js); their models share one tiering and merge pipeline
  */
 
 import { readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { CURRENT_METHODOLOGY_VERSION, getMethodology } from '../environmental/MethodologyRegistry.js';
+import { createSourceAdapter } from './SourceAdapters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * model-index metric types that count as accuracy, lowercased
+ */
+export const ACCURACY_METRIC_TYPES = ['accuracy', 'acc', 'acc_norm', 'top1_accuracy'];
+
+/**
+ * Where a model's accuracy came from (its accuracySource field)
+ * - model-index: benchmark results on the model card
+ * - leaderboard: a leaderboard score whose column is an accuracy metric
+ * - curated: entered by hand, in models.json or a catalog file
+ */
+export const ACCURACY_SOURCES = ['model-index', 'leaderboard', 'curated'];
+
 export class ModelAggregator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.huggingFaceToken] - Hugging Face API token (default: HF_TOKEN)
+   * @param {string} [options.dataPath] - Directory with models.json and tasks.json
+   * @param {Array<string|Object>} [options.sources] - Source names (see SOURCE_ADAPTERS) or adapter
+   *   objects, in priority order (default: ['huggingface'])
+   * @param {Object} [options.sourceOptions] - Options per source name, e.g. { catalog: { path } }
+   */
   constructor(options = {}) {
     this.huggingFaceToken = options.huggingFaceToken || process.env.HF_TOKEN;
     this.dataPath = options.dataPath || join(__dirname, '../data');
-    this.sources = {
-      huggingface: true,
-      papersWithCode: options.includePapersWithCode || false
-    };
+    this.sources = (options.sources || ['huggingface']).map(source =>
+      typeof source === 'string'
+        ? createSourceAdapter(source, this, options.sourceOptions?.[source])
+        : source
+    );
     
     // Load current data
     this.currentModels = this.loadCurrentModels();
@@ -75,15 +100,23 @@ export class ModelAggregator {
     };
 
     try {
-      // Step 1: Fetch models from Hugging Face
-      console.log('📡 Fetching models from Hugging Face Hub...');
-      const hfModels = await this.fetchHuggingFaceModels(config.categories);
-      console.log(`   Found ${hfModels.length} potential models\n`);
+      // Steps 1-2: Fetch, process and categorize models from each source
+      const sourceModels = [];
+      for (const source of this.sources) {
+        console.log(`📡 Fetching models from ${source.label || source.name}...`);
+        const records = await source.fetch(config.categories);
+        this.stats.processed += records.length;
+        console.log(`   Found ${records.length} potential models\n`);
+
+        console.log('🔄 Processing and categorizing models...');
+        const models = await this.processModels(records, source);
+        console.log(`   Processed ${models.length} models\n`);
+        sourceModels.push(...models);
+      }
 
-      // Step 2: Process and categorize models
-      console.log('🔄 Processing and categorizing models...');
-      const processedModels = await this.processModels(hfModels, config);
-      console.log(`   Processed ${processedModels.length} models\n`);
+      // A model found by several sources keeps the entry from the first one listed.
+      // Subcategories sharing a pipeline tag each keep their own copy.
+      const processedModels = this.deduplicatePerSubcategory(sourceModels);
 
       // Step 3: Organize into tiers
       console.log('📊 Organizing models into performance tiers...');
@@ -123,91 +156,25 @@ export class ModelAggregator {
   }
 
   /**
-   * Fetch models from Hugging Face Hub API
+   * Normalize a source's raw records into our standardized format
+   * Each model records where it came from in `source`
+   * @param {Array<Object>} records - Records from source.fetch
+   * @param {Object} source - Source adapter (see SourceAdapters.js)
+   * @returns {Promise<Array<Object>>} Valid processed models
    */
-  async fetchHuggingFaceModels(categories) {
-    const allModels = [];
-
-    for (const category of categories) {
-      try {
-        console.log(`   Fetching ${category.task} models...`);
-
-        const url = new URL('https://huggingface.co/api/models');
-        // Use pipeline_tag instead of filter for newer API
-        url.searchParams.set('pipeline_tag', category.task);
-        url.searchParams.set('sort', 'downloads');
-        url.searchParams.set('direction', '-1'); // Descending
-        url.searchParams.set('limit', '50'); // Fetch more to get diverse model sizes
-        url.searchParams.set('full', 'true'); // Get full model info including safetensors
-
-        const headers = {};
-        if (this.huggingFaceToken) {
-          headers['Authorization'] = `Bearer ${this.huggingFaceToken}`;
-        }
-
-        const response = await fetch(url, { headers });
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        const models = await response.json();
-
-        console.log(`   Found ${models.length} ${category.task} models`);
-
-        // Add category information to each model
-        const categorizedModels = models.map(model => ({
-          ...model,
-          sourceCategory: category.category,
-          sourceSubcategory: category.subcategory,
-          sourceTask: category.task
-        }));
-
-        allModels.push(...categorizedModels);
-        this.stats.processed += models.length;
-
-        // Rate limiting - be more conservative
-        await this.sleep(500);
-
-      } catch (error) {
-        console.warn(`   ⚠️ Failed to fetch ${category.task}: ${error.message}`);
-        this.stats.errors++;
-      }
-    }
-
-    return allModels;
-  }
-
-  /**
-   * Process raw models into our standardized format
-   */
-  async processModels(rawModels, config) {
+  async processModels(records, source) {
     const processed = [];
 
-    for (const rawModel of rawModels) {
+    for (const record of records) {
       try {
-        // Skip models without sufficient metadata
-        if (!rawModel.id || !rawModel.downloads) {
-          continue;
-        }
-
-        // Skip test/mock/internal models
-        if (this.isExcludedModel(rawModel.id)) {
-          continue;
-        }
-
-        // Get detailed model info
-        const modelInfo = await this.getDetailedModelInfo(rawModel.id);
-        
-        // Extract and validate metadata
-        const processedModel = await this.extractModelMetadata(rawModel, modelInfo);
+        const processedModel = await source.normalize(record);
         
         if (processedModel && this.validateModelData(processedModel)) {
-          processed.push(processedModel);
+          processed.push({ ...processedModel, source: source.provenance(record) });
         }
 
       } catch (error) {
-        console.warn(`   ⚠️ Failed to process ${rawModel.id}: ${error.message}`);
+        console.warn(`   ⚠️ Failed to process ${record.id || 'record'} from ${source.name}: ${error.message}`);
         this.stats.errors++;
       }
     }
@@ -215,30 +182,6 @@ export class ModelAggregator {
     return processed;
   }
 
-  /**
-   * Get detailed model information from Hugging Face
-   */
-  async getDetailedModelInfo(modelId) {
-    try {
-      const url = `https://huggingface.co/api/models/${modelId}`;
-      const headers = {};
-      
-      if (this.huggingFaceToken) {
-        headers['Authorization'] = `Bearer ${this.huggingFaceToken}`;
-      }
-
-      const response = await fetch(url, { headers });
-      
-      if (response.ok) {
-        return await response.json();
-      }
-      
-      return null;
-    } catch (error) {
-      return null;
-    }
-  }
-
   /**
    * Extract and standardize model metadata
    */
@@ -249,7 +192,8 @@ export class ModelAggregator {
     // Determine tier based on size
     const tier = this.determineTier(sizeMB);
     
-    // Extract accuracy if available (simplified)
+    // Benchmark results reported in the card's model-index, and the accuracy among them
+    const metrics = this.extractBenchmarkMetrics(detailedInfo);
     const accuracy = this.extractAccuracy(rawModel, detailedInfo);
     
     // Calculate environmental score based on size
@@ -261,6 +205,9 @@ export class ModelAggregator {
     // Extract supported frameworks
     const frameworks = this.extractFrameworks(rawModel, detailedInfo);
 
+    // Training emissions reported on the model card, if any
+    const trainingEmissions = this.extractTrainingEmissions(detailedInfo);
+
     return {
       id: this.generateModelId(rawModel),
       name: this.extractModelName(rawModel),
@@ -268,9 +215,12 @@ export class ModelAggregator {
       description: this.extractDescription(rawModel, detailedInfo),
       sizeMB: sizeMB,
       accuracy: accuracy,
+      ...(accuracy === null ? { accuracyReported: false } : { accuracySource: 'model-index' }),
+      ...(metrics.length > 0 && { metrics }),
       environmentalScore: environmentalScore,
       deploymentOptions: deploymentOptions,
       frameworks: frameworks,
+      ...(trainingEmissions && { trainingEmissions }),
       lastUpdated: rawModel.lastModified || new Date().toISOString().split('T')[0],
       
       // Internal metadata for processing
@@ -377,9 +327,33 @@ export class ModelAggregator {
       }
     }
 
+    this.rescoreModels(merged);
+
     return merged;
   }
 
+  /**
+   * Recompute every stored environmental score with the current methodology
+   * and record its version, so the file never mixes scores from two versions
+   * @param {Object} data - Dataset in the models.json format (modified in place)
+   */
+  rescoreModels(data) {
+    for (const subcategories of Object.values(data.models)) {
+      for (const tiers of Object.values(subcategories)) {
+        for (const models of Object.values(tiers)) {
+          for (const model of models) {
+            model.environmentalScore = this.calculateEnvironmentalScore(model.sizeMB || 0);
+          }
+        }
+      }
+    }
+
+    data.environmentalImpact = {
+      ...data.environmentalImpact,
+      methodologyVersion: CURRENT_METHODOLOGY_VERSION
+    };
+  }
+
   // === Utility Methods ===
 
   /**
@@ -449,15 +423,17 @@ export class ModelAggregator {
 
   /**
    * Calculate environmental impact score based on model size
-   * Simple heuristic: smaller models = lower environmental impact
+   * Simple heuristic: smaller models = lower environmental impact.
+   * Uses the current methodology's thresholds, which the efficiency bands line up with
    * 
    * @param {number} sizeMB - Model size in megabytes
    * @returns {number} Environmental score (1-3)
    */
   calculateEnvironmentalScore(sizeMB) {
-    if (sizeMB <= 500) return 1;   // Low impact (lightweight)
-    if (sizeMB <= 4000) return 2;  // Medium impact (standard)
-    return 3;                       // High impact (advanced/xlarge)
+    const { thresholds } = getMethodology(CURRENT_METHODOLOGY_VERSION);
+    if (sizeMB <= thresholds.LIGHTWEIGHT) return 1;   // Low impact (lightweight)
+    if (sizeMB <= thresholds.STANDARD) return 2;      // Medium impact (standard)
+    return 3;                                         // High impact (advanced/xlarge)
   }
 
   /**
@@ -535,18 +511,85 @@ export class ModelAggregator {
   }
 
   /**
-   * Extract accuracy metrics (simplified)
+   * Extract benchmark results from the model card's model-index metadata
+   * Each result lists a task, a dataset and metrics; values stated in percent stay as reported
+   *
+   * @returns {Array<Object>} { type, value, dataset, split } per metric, in card order (empty if none)
+   */
+  extractBenchmarkMetrics(detailedInfo) {
+    const modelIndex = detailedInfo?.cardData?.['model-index'] ?? detailedInfo?.['model-index'];
+    if (!Array.isArray(modelIndex)) return [];
+
+    const text = value => (typeof value === 'string' && value.trim()) ? value.trim() : null;
+    const metrics = [];
+
+    for (const entry of modelIndex) {
+      for (const result of entry?.results || []) {
+        const dataset = result?.dataset || {};
+        for (const metric of result?.metrics || []) {
+          const value = Number(metric?.value);
+          if (!text(metric?.type) || metric.value === '' || metric.value === null || !Number.isFinite(value)) continue;
+
+          metrics.push({
+            type: metric.type.trim(),
+            value,
+            dataset: text(dataset.name) || text(dataset.type),
+            split: text(dataset.split)
+          });
+        }
+      }
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Whether a benchmark metric or score column measures accuracy (see ACCURACY_METRIC_TYPES)
+   * @param {string} type - Metric type or column name, e.g. 'Accuracy' or 'acc_norm'
+   * @returns {boolean} True for accuracy metrics
+   */
+  isAccuracyMetric(type) {
+    return ACCURACY_METRIC_TYPES.includes(String(type).toLowerCase().replace(/[\s-]+/g, '_'));
+  }
+
+  /**
+   * Extract accuracy from the benchmark results reported in model-index
+   * Takes the first accuracy metric, preferring a test split; percentages are scaled to 0-1
+   *
+   * @returns {number|null} Accuracy (0-1), or null when the card reports none
    */
   extractAccuracy(rawModel, detailedInfo) {
-    // This would be more sophisticated in production
-    // For now, return a reasonable estimate based on model characteristics
-    const modelName = rawModel.id.toLowerCase();
-    
-    if (modelName.includes('large')) return 0.85;
-    if (modelName.includes('base')) return 0.78;
-    if (modelName.includes('small') || modelName.includes('mobile')) return 0.72;
-    
-    return 0.75; // Default
+    const accuracies = this.extractBenchmarkMetrics(detailedInfo).filter(metric => this.isAccuracyMetric(metric.type));
+    const metric = accuracies.find(m => m.split === 'test') || accuracies[0];
+    if (!metric) return null;
+
+    const accuracy = metric.value > 1 && metric.value <= 100 ? metric.value / 100 : metric.value;
+    return accuracy >= 0 && accuracy <= 1 ? Math.round(accuracy * 1000) / 1000 : null;
+  }
+
+  /**
+   * Extract training emissions from the model card's co2_eq_emissions metadata
+   * The card holds either a plain number or an object with emissions, source,
+   * training_type, geographical_location and hardware_used; emissions are in grams
+   *
+   * @returns {Object|null} { co2eGrams, source, trainingType, hardware, region } or null if not reported
+   */
+  extractTrainingEmissions(detailedInfo) {
+    const reported = detailedInfo?.cardData?.co2_eq_emissions;
+    if (reported === undefined || reported === null) return null;
+
+    const details = typeof reported === 'object' ? reported : { emissions: reported };
+    const co2eGrams = Number(details.emissions);
+    if (details.emissions === '' || !Number.isFinite(co2eGrams) || co2eGrams <= 0) return null;
+
+    const text = value => (typeof value === 'string' && value.trim()) ? value.trim() : null;
+    return {
+      co2eGrams,
+      source: text(details.source),
+      trainingType: text(details.training_type),
+      hardware: text(details.hardware_used),
+      region: text(details.geographical_location)
+    };
   }
 
   /**
@@ -615,6 +658,24 @@ export class ModelAggregator {
     return false;
   }
 
+  /**
+   * Remove duplicate models within each category/subcategory
+   * @param {Array} models - Processed models from every source
+   * @returns {Array} Models with at most one entry per huggingFaceId and subcategory
+   */
+  deduplicatePerSubcategory(models) {
+    const groups = new Map();
+    for (const model of models) {
+      const key = `${model.category}/${model.subcategory}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(model);
+    }
+
+    return [...groups.values()].flatMap(group => this.deduplicateModels(group));
+  }
+
   /**
    * Remove duplicate models based on huggingFaceId
    * Preserves curated fields (specialization) from existing models
@@ -627,6 +688,21 @@ export class ModelAggregator {
       if (seen.has(model.huggingFaceId)) {
         // Model already exists - preserve curated fields from first occurrence
         const existing = seen.get(model.huggingFaceId);
+
+        // Training emissions added to the model card since the last update fill the gap
+        if (model.trainingEmissions && !existing.trainingEmissions) {
+          existing.trainingEmissions = model.trainingEmissions;
+        }
+
+        // So do benchmark results, which replace an accuracy without reported metrics
+        if (model.metrics && !existing.metrics) {
+          existing.metrics = model.metrics;
+          if (model.accuracy !== null) {
+            existing.accuracy = model.accuracy;
+            existing.accuracySource = model.accuracySource;
+            delete existing.accuracyReported;
+          }
+        }
         
         // If the new model has updated data but existing has specialization, merge them
         if (existing.specialization && !model.specialization) {
@@ -775,6 +851,7 @@ export class ModelAggregator {
           }
         },
         methodology: "Simple size-based heuristic: larger models require more compute.",
+        methodologyVersion: CURRENT_METHODOLOGY_VERSION,
         caveat: "This is a rough approximation for comparison only, not a scientific measurement."
       },
       selectionRules: {
@@ -0,0 +1,384 @@
+/**
+ * Model Source Adapters
+ *
+ * Each adapter reads one kind of source and hands the aggregator models in its
+ * processed format, so every source feeds the same tiering and merge pipeline:
+ * - fetch(categories) returns the raw records for the requested task categories
+ * - normalize(record) turns a record into a processed model (with category,
+ *   subcategory and tier), or returns null to skip it
+ * - provenance(record) says where the model came from; it is stored on the model as `source`
+ *
+ * Adapters reuse the aggregator's size, tier and scoring helpers rather than
+ * keeping their own copies.
+ */
+
+import { readFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { parseCsv } from '../data/Csv.js';
+
+/**
+ * Columns read from a leaderboard dump by default
+ * Matches the Open LLM Leaderboard contents dataset
+ */
+export const LEADERBOARD_FIELDS = {
+  id: 'fullname',
+  params: '#Params (B)',
+  score: 'Average ⬆️'
+};
+
+/**
+ * Estimated megabytes per billion parameters (fp16), as in ModelAggregator.estimateModelSize
+ */
+const MB_PER_BILLION_PARAMS = 2000;
+
+/**
+ * Hugging Face Hub API, most downloaded models per pipeline tag
+ */
+export class HuggingFaceSource {
+  /**
+   * @param {ModelAggregator} aggregator - Aggregator whose helpers and stats the source uses
+   * @param {Object} [options]
+   * @param {string} [options.token] - API token (defaults to the aggregator's)
+   * @param {number} [options.limit] - Models to fetch per task (default 50)
+   */
+  constructor(aggregator, options = {}) {
+    this.name = 'huggingface';
+    this.label = 'Hugging Face Hub';
+    this.aggregator = aggregator;
+    this.token = options.token ?? aggregator.huggingFaceToken;
+    this.limit = options.limit || 50;
+  }
+
+  /**
+   * Fetch models for each task category
+   * A failing task is logged and counted as an error; the others still run
+   * @param {Array<Object>} categories - { category, subcategory, task } entries
+   * @returns {Promise<Array<Object>>} API records tagged with sourceCategory, sourceSubcategory and sourceTask
+   */
+  async fetch(categories) {
+    const allModels = [];
+
+    for (const category of categories) {
+      try {
+        console.log(`   Fetching ${category.task} models...`);
+
+        const url = new URL('https://huggingface.co/api/models');
+        // Use pipeline_tag instead of filter for newer API
+        url.searchParams.set('pipeline_tag', category.task);
+        url.searchParams.set('sort', 'downloads');
+        url.searchParams.set('direction', '-1'); // Descending
+        url.searchParams.set('limit', String(this.limit)); // Fetch more to get diverse model sizes
+        url.searchParams.set('full', 'true'); // Get full model info including safetensors
+
+        const response = await fetch(url, { headers: this.getHeaders() });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const models = await response.json();
+
+        console.log(`   Found ${models.length} ${category.task} models`);
+
+        // Add category information to each model
+        allModels.push(...models.map(model => ({
+          ...model,
+          sourceCategory: category.category,
+          sourceSubcategory: category.subcategory,
+          sourceTask: category.task
+        })));
+
+        // Rate limiting - be more conservative
+        await this.aggregator.sleep(500);
+
+      } catch (error) {
+        console.warn(`   ⚠️ Failed to fetch ${category.task}: ${error.message}`);
+        this.aggregator.stats.errors++;
+      }
+    }
+
+    return allModels;
+  }
+
+  /**
+   * Turn an API record into a processed model, fetching its detailed info
+   * @param {Object} record - Record from fetch
+   * @returns {Promise<Object|null>} Processed model, or null for records without
+   *   enough metadata and test/mock models
+   */
+  async normalize(record) {
+    if (!record.id || !record.downloads) return null;
+    if (this.aggregator.isExcludedModel(record.id)) return null;
+
+    const detailedInfo = await this.getDetailedModelInfo(record.id);
+    return this.aggregator.extractModelMetadata(record, detailedInfo);
+  }
+
+  /**
+   * @param {Object} record - Record from fetch
+   * @returns {Object} { adapter, reference, retrieved }
+   */
+  provenance(record) {
+    return { adapter: this.name, reference: `https://huggingface.co/${record.id}`, retrieved: today() };
+  }
+
+  /**
+   * Get detailed model information from Hugging Face
+   * @param {string} modelId - Hugging Face model ID
+   * @returns {Promise<Object|null>} Model info, or null when the request fails
+   */
+  async getDetailedModelInfo(modelId) {
+    try {
+      const response = await fetch(`https://huggingface.co/api/models/${modelId}`, { headers: this.getHeaders() });
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getHeaders() {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+}
+
+/**
+ * Local catalog of models in a JSON or CSV file
+ *
+ * JSON files hold an array of entries (or { models: [...] }); CSV files have one
+ * entry per row, with deploymentOptions and frameworks separated by semicolons.
+ * Entries need huggingFaceId, sizeMB and either category and subcategory or a
+ * pipeline task (e.g. 'text-classification'). name, description, accuracy,
+ * deploymentOptions, frameworks and lastUpdated are optional. Accuracies count as
+ * curated unless the entry names another accuracySource; entries without an
+ * accuracy are flagged with accuracyReported: false.
+ */
+export class CatalogSource {
+  /**
+   * @param {ModelAggregator} aggregator - Aggregator whose helpers the source uses
+   * @param {Object} options
+   * @param {string} options.path - Catalog file (.json or .csv)
+   * @throws {Error} Without a path
+   */
+  constructor(aggregator, options = {}) {
+    if (!options.path) {
+      throw new Error('The catalog source needs a file path');
+    }
+    this.name = 'catalog';
+    this.label = `catalog ${basename(options.path)}`;
+    this.aggregator = aggregator;
+    this.path = options.path;
+  }
+
+  /**
+   * Read the catalog entries that belong to the requested categories
+   * @param {Array<Object>} categories - { category, subcategory, task } entries
+   * @returns {Promise<Array<Object>>} Entries with their category and subcategory resolved
+   */
+  async fetch(categories) {
+    return readRecords(this.path, 'models')
+      .map(entry => ({ ...entry, ...resolveCategory(entry, categories) }))
+      .filter(entry => entry.category);
+  }
+
+  /**
+   * @param {Object} entry - Entry from fetch
+   * @returns {Object|null} Processed model, or null without a Hugging Face ID or size
+   */
+  normalize(entry) {
+    const sizeMB = Number(entry.sizeMB);
+    if (!entry.huggingFaceId || !(sizeMB > 0)) return null;
+
+    return buildModel(this.aggregator, {
+      ...entry,
+      sizeMB,
+      accuracy: toNumber(entry.accuracy),
+      accuracySource: entry.accuracySource || 'curated',
+      deploymentOptions: toList(entry.deploymentOptions),
+      frameworks: toList(entry.frameworks),
+      downloads: toNumber(entry.downloads)
+    });
+  }
+
+  /**
+   * @param {Object} entry - Entry from fetch
+   * @returns {Object} { adapter, reference, retrieved }
+   */
+  provenance(entry) {
+    return { adapter: this.name, reference: basename(this.path), retrieved: today() };
+  }
+}
+
+/**
+ * Leaderboard dump (JSON array or CSV export), e.g. the Open LLM Leaderboard contents
+ *
+ * Leaderboards list one task, so every row goes to the category of `task`. Size is
+ * estimated from the parameter count. The score is kept in `metrics` under the score
+ * column's name; it only becomes the accuracy when that column is an accuracy metric
+ * (an aggregate like the Open LLM Leaderboard's Average is not).
+ */
+export class LeaderboardSource {
+  /**
+   * @param {ModelAggregator} aggregator - Aggregator whose helpers the source uses
+   * @param {Object} options
+   * @param {string} options.path - Dump file (.json or .csv)
+   * @param {string} [options.task] - Pipeline task of the leaderboard (default 'text-generation')
+   * @param {Object} [options.fields] - Column names for id, params (billions) and score, see LEADERBOARD_FIELDS
+   * @param {number} [options.scoreScale] - Score that means 100% (default 100)
+   * @throws {Error} Without a path
+   */
+  constructor(aggregator, options = {}) {
+    if (!options.path) {
+      throw new Error('The leaderboard source needs a file path');
+    }
+    this.name = 'leaderboard';
+    this.label = `leaderboard ${basename(options.path)}`;
+    this.aggregator = aggregator;
+    this.path = options.path;
+    this.task = options.task || 'text-generation';
+    this.fields = { ...LEADERBOARD_FIELDS, ...options.fields };
+    this.scoreScale = options.scoreScale || 100;
+  }
+
+  /**
+   * Read the leaderboard rows, if its task is among the requested categories
+   * @param {Array<Object>} categories - { category, subcategory, task } entries
+   * @returns {Promise<Array<Object>>} Rows with the leaderboard's category and subcategory
+   */
+  async fetch(categories) {
+    const target = resolveCategory({ task: this.task }, categories);
+    if (!target.category) return [];
+    return readRecords(this.path, 'rows').map(row => ({ ...row, ...target }));
+  }
+
+  /**
+   * @param {Object} row - Row from fetch
+   * @returns {Object|null} Processed model, or null without a model ID or parameter count
+   *   and for test/mock models
+   */
+  normalize(row) {
+    const huggingFaceId = row[this.fields.id];
+    const params = toNumber(row[this.fields.params]);
+    if (!huggingFaceId || !(params > 0)) return null;
+    if (this.aggregator.isExcludedModel(huggingFaceId)) return null;
+
+    const score = toNumber(row[this.fields.score]);
+    const isAccuracy = score !== null && this.aggregator.isAccuracyMetric(this.fields.score);
+    return buildModel(this.aggregator, {
+      huggingFaceId,
+      sizeMB: Math.round(params * MB_PER_BILLION_PARAMS),
+      accuracy: isAccuracy ? Math.round(score / this.scoreScale * 1000) / 1000 : null,
+      accuracySource: 'leaderboard',
+      metrics: score === null ? [] : [{ type: this.fields.score, value: score, dataset: basename(this.path), split: null }],
+      category: row.category,
+      subcategory: row.subcategory,
+      task: this.task
+    });
+  }
+
+  /**
+   * @param {Object} row - Row from fetch
+   * @returns {Object} { adapter, reference, retrieved }
+   */
+  provenance(row) {
+    return { adapter: this.name, reference: basename(this.path), retrieved: today() };
+  }
+}
+
+/**
+ * Adapters selectable by name, e.g. from the CLI's --source option
+ */
+export const SOURCE_ADAPTERS = {
+  huggingface: HuggingFaceSource,
+  catalog: CatalogSource,
+  leaderboard: LeaderboardSource
+};
+
+/**
+ * Create a source adapter by name
+ * @param {string} name - Key of SOURCE_ADAPTERS
+ * @param {ModelAggregator} aggregator - Aggregator the adapter feeds
+ * @param {Object} [options] - Adapter options (e.g. { path } for file sources)
+ * @returns {Object} Adapter with fetch, normalize and provenance
+ * @throws {Error} For an unknown name or missing options
+ */
+export function createSourceAdapter(name, aggregator, options = {}) {
+  const Adapter = SOURCE_ADAPTERS[name];
+  if (!Adapter) {
+    throw new Error(`Unknown model source: ${name} (choose from ${Object.keys(SOURCE_ADAPTERS).join(', ')})`);
+  }
+  return new Adapter(aggregator, options);
+}
+
+/**
+ * Build a processed model from plain fields, deriving what the source doesn't state
+ */
+function buildModel(aggregator, entry) {
+  const { sizeMB } = entry;
+  const name = entry.name || aggregator.extractModelName({ id: entry.huggingFaceId });
+  const task = entry.task || entry.subcategory.replace(/_/g, ' ');
+
+  return {
+    id: entry.id || aggregator.generateModelId({ id: entry.huggingFaceId }),
+    name,
+    huggingFaceId: entry.huggingFaceId,
+    description: entry.description || `${name} model for ${task.replace(/-/g, ' ').toLowerCase()}`,
+    sizeMB,
+    accuracy: entry.accuracy ?? null,
+    ...(entry.accuracy == null ? { accuracyReported: false } : { accuracySource: entry.accuracySource }),
+    ...(entry.metrics?.length > 0 && { metrics: entry.metrics }),
+    environmentalScore: aggregator.calculateEnvironmentalScore(sizeMB),
+    deploymentOptions: entry.deploymentOptions?.length ? entry.deploymentOptions : aggregator.determineDeploymentOptions(sizeMB),
+    frameworks: entry.frameworks?.length ? entry.frameworks : ['PyTorch'],
+    lastUpdated: entry.lastUpdated || today(),
+
+    // Internal metadata for processing
+    category: entry.category,
+    subcategory: entry.subcategory,
+    tier: aggregator.determineTier(sizeMB),
+    downloads: entry.downloads || 0,
+    likes: 0
+  };
+}
+
+/**
+ * Find the category of an entry from its own category/subcategory or its pipeline task
+ * Returns empty fields when it is not among the requested categories
+ */
+function resolveCategory(entry, categories) {
+  const match = entry.category && entry.subcategory
+    ? categories.find(c => c.category === entry.category && c.subcategory === entry.subcategory)
+    : categories.find(c => c.task === entry.task);
+  return match
+    ? { category: match.category, subcategory: match.subcategory }
+    : { category: null, subcategory: null };
+}
+
+function readRecords(path, listKey) {
+  const text = readFileSync(path, 'utf8');
+  if (extname(path).toLowerCase() === '.csv') {
+    return parseCsv(text).map(({ line, ...row }) => row);
+  }
+
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data[listKey];
+  if (!Array.isArray(records)) {
+    throw new Error(`${basename(path)} has no list of ${listKey}`);
+  }
+  return records;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  return value.split(';').map(item => item.trim()).filter(Boolean);
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
@@ -6,6 +6,7 @@
  */
 
 import ModelAggregator from './ModelAggregator.js';
+import { SOURCE_ADAPTERS } from './SourceAdapters.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -20,6 +21,10 @@ function parseArgs() {
     maxModelsPerCategory: 10,
     includeUpdated: true,
     validateAccuracy: true,
+    sources: [],
+    catalog: null,
+    leaderboard: null,
+    leaderboardTask: null,
     help: false
   };
 
@@ -43,6 +48,18 @@ function parseArgs() {
       case '--token':
         process.env.HF_TOKEN = args[++i];
         break;
+      case '--source':
+        options.sources.push(...args[++i].split(','));
+        break;
+      case '--catalog':
+        options.catalog = args[++i];
+        break;
+      case '--leaderboard':
+        options.leaderboard = args[++i];
+        break;
+      case '--leaderboard-task':
+        options.leaderboardTask = args[++i];
+        break;
       default:
         if (arg.startsWith('--')) {
           console.warn(`Unknown option: ${arg}`);
@@ -65,8 +82,15 @@ Options:
   --max-models N         Maximum models per category (default: 10)
   --no-validation        Skip accuracy validation
   --token TOKEN          Hugging Face API token
+  --source NAME          Source to fetch from, repeatable or comma-separated (default: huggingface)
+  --catalog FILE         Local JSON/CSV model catalog (adds the catalog source)
+  --leaderboard FILE     Leaderboard dump, JSON or CSV (adds the leaderboard source)
+  --leaderboard-task T   Pipeline task the leaderboard ranks (default: text-generation)
   --help, -h             Show this help message
 
+Sources: ${Object.keys(SOURCE_ADAPTERS).join(', ')}
+  Several sources merge into one dataset; a model found twice keeps the first source's entry.
+
 Environment Variables:
   HF_TOKEN              Hugging Face API token (recommended)
 
@@ -79,9 +103,36 @@ Examples:
 
   # Limit to 5 models per category
   node src/lib/aggregation/cli.js --max-models 5
+
+  # Hugging Face plus an in-house catalog
+  node src/lib/aggregation/cli.js --source huggingface --catalog models.csv
+
+  # Only an Open LLM Leaderboard export
+  node src/lib/aggregation/cli.js --leaderboard contents.json --dry-run
 `);
 }
 
+// Work out the sources to run, in priority order
+function resolveSources(options) {
+  const sources = [...options.sources];
+  if (options.catalog && !sources.includes('catalog')) sources.push('catalog');
+  if (options.leaderboard && !sources.includes('leaderboard')) sources.push('leaderboard');
+  if (sources.length === 0) sources.push('huggingface');
+
+  const unknown = sources.filter(name => !SOURCE_ADAPTERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source: ${unknown.join(', ')} (choose from ${Object.keys(SOURCE_ADAPTERS).join(', ')})`);
+  }
+  if (sources.includes('catalog') && !options.catalog) {
+    throw new Error('The catalog source needs --catalog FILE');
+  }
+  if (sources.includes('leaderboard') && !options.leaderboard) {
+    throw new Error('The leaderboard source needs --leaderboard FILE');
+  }
+
+  return [...new Set(sources)];
+}
+
 // Main CLI function
 async function main() {
   const options = parseArgs();
@@ -91,11 +142,20 @@ async function main() {
     return;
   }
 
+  let sources;
+  try {
+    sources = resolveSources(options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
   console.log('🤖 AI Model Advisor - Metadata Aggregation CLI');
   console.log('='.repeat(50));
+  console.log(`Sources: ${sources.join(', ')}\n`);
 
   // Check for API token
-  if (!process.env.HF_TOKEN) {
+  if (sources.includes('huggingface') && !process.env.HF_TOKEN) {
     console.log('⚠️  No Hugging Face token found.');
     console.log('   Set HF_TOKEN environment variable or use --token option');
     console.log('   Some features may be limited without authentication.\n');
@@ -105,7 +165,12 @@ async function main() {
     // Initialize aggregator
     const aggregator = new ModelAggregator({
       huggingFaceToken: process.env.HF_TOKEN,
-      dataPath: join(__dirname, '../data')
+      dataPath: join(__dirname, '../data'),
+      sources,
+      sourceOptions: {
+        catalog: { path: options.catalog },
+        leaderboard: { path: options.leaderboard, task: options.leaderboardTask }
+      }
     });
 
     // Run aggregation
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * CLI for importing measured inference energy
+ * Usage: node src/lib/aggregation/import-measurements.js <emissions.csv>... [options]
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseEmissionsCsv, summarizeRuns, mergeMeasurements } from '../environmental/MeasuredEnergy.js';
+import { findHardwareProfile, HARDWARE_PROFILES } from '../hardware/HardwareProfiles.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const dataPath = join(__dirname, '../data');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    files: [],
+    modelId: null,
+    inferencesPerRun: null,
+    hardwareProfile: null,
+    dryRun: false,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case '--model':
+        options.modelId = args[++i];
+        break;
+      case '--inferences':
+        options.inferencesPerRun = parseInt(args[++i]) || null;
+        break;
+      case '--profile':
+        options.hardwareProfile = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          console.warn(`Unknown option: ${arg}`);
+        } else {
+          options.files.push(arg);
+        }
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Measured Energy Import CLI
+
+Reads CodeCarbon emissions logs and stores energy per inference in
+src/lib/data/measured-energy.json. Measurements replace the size-based
+estimate on the hardware profile they were taken on.
+
+Usage: node src/lib/aggregation/import-measurements.js <emissions.csv>... [options]
+
+Options:
+  --model ID             Model ID for every run (default: model_id, then project_name column)
+  --inferences N         Inferences per run (default: inferences column)
+  --profile ID           Hardware profile the runs were measured on (default: guessed from gpu_model/cpu_model)
+  --dry-run              Show what would be imported without saving
+  --help, -h             Show this help message
+
+Hardware profiles: ${Object.keys(HARDWARE_PROFILES).join(', ')}
+
+Examples:
+  # One model benchmarked with 1000 inferences per tracked run
+  node src/lib/aggregation/import-measurements.js emissions.csv --model distilbert_base_uncased --inferences 1000
+
+  # Log with model_id and inferences columns added by the benchmark script
+  node src/lib/aggregation/import-measurements.js runs/*.csv --profile cloud_t4
+`);
+}
+
+// Collect every model ID in models.json
+function loadModelIds() {
+  const data = JSON.parse(readFileSync(join(dataPath, 'models.json'), 'utf8'));
+  const ids = new Set();
+  for (const subcategories of Object.values(data.models)) {
+    for (const tiers of Object.values(subcategories)) {
+      for (const models of Object.values(tiers)) {
+        models.forEach(model => ids.add(model.id));
+      }
+    }
+  }
+  return ids;
+}
+
+// Main CLI function
+function main() {
+  const options = parseArgs();
+
+  if (options.help || options.files.length === 0) {
+    showHelp();
+    return;
+  }
+
+  if (options.hardwareProfile && !findHardwareProfile(options.hardwareProfile)) {
+    console.error(`❌ Unknown hardware profile: ${options.hardwareProfile}`);
+    process.exit(1);
+  }
+
+  console.log('🔌 AI Model Advisor - Measured Energy Import');
+  console.log('='.repeat(50));
+
+  const modelIds = loadModelIds();
+  const known = [];
+  let skipped = 0;
+
+  for (const file of options.files) {
+    const { runs, errors } = parseEmissionsCsv(readFileSync(file, 'utf8'), { ...options, source: basename(file) });
+    errors.forEach(error => console.warn(`⚠️  ${basename(file)} ${error}`));
+    skipped += errors.length;
+
+    for (const run of runs) {
+      if (modelIds.has(run.modelId)) {
+        known.push(run);
+      } else {
+        console.warn(`⚠️  ${basename(file)}: unknown model ID "${run.modelId}", skipping run`);
+        skipped++;
+      }
+    }
+  }
+
+  // Summarize every file together so runs of one model and profile across files combine
+  const measurements = summarizeRuns(known);
+
+  for (const [modelId, records] of Object.entries(measurements)) {
+    for (const record of records) {
+      console.log(`   ${modelId} on ${record.hardwareProfile}: ${record.energyWhPerInference.expected.toPrecision(3)} Wh per inference ` +
+        `(${record.runs} runs, ${record.inferences} inferences, ${record.hardware})`);
+    }
+  }
+  console.log(`\n📊 ${Object.keys(measurements).length} models measured, ${skipped} runs skipped`);
+
+  if (options.dryRun) {
+    console.log('\n💡 This was a dry run. To apply changes, run without --dry-run');
+    return;
+  }
+
+  const tablePath = join(dataPath, 'measured-energy.json');
+  const table = mergeMeasurements(JSON.parse(readFileSync(tablePath, 'utf8')), measurements);
+  writeFileSync(tablePath, JSON.stringify(table, null, 2) + '\n', 'utf8');
+  console.log('\n💡 measured-energy.json has been updated.');
+  console.log('   Review changes and commit to version control.');
+}
+
+// Run CLI if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    main();
+  } catch (error) {
+    console.error('💥 Import error:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Specialization Extractor
+ * Pulls language, domain and sub-task hints out of a task description so that
+ * curated `specialization` values in models.json (e.g. 'language:spanish',
+ * 'domain:finance', 'task:toxicity') can be matched at selection time.
+ *
+ * Hints use the same `prefix:value` format as the specialization field.
+ */
+
+/**
+ * Phrases that signal each specialization
+ * Matched case-insensitively on word boundaries
+ */
+export const SPECIALIZATION_PATTERNS = {
+  // Languages
+  'language:english': ['english'],
+  'language:spanish': ['spanish', 'español', 'espanol', 'castilian'],
+  'language:portuguese': ['portuguese', 'brazilian', 'português'],
+  'language:dutch': ['dutch', 'flemish', 'nederlands'],
+  'language:russian': ['russian'],
+  'language:french': ['french', 'français'],
+  'language:german': ['german', 'deutsch'],
+  'language:chinese': ['chinese', 'mandarin', 'cantonese'],
+
+  // Domains
+  'domain:finance': ['finance', 'financial', 'stock', 'stocks', 'banking', 'earnings', 'investor', 'trading'],
+  'domain:social-media': ['tweet', 'tweets', 'twitter', 'social media', 'instagram', 'reddit', 'facebook posts'],
+  'domain:code': ['source code', 'programming', 'codebase', 'code completion', 'code review'],
+  'domain:medical': ['medical', 'clinical', 'patient', 'radiology', 'biomedical'],
+  'domain:legal': ['legal', 'contract', 'contracts', 'law firm', 'court'],
+
+  // Sub-tasks
+  'task:toxicity': ['toxic', 'toxicity', 'hate speech', 'offensive', 'abusive', 'harassment'],
+  'task:speaker-diarization': ['diarization', 'diarisation', 'who spoke', 'who is speaking', 'speaker turns', 'identify speakers'],
+  'task:voice-activity-detection': ['voice activity', 'speech detection', 'detect speech', 'silence detection'],
+  'task:tables': ['table', 'tables', 'tabular documents', 'spreadsheet images'],
+  'task:signatures': ['signature', 'signatures'],
+  'task:nsfw': ['nsfw', 'explicit content', 'adult content', 'nudity'],
+  'task:face-age': ['age estimation', 'estimate age', 'predict age', 'how old'],
+  'task:face-expression': ['facial expression', 'facial expressions', 'face emotion', 'emotion from faces']
+};
+
+const COMPILED_PATTERNS = Object.entries(SPECIALIZATION_PATTERNS).map(([specialization, phrases]) => ({
+  specialization,
+  regex: new RegExp(`(^|[^\\p{L}])(${phrases.map(escapeRegExp).join('|')})(?=$|[^\\p{L}])`, 'iu')
+}));
+
+/**
+ * Extract specialization hints from a task description
+ * @param {string} description - User's task description
+ * @returns {string[]} Specializations in 'prefix:value' form, in pattern order
+ */
+export function extractSpecializationHints(description) {
+  if (!description || typeof description !== 'string') return [];
+
+  return COMPILED_PATTERNS
+    .filter(({ regex }) => regex.test(description))
+    .map(({ specialization }) => specialization);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
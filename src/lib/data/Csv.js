@@ -0,0 +1,69 @@
+/**
+ * CSV parsing
+ * Shared by the measured-energy importer and the file-based model sources.
+ * Has no JSON imports, so the Node.js scripts can load it directly.
+ */
+
+/**
+ * Parse CSV text into row objects keyed by the header line
+ * Handles quoted fields, escaped quotes and CRLF line endings
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows, each with a `line` number for error messages
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some(value => value.trim() !== '')) {
+      records.push({ values: record, line: recordLine });
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n') {
+      line++;
+      endRecord();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  endRecord();
+
+  if (records.length === 0) return [];
+
+  const header = records[0].values.map(name => name.trim());
+  return records.slice(1).map(({ values, line: rowLine }) => {
+    const row = { line: rowLine };
+    header.forEach((name, index) => {
+      row[name] = (values[index] ?? '').trim();
+    });
+    return row;
+  });
+}
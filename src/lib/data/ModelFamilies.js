@@ -0,0 +1,71 @@
+/**
+ * Model Families
+ * Derives size families (e.g. openai/whisper-small → whisper-large-v3,
+ * hustvl/yolos-tiny → yolos-small) from huggingFaceId and names.
+ *
+ * A family is one publisher's ladder of sizes: the organization plus the
+ * part of the repo name before the first size marker. An explicit `family`
+ * field on a model entry overrides the derived key.
+ */
+
+/**
+ * Repo-name tokens that mark a size variant rather than a different model
+ */
+export const SIZE_TOKEN_PATTERNS = [
+  /^(?:nano|micro|mini|tiny|small|base|medium|large|xlarge|xl|xxl)(?:\..+)?$/, // whisper-small.en
+  /^\d+(?:\.\d+)?[bmk]$/,                                                      // 7b, 0.5b, 82m
+  /^b[0-9]$/                                                                   // efficientnet-b0
+];
+
+/**
+ * Derive a model's family key
+ * @param {Object} model - Model with huggingFaceId and/or name
+ * @returns {string|null} Family key (lowercase), or null if nothing to derive from
+ */
+export function getFamilyKey(model) {
+  if (model.family) return String(model.family).toLowerCase();
+
+  const source = model.huggingFaceId || model.name;
+  if (!source) return null;
+
+  const [org, repo] = source.includes('/')
+    ? source.toLowerCase().split('/', 2)
+    : ['', source.toLowerCase()];
+
+  const tokens = repo.split(/[-_\s]+/).filter(Boolean);
+  const sizeIndex = tokens.findIndex(isSizeToken);
+  const stem = (sizeIndex > 0 ? tokens.slice(0, sizeIndex) : tokens).join('-');
+
+  return org ? `${org}/${stem}` : stem;
+}
+
+/**
+ * Group models into families, each sorted smallest first
+ * Duplicate entries for the same checkpoint keep only the first occurrence.
+ * @param {Array} models - Models to group
+ * @returns {Map<string, Array>} Family key → members
+ */
+export function groupByFamily(models) {
+  const families = new Map();
+  const seen = new Set();
+
+  for (const model of models) {
+    const key = getFamilyKey(model);
+    const checkpoint = model.huggingFaceId || model.id;
+    if (!key || seen.has(checkpoint)) continue;
+    seen.add(checkpoint);
+
+    if (!families.has(key)) families.set(key, []);
+    families.get(key).push(model);
+  }
+
+  for (const members of families.values()) {
+    members.sort((a, b) => (a.sizeMB || 0) - (b.sizeMB || 0));
+  }
+
+  return families;
+}
+
+function isSizeToken(token) {
+  return SIZE_TOKEN_PATTERNS.some(pattern => pattern.test(token));
+}
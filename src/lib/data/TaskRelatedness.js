@@ -0,0 +1,76 @@
+/**
+ * Task Relatedness
+ * Derives which subcategories can stand in for each other from tasks.json, so an
+ * empty or fully filtered subcategory can fall back to related tasks.
+ *
+ * Two kinds of relation, in priority order:
+ * - related: listed in the subcategory's `related` array in tasks.json
+ * - parent:  any other subcategory of the same parent category
+ */
+
+import tasksData from './tasks.json';
+
+/**
+ * Relation kinds, closest first
+ */
+export const RELATIONS = ['related', 'parent'];
+
+/**
+ * Build the relatedness map for a task taxonomy
+ * @param {Object} tasks - Data in the tasks.json format
+ * @returns {Map<string, Array<{category: string, subcategory: string, label: string, relation: string}>>}
+ *   "category/subcategory" → related tasks, closest first
+ */
+export function buildRelatednessMap(tasks = tasksData) {
+  const taxonomy = tasks.taskTaxonomy || {};
+  const locations = new Map();
+
+  for (const [category, categoryData] of Object.entries(taxonomy)) {
+    for (const [subcategory, subcategoryData] of Object.entries(categoryData.subcategories || {})) {
+      locations.set(subcategory, { category, subcategory, label: subcategoryData.label || subcategory });
+    }
+  }
+
+  const map = new Map();
+  for (const [category, categoryData] of Object.entries(taxonomy)) {
+    const subcategories = categoryData.subcategories || {};
+
+    for (const [subcategory, subcategoryData] of Object.entries(subcategories)) {
+      const related = [];
+      const seen = new Set([subcategory]);
+
+      for (const id of subcategoryData.related || []) {
+        const location = locations.get(id);
+        if (!location || seen.has(id)) continue;
+        seen.add(id);
+        related.push({ ...location, relation: 'related' });
+      }
+
+      for (const sibling of Object.keys(subcategories)) {
+        if (seen.has(sibling)) continue;
+        seen.add(sibling);
+        related.push({ ...locations.get(sibling), relation: 'parent' });
+      }
+
+      map.set(`${category}/${subcategory}`, related);
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Relatedness map for the bundled tasks.json
+ */
+export const TASK_RELATEDNESS = buildRelatednessMap(tasksData);
+
+/**
+ * Get the tasks related to a subcategory
+ * @param {string} category - Main category
+ * @param {string} subcategory - Subcategory
+ * @param {Map} [map] - Relatedness map (defaults to the bundled taxonomy)
+ * @returns {Array<{category: string, subcategory: string, label: string, relation: string}>} Closest first
+ */
+export function getRelatedTasks(category, subcategory, map = TASK_RELATEDNESS) {
+  return map.get(`${category}/${subcategory}`) || [];
+}
@@ -3,6 +3,8 @@
  * Centralizes configuration that's used across multiple modules
  */
 
+import gridIntensityData from './grid-intensity.json';
+
 /**
  * Default subcategory for each main category
  * Used when classification doesn't determine a specific subcategory
@@ -22,6 +24,42 @@ export const CATEGORY_DEFAULTS = {
  */
 export const TIERS = ['lightweight', 'standard', 'advanced', 'xlarge'];
 
+/**
+ * Deployment targets a model can declare in deploymentOptions
+ */
+export const DEPLOYMENT_TARGETS = ['browser', 'mobile', 'edge', 'cloud', 'server'];
+
+/**
+ * Supported ranking modes
+ * - size: tier first, then smaller size (default)
+ * - balanced: weighted score from selectionRules in models.json
+ * - cost: lowest estimated monthly cost first (needs costEstimate on each model)
+ */
+export const SORT_MODES = ['size', 'balanced', 'cost'];
+
+/**
+ * Default monthly request volume for cost estimates
+ */
+export const DEFAULT_REQUESTS_PER_MONTH = 100000;
+
+/**
+ * Default request volume for footprint projections
+ */
+export const DEFAULT_REQUESTS_PER_DAY = 10000;
+
+/**
+ * Default deployment lifetime for footprint projections
+ */
+export const DEFAULT_LIFETIME_YEARS = 3;
+
+/**
+ * Country codes and cloud regions with a carbon intensity in data/grid-intensity.json
+ */
+export const GRID_REGION_IDS = [
+  ...Object.keys(gridIntensityData.countries),
+  ...Object.keys(gridIntensityData.cloudRegions)
+];
+
 /**
  * Get the default subcategory for a given category
  * @param {string} category - The main category key
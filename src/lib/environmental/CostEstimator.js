@@ -0,0 +1,241 @@
+/**
+ * Inference Cost Estimator
+ *
+ * Rough monthly compute cost of serving a model at a given request volume on a
+ * hardware profile, priced from the local table in data/pricing.json.
+ *
+ * IMPORTANT CAVEAT: This is an order-of-magnitude estimate, not a quote.
+ * Time per request comes from the latency estimator (sizeMB and the
+ * accelerator's memory bandwidth); real cost depends on input length, batching,
+ * runtime, autoscaling and your provider's pricing. Edit pricing.json to match
+ * your contract. Owned hardware is priced by the power draw in HardwareProfiles.js,
+ * the same figure the energy estimate uses.
+ */
+
+import pricingData from '../data/pricing.json';
+import {
+  checkModelFit,
+  getEffectiveAccelerator,
+  getPowerWatts,
+  normalizeHardwareProfile,
+  USABLE_RAM_FRACTION
+} from '../hardware/HardwareProfiles.js';
+import { estimateInferenceMs, PASSES_PER_REQUEST } from '../hardware/LatencyEstimator.js';
+import { DEFAULT_REQUESTS_PER_MONTH } from '../data/constants.js';
+
+/**
+ * Profile assumed when no hardware profile is selected
+ */
+export const DEFAULT_COST_PROFILE = 'cloud_t4';
+
+export const HOURS_PER_MONTH = 730;
+
+/**
+ * Share of billed instance time actually spent serving requests
+ * (autoscaling and idle capacity mean you pay for more than pure compute)
+ */
+export const UTILIZATION = { low: 0.2, high: 0.7 };
+
+export class CostEstimator {
+  /**
+   * @param {Object} [priceTable] - Price table in the pricing.json format
+   */
+  constructor(priceTable = pricingData) {
+    this.priceTable = priceTable;
+  }
+
+  /**
+   * Resolve pricing for a hardware profile
+   * Predefined profiles use their own entry, custom ones fall back to the accelerator class
+   * @param {Object} profile - Normalized hardware profile
+   * @param {number|null} [hourlyRate] - User-entered hourly rate that overrides the table
+   * @returns {Object} { type: 'cloud'|'owned', hourly: {low, high}, source, powerWatts? }
+   */
+  getPricing(profile, hourlyRate = null) {
+    if (typeof hourlyRate === 'number' && hourlyRate >= 0) {
+      return { type: 'cloud', hourly: { low: hourlyRate, high: hourlyRate }, source: 'override' };
+    }
+
+    const entry = this.priceTable.profiles?.[profile.id];
+    const source = entry ? 'profile' : 'accelerator';
+    const pricing = entry || this.priceTable.accelerators?.[profile.accelerator];
+
+    if (!pricing) {
+      return { type: 'cloud', hourly: { low: 0, high: 0 }, source: 'missing' };
+    }
+
+    if (pricing.type === 'owned') {
+      // Owned hardware only costs electricity, at the profile's power draw
+      const powerWatts = getPowerWatts(profile, profile.accelerator);
+      const kW = powerWatts / 1000;
+      const electricity = this.priceTable.electricityPerKWh || { low: 0, high: 0 };
+      return {
+        type: 'owned',
+        hourly: { low: kW * electricity.low, high: kW * electricity.high },
+        source,
+        powerWatts
+      };
+    }
+
+    return { type: 'cloud', hourly: { ...pricing.hourly }, source };
+  }
+
+  /**
+   * Estimate compute seconds per request on an accelerator class
+   * Uses the same per-inference timing as the latency estimator
+   * @param {Object} model - Model with sizeMB and subcategory
+   * @param {string} accelerator - Accelerator class
+   * @returns {{low: number, high: number}} Fast and slow estimates in seconds
+   */
+  estimateSecondsPerRequest(model, accelerator) {
+    const latency = estimateInferenceMs(model, accelerator);
+    return {
+      low: latency.low / 1000,
+      high: latency.high / 1000
+    };
+  }
+
+  /**
+   * Estimate monthly cost of serving a model
+   * @param {Object} model - Model with sizeMB (and subcategory for generative tasks)
+   * @param {Object} [options]
+   * @param {number} [options.requestsPerMonth] - Monthly request volume
+   * @param {Object|string} [options.hardwareProfile] - Profile to run on (defaults to a cloud T4)
+   * @param {number|null} [options.hourlyRate] - Override the table's hourly price
+   * @returns {Object} { low, high, alwaysOn, currency, instances, pricingType, ... }
+   *   low/high are null when the model can't run on owned hardware
+   */
+  estimateMonthlyCost(model, options = {}) {
+    const requestsPerMonth = options.requestsPerMonth ?? DEFAULT_REQUESTS_PER_MONTH;
+    const profile = normalizeHardwareProfile(options.hardwareProfile) ||
+      normalizeHardwareProfile(DEFAULT_COST_PROFILE);
+    const pricing = this.getPricing(profile, options.hourlyRate);
+    const fit = checkModelFit(model, profile);
+
+    const base = {
+      currency: this.priceTable.currency || 'USD',
+      requestsPerMonth,
+      profileId: profile.id,
+      pricingType: pricing.source === 'override' ? 'override' : pricing.type,
+      assumptions: []
+    };
+
+    if (!fit.fits && pricing.type === 'owned') {
+      return {
+        ...base,
+        low: null,
+        high: null,
+        alwaysOn: null,
+        instances: 0,
+        reason: `Does not fit on ${profile.label}`
+      };
+    }
+
+    // Models too big for one instance are sharded across several
+    const capacityMB = Math.max((profile.vramGB || 0) * 1024, profile.ramGB * 1024 * USABLE_RAM_FRACTION);
+    const instances = fit.fits ? 1 : Math.ceil(fit.memoryMB / capacityMB);
+
+    const accelerator = getEffectiveAccelerator(profile, fit);
+    const secondsPerRequest = this.estimateSecondsPerRequest(model, accelerator);
+    const computeHours = {
+      low: requestsPerMonth * secondsPerRequest.low / 3600,
+      high: requestsPerMonth * secondsPerRequest.high / 3600
+    };
+
+    // Owned hardware only draws extra power while busy, so utilization doesn't apply
+    const utilization = pricing.type === 'owned' ? { low: 1, high: 1 } : UTILIZATION;
+    const low = computeHours.low / utilization.high * instances * pricing.hourly.low;
+    const high = computeHours.high / utilization.low * instances * pricing.hourly.high;
+
+    const assumptions = [
+      `${formatVolume(requestsPerMonth)} requests per month on ${profile.label}`,
+      `${formatSecondsRange(secondsPerRequest)} per request on ${accelerator.replace('_', ' ')}`
+    ];
+    if (PASSES_PER_REQUEST[model.subcategory]) {
+      assumptions.push(`${PASSES_PER_REQUEST[model.subcategory]} generated tokens per request`);
+    }
+    if (pricing.type === 'owned') {
+      assumptions.push(`Owned hardware: electricity only at ${pricing.powerWatts} W`);
+    } else {
+      assumptions.push(`${Math.round(UTILIZATION.low * 100)}–${Math.round(UTILIZATION.high * 100)}% instance utilization`);
+    }
+    if (instances > 1) {
+      assumptions.push(`Sharded across ${instances} instances`);
+    }
+    if (pricing.source === 'override') {
+      assumptions.push('Your hourly rate');
+    }
+
+    return {
+      ...base,
+      low: roundCents(low),
+      high: roundCents(high),
+      alwaysOn: pricing.type === 'cloud'
+        ? {
+          low: roundCents(HOURS_PER_MONTH * instances * pricing.hourly.low),
+          high: roundCents(HOURS_PER_MONTH * instances * pricing.hourly.high)
+        }
+        : null,
+      instances,
+      secondsPerRequest,
+      computeHours,
+      assumptions
+    };
+  }
+}
+
+// Export singleton instance
+export const costEstimator = new CostEstimator();
+
+/**
+ * Attach a monthly cost estimate to each model
+ * @param {Array} models - Models with sizeMB
+ * @param {Object} [options] - Same options as estimateMonthlyCost
+ * @returns {Array} Models with a costEstimate property
+ */
+export function attachCostEstimates(models, options = {}) {
+  return models.map(model => ({
+    ...model,
+    costEstimate: costEstimator.estimateMonthlyCost(model, options)
+  }));
+}
+
+/**
+ * Format a cost range for display, e.g. "$0.40–$3.10"
+ * @param {{low: number|null, high: number|null}} range - An estimate or its alwaysOn range
+ * @param {string} [currency] - Currency code, defaults to the range's own currency
+ * @returns {string} Formatted range, or 'N/A' when unavailable
+ */
+export function formatCostRange(range, currency = range?.currency || 'USD') {
+  if (!range || range.low === null) return 'N/A';
+  const symbol = currency === 'USD' ? '$' : `${currency} `;
+  const low = formatAmount(range.low, symbol);
+  const high = formatAmount(range.high, symbol);
+  return low === high ? low : `${low}–${high}`;
+}
+
+function formatAmount(amount, symbol) {
+  if (amount < 0.01) return `<${symbol}0.01`;
+  if (amount < 100) return `${symbol}${amount.toFixed(2)}`;
+  return `${symbol}${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+function formatVolume(requests) {
+  if (requests >= 1e6) return `${requests / 1e6}M`;
+  if (requests >= 1e3) return `${requests / 1e3}K`;
+  return String(requests);
+}
+
+function formatSeconds(seconds) {
+  return seconds < 1 ? `${Math.round(seconds * 1000)} ms` : `${seconds.toFixed(1)} s`;
+}
+
+function formatSecondsRange({ low, high }) {
+  const lowLabel = formatSeconds(low);
+  const highLabel = formatSeconds(high);
+  return lowLabel === highLabel ? lowLabel : `${lowLabel}–${highLabel}`;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -2,63 +2,551 @@
  * Environmental Impact Scoring System
  * 
  * Simple size-based heuristic for comparing AI model environmental impact.
+ * The continuous efficiency score (0-100) is the primary value; the 1-3 score
+ * and its label are a coarse view derived from it.
  * 
  * IMPORTANT CAVEAT: This is a rough approximation, not a scientific measurement.
  * Larger models generally require more compute resources and thus more energy,
  * but actual energy consumption depends on many factors not captured here
  * (hardware, batch size, inference time, data center efficiency, etc.)
+ *
+ * Energy and CO2e per inference multiply the latency estimate by the hardware
+ * profile's power draw, then by the grid carbon intensity of a country or cloud
+ * region from the local table in data/grid-intensity.json. Energy measured with
+ * CodeCarbon (data/measured-energy.json) replaces the estimate on the hardware
+ * profile it was measured on.
+ *
+ * Cooling water for data center deployments multiplies the IT energy by the water
+ * usage effectiveness (L/kWh) of the region or provider in data/water-usage.json.
+ *
+ * Thresholds and calibration come from a methodology version in MethodologyRegistry.js.
+ * Every result carries a provenance record naming that version, the inputs it used
+ * and the versions of the data tables it read.
  */
 
+import gridIntensityData from '../data/grid-intensity.json';
+import measuredEnergyData from '../data/measured-energy.json';
+import waterUsageData from '../data/water-usage.json';
+import {
+  checkModelFit,
+  getEffectiveAccelerator,
+  getPowerWatts,
+  normalizeHardwareProfile
+} from '../hardware/HardwareProfiles.js';
+import {
+  ACCELERATOR_LABELS,
+  estimateInferenceMs,
+  formatLatencyRange,
+  PASSES_PER_REQUEST
+} from '../hardware/LatencyEstimator.js';
+import { CURRENT_METHODOLOGY_VERSION, getMethodology } from './MethodologyRegistry.js';
+
+/**
+ * Profile assumed when no hardware profile is selected (same as the cost estimator)
+ */
+export const DEFAULT_ENERGY_PROFILE = 'cloud_t4';
+
+/**
+ * Power Usage Effectiveness assumed for data centers whose region doesn't state one
+ * Local devices have no cooling overhead, so their PUE is 1
+ */
+export const DEFAULT_DATACENTER_PUE = 1.2;
+
+/**
+ * Caveat attached to every energy and CO2e estimate
+ */
+export const ENERGY_CAVEAT = 'Rough estimate from model size, typical power draw and average grid intensity, not a measurement.';
+
+/**
+ * Caveat attached to energy and CO2e based on a measurement
+ */
+export const MEASURED_ENERGY_CAVEAT = 'Measured energy on the stated hardware; your workload and inputs may differ. CO2e uses average grid intensity.';
+
+/**
+ * Deployment options whose models run in a data center and so use cooling water
+ */
+export const WATER_DEPLOYMENTS = ['cloud', 'server'];
+
+/**
+ * Caveat attached to every cooling water estimate
+ */
+export const WATER_CAVEAT = 'Rough estimate from model size, typical power draw and average water usage effectiveness, not a measurement.';
+
+/**
+ * Caveat attached to training emissions reported on model cards
+ */
+export const TRAINING_CAVEAT = 'Reported by the model authors, not verified. Reporting methods differ between model cards.';
+
 export class EnvironmentalImpactCalculator {
   /**
-   * Size thresholds for environmental scoring (in MB)
+   * Size thresholds for environmental scoring (in MB) in the current methodology
    * Aligned with model tier definitions
    */
-  static THRESHOLDS = {
-    LIGHTWEIGHT: 500,   // ≤500MB = Score 1 (Low Impact)
-    STANDARD: 4000      // ≤4GB = Score 2 (Medium Impact)
-                        // >4GB = Score 3 (High Impact)
-  };
+  static THRESHOLDS = getMethodology(CURRENT_METHODOLOGY_VERSION).thresholds;
+
+  /**
+   * Calibration points for the continuous efficiency score (0-100, higher is better)
+   * in the current methodology, see MethodologyRegistry.js
+   */
+  static EFFICIENCY_CALIBRATION = getMethodology(CURRENT_METHODOLOGY_VERSION).efficiencyCalibration;
+
+  /**
+   * @param {Object} [gridTable] - Grid intensity table in the grid-intensity.json format
+   * @param {Object} [measurementTable] - Measured energy in the measured-energy.json format
+   * @param {Object} [waterTable] - Water usage effectiveness in the water-usage.json format
+   * @param {string} [methodologyVersion] - Methodology to score with (defaults to the current one)
+   * @throws {Error} For an unknown methodology version
+   */
+  constructor(
+    gridTable = gridIntensityData,
+    measurementTable = measuredEnergyData,
+    waterTable = waterUsageData,
+    methodologyVersion = CURRENT_METHODOLOGY_VERSION
+  ) {
+    const methodology = getMethodology(methodologyVersion);
+    if (!methodology) {
+      throw new Error(`Unknown methodology version: ${methodologyVersion}`);
+    }
+
+    this.gridTable = gridTable;
+    this.measurementTable = measurementTable;
+    this.waterTable = waterTable;
+    this.methodology = methodology;
+  }
+
+  /**
+   * Record how a result was produced, so exported figures stay comparable
+   * after thresholds or tables change
+   * @param {Object} inputs - Input values the result was computed from
+   * @param {Object} [tables] - Data tables the result read, keyed by name
+   * @returns {Object} { methodologyVersion, inputs, tables? } where tables maps each name to its version
+   */
+  getProvenance(inputs, tables = null) {
+    const provenance = { methodologyVersion: this.methodology.version, inputs };
+    if (tables) {
+      provenance.tables = Object.fromEntries(
+        Object.entries(tables).map(([name, table]) => [name, table?.version ?? null])
+      );
+    }
+    return provenance;
+  }
 
   /**
    * Calculate environmental impact score (1-3) for a model
    * Based purely on model size as a proxy for compute requirements
    * 
    * @param {Object} model - Model with sizeMB property
-   * @returns {Object} Impact assessment with score and label
+   * @returns {Object} Impact assessment with score and label, plus provenance;
+   *   efficiencyScore is null under methodologies without one
    */
   calculateImpact(model) {
     const sizeMB = model.sizeMB || 0;
     const environmentalScore = this.calculateScoreFromSize(sizeMB);
+    const efficiencyScore = this.calculateEfficiencyScore(sizeMB);
     
     return {
       environmentalScore,
+      efficiencyScore: efficiencyScore === null ? null : Math.round(efficiencyScore),
       sizeMB,
       scoreLabel: this.getScoreLabel(environmentalScore),
-      tier: this.getTierFromSize(sizeMB)
+      tier: this.getTierFromSize(sizeMB),
+      provenance: this.getProvenance({ modelId: model.id ?? null, sizeMB })
     };
   }
 
   /**
    * Calculate environmental score based purely on size
+   * Derived from the efficiency score, so both always agree; methodologies
+   * without an efficiency score compare the size against the thresholds
    * @param {number} sizeMB - Model size in megabytes
    * @returns {number} Score 1-3
    */
   calculateScoreFromSize(sizeMB) {
-    if (sizeMB <= EnvironmentalImpactCalculator.THRESHOLDS.LIGHTWEIGHT) return 1;
-    if (sizeMB <= EnvironmentalImpactCalculator.THRESHOLDS.STANDARD) return 2;
+    if (!this.methodology.efficiencyCalibration) {
+      const { thresholds } = this.methodology;
+      if (sizeMB <= thresholds.LIGHTWEIGHT) return 1;
+      if (sizeMB <= thresholds.STANDARD) return 2;
+      return 3;
+    }
+    return this.getScoreFromEfficiency(this.calculateEfficiencyScore(sizeMB));
+  }
+
+  /**
+   * Calculate the continuous efficiency score from size
+   * Log-scaled, so doubling the size costs the same number of points anywhere
+   * within a calibration segment
+   * @param {number} sizeMB - Model size in megabytes
+   * @returns {number|null} Score 0-100 (unrounded, higher is more efficient),
+   *   null under methodologies without an efficiency score
+   */
+  calculateEfficiencyScore(sizeMB) {
+    const points = this.methodology.efficiencyCalibration;
+    if (!points) return null;
+    if (!(sizeMB > points[0].sizeMB)) return points[0].score;
+
+    for (let i = 1; i < points.length; i++) {
+      const upper = points[i];
+      if (sizeMB <= upper.sizeMB) {
+        const lower = points[i - 1];
+        const t = Math.log(sizeMB / lower.sizeMB) / Math.log(upper.sizeMB / lower.sizeMB);
+        return lower.score + (upper.score - lower.score) * t;
+      }
+    }
+
+    return points[points.length - 1].score;
+  }
+
+  /**
+   * Map an efficiency score onto the 1-3 environmental score
+   * @param {number} efficiencyScore - Unrounded efficiency score (0-100)
+   * @returns {number} Score 1-3
+   */
+  getScoreFromEfficiency(efficiencyScore) {
+    const bands = this.getTierBands();
+    if (efficiencyScore >= bands.lightweight) return 1;
+    if (efficiencyScore >= bands.standard) return 2;
     return 3;
   }
 
+  /**
+   * Lowest efficiency score in each tier, read from the calibration points
+   * @returns {{lightweight: number, standard: number, advanced: number, xlarge: number}|null}
+   *   null under methodologies without an efficiency score
+   */
+  getTierBands() {
+    const { thresholds, efficiencyCalibration } = this.methodology;
+    if (!efficiencyCalibration) return null;
+    return {
+      lightweight: this.calculateEfficiencyScore(thresholds.LIGHTWEIGHT),
+      standard: this.calculateEfficiencyScore(thresholds.STANDARD),
+      advanced: this.calculateEfficiencyScore(thresholds.ADVANCED),
+      xlarge: 0
+    };
+  }
+
   /**
    * Get tier name from size
    * @param {number} sizeMB - Model size in megabytes
    * @returns {string} Tier name
    */
   getTierFromSize(sizeMB) {
-    if (sizeMB <= EnvironmentalImpactCalculator.THRESHOLDS.LIGHTWEIGHT) return 'lightweight';
-    if (sizeMB <= EnvironmentalImpactCalculator.THRESHOLDS.STANDARD) return 'standard';
-    return 'advanced';
+    const { thresholds } = this.methodology;
+    if (sizeMB <= thresholds.LIGHTWEIGHT) return 'lightweight';
+    if (sizeMB <= thresholds.STANDARD) return 'standard';
+    if (!thresholds.ADVANCED || sizeMB <= thresholds.ADVANCED) return 'advanced';
+    return 'xlarge';
+  }
+
+  /**
+   * Look up the grid carbon intensity of a country or cloud region
+   * Unknown or missing IDs fall back to the table's default entry
+   * @param {string|null} [regionId] - Country code (e.g. 'FR') or cloud region (e.g. 'aws:eu-west-1')
+   * @returns {Object} { id, label, gCO2ePerKWh, kind: 'country'|'cloud', pue?, fallback }
+   */
+  getGridIntensity(regionId = null) {
+    const { countries = {}, cloudRegions = {} } = this.gridTable;
+
+    if (regionId && countries[regionId]) {
+      return { id: regionId, kind: 'country', ...countries[regionId], fallback: false };
+    }
+    if (regionId && cloudRegions[regionId]) {
+      return { id: regionId, kind: 'cloud', ...cloudRegions[regionId], fallback: false };
+    }
+
+    const defaultId = this.gridTable.default || 'world';
+    return {
+      id: defaultId,
+      kind: 'country',
+      ...(countries[defaultId] || { label: 'World average', gCO2ePerKWh: 0 }),
+      fallback: Boolean(regionId)
+    };
+  }
+
+  /**
+   * Check whether a country or cloud region is in the grid table
+   * @param {string} regionId - Country code or cloud region
+   * @returns {boolean} True if the table has an entry for it
+   */
+  hasGridRegion(regionId) {
+    return Boolean(this.gridTable.countries?.[regionId] || this.gridTable.cloudRegions?.[regionId]);
+  }
+
+  /**
+   * List the regions in the grid table, for pickers
+   * @returns {{countries: Array<{id: string, label: string, gCO2ePerKWh: number}>, cloudRegions: Array<{id: string, label: string, gCO2ePerKWh: number}>}}
+   */
+  listGridRegions() {
+    const toList = entries => Object.entries(entries || {}).map(([id, entry]) => ({
+      id,
+      label: entry.label,
+      gCO2ePerKWh: entry.gCO2ePerKWh
+    }));
+    return {
+      countries: toList(this.gridTable.countries),
+      cloudRegions: toList(this.gridTable.cloudRegions)
+    };
+  }
+
+  /**
+   * Find the energy measured for a model on a hardware profile
+   * @param {string} modelId - Model ID
+   * @param {string} profileId - Hardware profile ID
+   * @returns {Object|null} Measurement in the measured-energy.json format, or null
+   */
+  getMeasurement(modelId, profileId) {
+    const measurements = this.measurementTable?.models?.[modelId] || [];
+    return measurements.find(measurement => measurement.hardwareProfile === profileId) || null;
+  }
+
+  /**
+   * Estimate energy and CO2e per inference
+   * Watt-hours = power draw × PUE × time per request; CO2e = kWh × grid intensity
+   * A measurement on the same hardware profile replaces power draw × time
+   * @param {Object} model - Model with sizeMB (and tier and subcategory for generative tasks)
+   * @param {Object} [options]
+   * @param {Object|string} [options.hardwareProfile] - Profile to run on (defaults to a cloud T4)
+   * @param {string|null} [options.region] - Country code or cloud region for grid intensity
+   * @returns {Object} { energyWh, co2eGrams, powerWatts, pue, grid, profileId, accelerator, measured, measurement?,
+   *   assumptions, caveat, provenance, reason? }
+   *   energyWh and co2eGrams are {low, expected, high} per inference, or null when the model doesn't fit;
+   *   measured is true when energyWh comes from a measurement, described by measurement
+   */
+  estimateEnergy(model, options = {}) {
+    const profile = normalizeHardwareProfile(options.hardwareProfile) ||
+      normalizeHardwareProfile(DEFAULT_ENERGY_PROFILE);
+    const grid = this.getGridIntensity(options.region);
+    const fit = checkModelFit(model, profile);
+
+    const base = {
+      profileId: profile.id,
+      grid: { id: grid.id, label: grid.label, gCO2ePerKWh: grid.gCO2ePerKWh },
+      measured: false,
+      caveat: ENERGY_CAVEAT,
+      provenance: this.getProvenance(
+        {
+          modelId: model.id ?? null,
+          sizeMB: model.sizeMB ?? null,
+          tier: model.tier ?? null,
+          subcategory: model.subcategory ?? null,
+          hardwareProfile: profile.id,
+          region: options.region ?? null
+        },
+        { gridIntensity: this.gridTable, measuredEnergy: this.measurementTable }
+      )
+    };
+
+    if (!fit.fits) {
+      return {
+        ...base,
+        energyWh: null,
+        co2eGrams: null,
+        powerWatts: null,
+        pue: null,
+        accelerator: profile.accelerator,
+        assumptions: [],
+        reason: `Does not fit on ${profile.label}`
+      };
+    }
+
+    const accelerator = getEffectiveAccelerator(profile, fit);
+    const powerWatts = getPowerWatts(profile, accelerator);
+    const pue = profile.accelerator === 'datacenter_gpu' ? (grid.pue ?? DEFAULT_DATACENTER_PUE) : 1;
+    const measurement = this.getMeasurement(model.id, profile.id);
+    const latency = estimateInferenceMs(model, accelerator);
+
+    const toWh = ms => powerWatts * pue * ms / 3600000;
+    const toGrams = wh => wh / 1000 * grid.gCO2ePerKWh;
+    const energyWh = measurement
+      ? {
+        low: measurement.energyWhPerInference.low * pue,
+        expected: measurement.energyWhPerInference.expected * pue,
+        high: measurement.energyWhPerInference.high * pue
+      }
+      : {
+        low: toWh(latency.low),
+        expected: toWh(latency.expected),
+        high: toWh(latency.high)
+      };
+    const co2eGrams = {
+      low: toGrams(energyWh.low),
+      expected: toGrams(energyWh.expected),
+      high: toGrams(energyWh.high)
+    };
+
+    const assumptions = measurement
+      ? [
+        `Measured on ${measurement.hardware}${measurement.date ? ` (${measurement.date})` : ''}`,
+        `${measurement.inferences.toLocaleString('en-US')} inferences over ${measurement.runs} run${measurement.runs === 1 ? '' : 's'}`
+      ]
+      : [
+        `${powerWatts} W on ${profile.label} (${ACCELERATOR_LABELS[accelerator]})`,
+        `${formatLatencyRange(latency)} per request`
+      ];
+    if (!measurement && PASSES_PER_REQUEST[model.subcategory]) {
+      assumptions.push(`${PASSES_PER_REQUEST[model.subcategory]} generated tokens per request`);
+    }
+    if (pue > 1) {
+      assumptions.push(`Data center PUE ${pue}`);
+    }
+    assumptions.push(`${grid.gCO2ePerKWh} gCO2e/kWh (${grid.label})`);
+    if (grid.fallback) {
+      assumptions.push(`Unknown region "${options.region}", using ${grid.label}`);
+    }
+
+    if (measurement) {
+      return {
+        ...base,
+        energyWh,
+        co2eGrams,
+        powerWatts,
+        pue,
+        accelerator,
+        measured: true,
+        measurement: {
+          hardware: measurement.hardware,
+          date: measurement.date,
+          runs: measurement.runs,
+          inferences: measurement.inferences,
+          source: measurement.source
+        },
+        assumptions,
+        caveat: MEASURED_ENERGY_CAVEAT
+      };
+    }
+
+    return {
+      ...base,
+      energyWh,
+      co2eGrams,
+      powerWatts,
+      pue,
+      accelerator,
+      assumptions
+    };
+  }
+
+  /**
+   * Look up the water usage effectiveness (on-site cooling water per kWh of IT energy)
+   * Region entries win, then the cloud provider's fleet figure, then the table default
+   * @param {string|null} [regionId] - Country code or cloud region (e.g. 'aws:eu-west-1')
+   * @returns {Object} { label, litersPerKWh, source, fallback }
+   */
+  getWaterUsageEffectiveness(regionId = null) {
+    const { regions = {}, providers = {} } = this.waterTable;
+    const provider = regionId?.includes(':') ? regionId.split(':')[0] : null;
+
+    if (regionId && regions[regionId]) {
+      return { ...regions[regionId], fallback: false };
+    }
+    if (provider && providers[provider]) {
+      return { ...providers[provider], fallback: false };
+    }
+    return { ...this.waterTable.default, fallback: true };
+  }
+
+  /**
+   * Estimate cooling water per inference for a data center deployment
+   * Liters = IT energy (energy without PUE overhead) in kWh × water usage effectiveness.
+   * Only cloud and server deployments on data center hardware use cooling water;
+   * everything else gets null figures and a reason
+   * @param {Object} model - Model with sizeMB and optional deploymentOptions
+   * @param {Object} [options]
+   * @param {Object|string} [options.hardwareProfile] - Profile to run on (defaults to a cloud T4)
+   * @param {string|null} [options.region] - Country code or cloud region
+   * @param {string|null} [options.deploymentTarget] - Selected deployment target
+   * @returns {Object} { waterLiters, wue, assumptions, caveat, provenance, reason? }
+   *   waterLiters is {low, expected, high} per inference, or null when not applicable
+   */
+  estimateWater(model, options = {}) {
+    const profile = normalizeHardwareProfile(options.hardwareProfile) ||
+      normalizeHardwareProfile(DEFAULT_ENERGY_PROFILE);
+    const provenance = this.getProvenance(
+      {
+        modelId: model.id ?? null,
+        sizeMB: model.sizeMB ?? null,
+        hardwareProfile: profile.id,
+        region: options.region ?? null,
+        deploymentTarget: options.deploymentTarget ?? null
+      },
+      { gridIntensity: this.gridTable, measuredEnergy: this.measurementTable, waterUsage: this.waterTable }
+    );
+    const notApplicable = reason => ({
+      waterLiters: null,
+      wue: null,
+      assumptions: [],
+      caveat: WATER_CAVEAT,
+      provenance,
+      reason
+    });
+
+    if (options.deploymentTarget && !WATER_DEPLOYMENTS.includes(options.deploymentTarget)) {
+      return notApplicable('Cooling water is only estimated for cloud and server deployments');
+    }
+    if (model.deploymentOptions && !model.deploymentOptions.some(option => WATER_DEPLOYMENTS.includes(option))) {
+      return notApplicable('Not deployable to cloud or server');
+    }
+
+    if (profile.accelerator !== 'datacenter_gpu') {
+      return notApplicable(`${profile.label} runs outside a data center`);
+    }
+
+    const energy = this.estimateEnergy(model, options);
+    if (!energy.energyWh) {
+      return notApplicable(energy.reason);
+    }
+
+    const wue = this.getWaterUsageEffectiveness(options.region);
+    const toLiters = wh => wh / energy.pue / 1000 * wue.litersPerKWh;
+    const assumptions = [
+      `${wue.litersPerKWh} L/kWh cooling water (${wue.label})`,
+      'On-site cooling only, excluding water used to generate the electricity'
+    ];
+    if (energy.measured) {
+      assumptions.push('IT energy from a measurement');
+    }
+
+    return {
+      waterLiters: {
+        low: toLiters(energy.energyWh.low),
+        expected: toLiters(energy.energyWh.expected),
+        high: toLiters(energy.energyWh.high)
+      },
+      wue: { label: wue.label, litersPerKWh: wue.litersPerKWh, source: wue.source },
+      assumptions,
+      caveat: WATER_CAVEAT,
+      provenance
+    };
+  }
+
+  /**
+   * Get the training footprint reported for a model
+   * Training is a one-off cost paid before the first inference, so it is kept
+   * apart from the per-inference figures rather than added to them
+   * @param {Object} model - Model with optional trainingEmissions (from the model card's co2_eq_emissions)
+   * @returns {Object|null} { co2eGrams, source, trainingType, hardware, region, details, caveat, provenance },
+   *   or null when the model card reports nothing
+   */
+  getTrainingFootprint(model) {
+    const reported = model?.trainingEmissions;
+    if (!reported || typeof reported.co2eGrams !== 'number' || reported.co2eGrams <= 0) return null;
+
+    const details = [
+      reported.trainingType && `Training type: ${reported.trainingType}`,
+      reported.hardware && `Hardware: ${reported.hardware}`,
+      reported.region && `Region: ${reported.region}`,
+      reported.source && `Source: ${reported.source}`
+    ].filter(Boolean);
+
+    return {
+      co2eGrams: reported.co2eGrams,
+      source: reported.source || null,
+      trainingType: reported.trainingType || null,
+      hardware: reported.hardware || null,
+      region: reported.region || null,
+      details,
+      caveat: TRAINING_CAVEAT,
+      provenance: this.getProvenance({ modelId: model.id ?? null, trainingEmissions: reported })
+    };
   }
 
   /**
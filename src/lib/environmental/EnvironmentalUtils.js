@@ -3,27 +3,252 @@
  * Helper functions for integrating environmental scoring with model data
  * 
  * NOTE: Environmental scores are a simple size-based heuristic (smaller = more efficient).
+ * The efficiency score (0-100, higher is better) is the continuous value; the 1-3 score
+ * is derived from it.
  * They are intended for rough comparison only, not as precise measurements.
+ *
+ * Results carry the methodology version that produced them (see MethodologyRegistry.js).
  */
 
-import { environmentalCalculator } from './EnvironmentalImpactCalculator.js';
+import { EnvironmentalImpactCalculator, environmentalCalculator } from './EnvironmentalImpactCalculator.js';
+import { costEstimator } from './CostEstimator.js';
+import equivalenceData from '../data/equivalences.json';
+import { DEFAULT_LIFETIME_YEARS, DEFAULT_REQUESTS_PER_DAY } from '../data/constants.js';
+
+export const DAYS_PER_YEAR = 365;
+
+/**
+ * Request volume that per-inference equivalents describe (one request is too small to picture)
+ */
+export const EQUIVALENTS_REQUESTS = 1000000;
+
+/**
+ * Equivalents smaller than this many units are too small to picture and are left out
+ */
+export const MIN_EQUIVALENT_UNITS = 0.1;
 
 /**
  * Enhance model data with environmental impact score
+ * Adds the reported training footprint when the model card has one
  * @param {Object} model - Model object with sizeMB
+ * @param {Object|null} [energyOptions] - When given, also estimate energy, CO2e and cooling water per inference
+ *   ({hardwareProfile, region, deploymentTarget}, see EnvironmentalImpactCalculator.estimateEnergy and estimateWater)
  * @returns {Object} Model with environmental data added
  */
-export function enhanceModelWithEnvironmentalData(model) {
+export function enhanceModelWithEnvironmentalData(model, energyOptions = null) {
   const impact = environmentalCalculator.calculateImpact(model);
+  const environmental = {
+    score: impact.environmentalScore,
+    efficiencyScore: impact.efficiencyScore,
+    label: impact.scoreLabel,
+    tier: impact.tier,
+    provenance: impact.provenance
+  };
+
+  if (energyOptions) {
+    environmental.energy = environmentalCalculator.estimateEnergy(model, energyOptions);
+    environmental.water = environmentalCalculator.estimateWater(model, energyOptions);
+  }
+
+  const training = environmentalCalculator.getTrainingFootprint(model);
+  if (training) {
+    environmental.training = training;
+  }
   
   return {
     ...model,
-    environmental: {
-      score: impact.environmentalScore,
-      label: impact.scoreLabel,
-      tier: impact.tier
+    environmental
+  };
+}
+
+/**
+ * Attach an energy and CO2e estimate per inference to each model
+ * @param {Array} models - Models with sizeMB
+ * @param {Object} [options] - { hardwareProfile, region }, see EnvironmentalImpactCalculator.estimateEnergy
+ * @returns {Array} Models with an energyEstimate property
+ */
+export function attachEnergyEstimates(models, options = {}) {
+  return models.map(model => ({
+    ...model,
+    energyEstimate: environmentalCalculator.estimateEnergy(model, options)
+  }));
+}
+
+/**
+ * Attach a cooling water estimate per inference to each model
+ * @param {Array} models - Models with sizeMB and deploymentOptions
+ * @param {Object} [options] - { hardwareProfile, region, deploymentTarget }, see EnvironmentalImpactCalculator.estimateWater
+ * @returns {Array} Models with a waterEstimate property (waterLiters is null outside data center deployments)
+ */
+export function attachWaterEstimates(models, options = {}) {
+  return models.map(model => ({
+    ...model,
+    waterEstimate: environmentalCalculator.estimateWater(model, options)
+  }));
+}
+
+/**
+ * Get the training footprint reported on a model's card
+ * @param {Object} model - Model with optional trainingEmissions
+ * @returns {Object|null} See EnvironmentalImpactCalculator.getTrainingFootprint
+ */
+export function getTrainingFootprint(model) {
+  return environmentalCalculator.getTrainingFootprint(model);
+}
+
+/**
+ * Recompute a model's environmental impact under another methodology version,
+ * e.g. to compare against a report exported before thresholds changed
+ * @param {Object} model - Model with sizeMB
+ * @param {string} version - Methodology version, see MethodologyRegistry.js
+ * @returns {Object} Same shape as EnvironmentalImpactCalculator.calculateImpact
+ * @throws {Error} For an unknown methodology version
+ */
+export function recomputeImpact(model, version) {
+  const calculator = new EnvironmentalImpactCalculator(
+    environmentalCalculator.gridTable,
+    environmentalCalculator.measurementTable,
+    environmentalCalculator.waterTable,
+    version
+  );
+  return calculator.calculateImpact(model);
+}
+
+/**
+ * Get the efficiency score for a model
+ * @param {Object} model - Model object with sizeMB
+ * @returns {number|null} Rounded score 0-100 (higher is more efficient), null without a size
+ */
+export function getEfficiencyScore(model) {
+  if (!model || typeof model.sizeMB !== 'number') return null;
+  return Math.round(environmentalCalculator.calculateEfficiencyScore(model.sizeMB));
+}
+
+/**
+ * Project yearly and lifetime energy, CO2e and cost of serving a model
+ * Energy scales the per-inference estimate to the expected volume; cost is
+ * estimated at that volume, with the always-on floor of cloud instances reported separately
+ * @param {Object} model - Model with sizeMB (and tier and subcategory for generative tasks)
+ * @param {Object} [options]
+ * @param {number} [options.requestsPerDay] - Expected requests per day
+ * @param {number} [options.lifetimeYears] - How long the model stays deployed
+ * @param {Object|string} [options.hardwareProfile] - Profile to run on (defaults to a cloud T4)
+ * @param {string|null} [options.region] - Country code or cloud region for grid intensity
+ * @param {number|null} [options.hourlyRate] - Override the price table's hourly price
+ * @param {string|null} [options.deploymentTarget] - Selected deployment target (cooling water is cloud and server only)
+ * @returns {Object} { requestsPerDay, lifetimeYears, requestsPerYear, yearly, lifetime, training, currency, measured,
+ *   assumptions, caveat, provenance, reason? }
+ *   yearly and lifetime hold energyWh, co2eGrams and waterLiters ({low, expected, high}) and cost and alwaysOnCost ({low, high});
+ *   each is null when unavailable. measured is true when energy comes from a measurement. training is the
+ *   reported training footprint (null if none), a one-off cost that is not part of the yearly figures
+ */
+export function projectFootprint(model, options = {}) {
+  const requestsPerDay = options.requestsPerDay ?? DEFAULT_REQUESTS_PER_DAY;
+  const lifetimeYears = options.lifetimeYears ?? DEFAULT_LIFETIME_YEARS;
+  const requestsPerYear = requestsPerDay * DAYS_PER_YEAR;
+
+  const energy = environmentalCalculator.estimateEnergy(model, options);
+  const water = environmentalCalculator.estimateWater(model, options);
+  const cost = costEstimator.estimateMonthlyCost(model, {
+    hardwareProfile: options.hardwareProfile,
+    hourlyRate: options.hourlyRate,
+    requestsPerMonth: requestsPerYear / 12
+  });
+
+  const yearly = {
+    energyWh: scaleRange(energy.energyWh, requestsPerYear),
+    co2eGrams: scaleRange(energy.co2eGrams, requestsPerYear),
+    waterLiters: scaleRange(water.waterLiters, requestsPerYear),
+    cost: cost.low !== null ? scaleRange({ low: cost.low, high: cost.high }, 12) : null,
+    alwaysOnCost: scaleRange(cost.alwaysOn, 12)
+  };
+
+  const assumptions = [
+    `${requestsPerDay.toLocaleString('en-US')} requests per day for ${lifetimeYears} year${lifetimeYears === 1 ? '' : 's'}`,
+    ...energy.assumptions
+  ];
+  if (water.waterLiters) {
+    assumptions.push(water.assumptions[0]);
+  }
+  if (yearly.alwaysOnCost) {
+    assumptions.push('Cost covers busy instance time; keeping an instance always on costs more');
+  }
+
+  const projection = {
+    requestsPerDay,
+    lifetimeYears,
+    requestsPerYear,
+    yearly,
+    lifetime: Object.fromEntries(
+      Object.entries(yearly).map(([key, range]) => [key, scaleRange(range, lifetimeYears)])
+    ),
+    training: environmentalCalculator.getTrainingFootprint(model),
+    currency: cost.currency,
+    measured: energy.measured,
+    assumptions,
+    caveat: energy.caveat,
+    provenance: {
+      ...water.provenance,
+      inputs: {
+        ...energy.provenance.inputs,
+        ...water.provenance.inputs,
+        requestsPerDay,
+        lifetimeYears,
+        hourlyRate: options.hourlyRate ?? null
+      },
+      tables: { ...water.provenance.tables, pricing: costEstimator.priceTable?.version ?? null }
     }
   };
+
+  const reason = energy.reason || cost.reason;
+  return reason ? { ...projection, reason } : projection;
+}
+
+/**
+ * Compare projected footprints of several models, e.g. the top picks
+ * @param {Array} models - Models in display order
+ * @param {Object} [options] - Same options as projectFootprint
+ * @returns {Object} { rows: [{model, projection, co2eRatio}], savings }
+ *   co2eRatio is each model's expected CO2e relative to the lowest one;
+ *   savings compares the highest against the lowest (null with fewer than two projections)
+ */
+export function compareFootprints(models, options = {}) {
+  const rows = models.map(model => ({ model, projection: projectFootprint(model, options) }));
+  const projected = rows.filter(row => row.projection.yearly.co2eGrams);
+
+  const byCo2e = [...projected].sort((a, b) =>
+    a.projection.yearly.co2eGrams.expected - b.projection.yearly.co2eGrams.expected
+  );
+  const lowest = byCo2e[0];
+  const highest = byCo2e[byCo2e.length - 1];
+
+  for (const row of rows) {
+    row.co2eRatio = row.projection.yearly.co2eGrams && lowest.projection.yearly.co2eGrams.expected > 0
+      ? row.projection.yearly.co2eGrams.expected / lowest.projection.yearly.co2eGrams.expected
+      : null;
+  }
+
+  let savings = null;
+  if (byCo2e.length >= 2 && highest !== lowest) {
+    const diff = key => highest.projection.yearly[key]
+      ? highest.projection.yearly[key].expected - lowest.projection.yearly[key].expected
+      : null;
+    const lowestCost = lowest.projection.yearly.cost;
+    const highestCost = highest.projection.yearly.cost;
+    savings = {
+      from: highest.model,
+      to: lowest.model,
+      yearly: {
+        energyWh: diff('energyWh'),
+        co2eGrams: diff('co2eGrams'),
+        cost: lowestCost && highestCost
+          ? { low: highestCost.low - lowestCost.low, high: highestCost.high - lowestCost.high }
+          : null
+      }
+    };
+  }
+
+  return { rows, savings };
 }
 
 /**
@@ -42,22 +267,27 @@ export function getEnvironmentalComparison(models) {
       ...c.model,
       environmental: {
         score: c.impact.environmentalScore,
+        efficiencyScore: c.impact.efficiencyScore,
         label: c.impact.scoreLabel,
-        rank: index + 1
+        rank: index + 1,
+        provenance: c.impact.provenance
       }
     })),
     summary: {
       mostEfficient: mostEfficient ? {
         name: mostEfficient.model.name,
         score: mostEfficient.impact.environmentalScore,
+        efficiencyScore: mostEfficient.impact.efficiencyScore,
         label: mostEfficient.impact.scoreLabel
       } : null,
       leastEfficient: leastEfficient ? {
         name: leastEfficient.model.name,
         score: leastEfficient.impact.environmentalScore,
+        efficiencyScore: leastEfficient.impact.efficiencyScore,
         label: leastEfficient.impact.scoreLabel
       } : null,
-      totalModels: models.length
+      totalModels: models.length,
+      methodologyVersion: environmentalCalculator.methodology.version
     }
   };
 }
@@ -73,7 +303,8 @@ export function getEnvironmentalInsights(models) {
       totalModels: models.length,
       lowImpactCount: 0,
       mediumImpactCount: 0,
-      highImpactCount: 0
+      highImpactCount: 0,
+      methodologyVersion: environmentalCalculator.methodology.version
     },
     recommendations: [],
     tips: []
@@ -110,8 +341,10 @@ export function getEnvironmentalInsights(models) {
       sizeMB: model.sizeMB
     },
     score: impact.environmentalScore,
+    efficiencyScore: impact.efficiencyScore,
     label: impact.scoreLabel,
-    reason: generateRecommendationReason(model, impact)
+    reason: generateRecommendationReason(model, impact),
+    provenance: impact.provenance
   }));
   
   // Generate tips
@@ -195,26 +428,47 @@ function generateEnvironmentalTips(modelsWithImpact) {
 
 /**
  * Format environmental data for display components
+ * Energy figures always come with their assumptions and a caveat
  * @param {Object} environmentalData - Environmental data object
- * @param {string} displayType - 'card', 'badge', or 'detailed'
+ * @param {string} displayType - 'card', 'badge', 'energy', 'water', 'equivalents', 'training', or 'detailed'
  * @returns {Object} Formatted data for display
  */
 export function formatEnvironmentalForDisplay(environmentalData, displayType = 'card') {
   if (!environmentalData) return null;
   
   const score = environmentalData.score;
+  const efficiencyScore = environmentalData.efficiencyScore ?? null;
   
   switch (displayType) {
     case 'card':
       return {
         score,
+        efficiencyScore,
         label: getScoreIcon(score) + ' ' + getScoreLabel(score),
-        color: getScoreColor(score)
+        color: getScoreColor(score),
+        methodologyVersion: environmentalData.provenance?.methodologyVersion ?? null,
+        energy: environmentalData.energy ? formatEnergyEstimate(environmentalData.energy) : null,
+        water: environmentalData.water ? formatWaterEstimate(environmentalData.water) : null,
+        training: environmentalData.training ? formatTrainingFootprint(environmentalData.training) : null
       };
+
+    case 'energy':
+      return environmentalData.energy ? formatEnergyEstimate(environmentalData.energy) : null;
+
+    case 'water':
+      return environmentalData.water ? formatWaterEstimate(environmentalData.water) : null;
+
+    case 'equivalents':
+      return environmentalData.energy ? formatEquivalentsForEstimate(environmentalData.energy) : null;
+
+    case 'training':
+      return environmentalData.training ? formatTrainingFootprint(environmentalData.training) : null;
       
     case 'badge':
       return {
-        text: getScoreLabel(score),
+        text: efficiencyScore !== null
+          ? `${getScoreLabel(score)} · ${efficiencyScore}/100`
+          : getScoreLabel(score),
         icon: getScoreIcon(score),
         color: getScoreColor(score)
       };
@@ -227,6 +481,198 @@ export function formatEnvironmentalForDisplay(environmentalData, displayType = '
   }
 }
 
+/**
+ * Format an energy estimate as display strings
+ * @param {Object} energy - Result of EnvironmentalImpactCalculator.estimateEnergy
+ * @returns {Object} { energy, co2e, range, source, assumptions, caveat }
+ */
+function formatEnergyEstimate(energy) {
+  if (energy.energyWh === null) {
+    return {
+      energy: 'N/A',
+      co2e: 'N/A',
+      range: null,
+      source: null,
+      assumptions: [],
+      caveat: energy.reason
+    };
+  }
+
+  return {
+    energy: `~${formatEnergy(energy.energyWh.expected)} per inference`,
+    co2e: `~${formatCO2e(energy.co2eGrams.expected)} per inference`,
+    range: formatCO2eRange(energy.co2eGrams),
+    source: energy.measured ? 'Measured' : 'Estimated',
+    assumptions: energy.assumptions,
+    caveat: energy.caveat
+  };
+}
+
+/**
+ * Format a cooling water estimate as display strings
+ * @param {Object} water - Result of EnvironmentalImpactCalculator.estimateWater
+ * @returns {Object|null} { water, range, assumptions, caveat }, or null outside data center deployments
+ */
+function formatWaterEstimate(water) {
+  if (water.waterLiters === null) return null;
+
+  return {
+    water: `~${formatWater(water.waterLiters.expected)} per inference`,
+    range: `${formatWater(water.waterLiters.low)}–${formatWater(water.waterLiters.high)}`,
+    assumptions: water.assumptions,
+    caveat: water.caveat
+  };
+}
+
+/**
+ * Format an energy estimate as everyday equivalents per EQUIVALENTS_REQUESTS requests
+ * @param {Object} energy - Result of EnvironmentalImpactCalculator.estimateEnergy
+ * @returns {Object|null} { per, summary, items, version, methodologyVersion }, or null when there is no estimate
+ */
+function formatEquivalentsForEstimate(energy) {
+  if (energy.energyWh === null) return null;
+
+  const amounts = {
+    energyWh: energy.energyWh.expected * EQUIVALENTS_REQUESTS,
+    co2eGrams: energy.co2eGrams.expected * EQUIVALENTS_REQUESTS
+  };
+  return {
+    per: `per ${formatRequestCount(EQUIVALENTS_REQUESTS)} requests`,
+    summary: formatEquivalents(amounts),
+    items: getEquivalents(amounts).map(({ text, source }) => ({ text, source })),
+    version: equivalenceData.version,
+    methodologyVersion: energy.provenance?.methodologyVersion ?? null
+  };
+}
+
+/**
+ * Format a reported training footprint as display strings
+ * @param {Object} training - Result of EnvironmentalImpactCalculator.getTrainingFootprint
+ * @returns {Object} { co2e, details, caveat }
+ */
+function formatTrainingFootprint(training) {
+  return {
+    co2e: `${formatCO2e(training.co2eGrams)} to train`,
+    details: training.details,
+    caveat: training.caveat
+  };
+}
+
+/**
+ * Translate energy and CO2e into everyday equivalents, e.g. smartphone charges or km driven
+ * @param {{energyWh?: number|null, co2eGrams?: number|null}} amounts - Totals to translate
+ * @param {Object} [table] - Conversion table in the equivalences.json format
+ * @returns {Array<{id: string, basis: string, value: number, text: string, source: string, url: string|null}>}
+ *   Equivalents of at least MIN_EQUIVALENT_UNITS units, in table order
+ */
+export function getEquivalents(amounts, table = equivalenceData) {
+  const totals = { energy: amounts.energyWh, co2e: amounts.co2eGrams };
+
+  return table.equivalents
+    .filter(entry => typeof totals[entry.basis] === 'number')
+    .map(entry => {
+      const value = totals[entry.basis] / entry.perUnit;
+      const count = formatUnitCount(value);
+      return {
+        id: entry.id,
+        basis: entry.basis,
+        value,
+        text: `${count} ${count === '1' ? entry.singular : entry.plural}`,
+        source: entry.source,
+        url: entry.url
+      };
+    })
+    .filter(equivalent => equivalent.value >= MIN_EQUIVALENT_UNITS);
+}
+
+/**
+ * Summarize totals as one energy and one CO2e equivalent,
+ * e.g. "16 smartphone charges · 0.58 km driven by car"
+ * @param {{energyWh?: number|null, co2eGrams?: number|null}} amounts - Totals to translate
+ * @param {Object} [table] - Conversion table in the equivalences.json format
+ * @returns {string|null} Summary, or null when every equivalent is too small
+ */
+export function formatEquivalents(amounts, table = equivalenceData) {
+  const equivalents = getEquivalents(amounts, table);
+  const picks = ['energy', 'co2e']
+    .map(basis => equivalents.find(equivalent => equivalent.basis === basis))
+    .filter(Boolean);
+  return picks.length > 0 ? picks.map(equivalent => equivalent.text).join(' · ') : null;
+}
+
+/**
+ * Format watt-hours for display, e.g. "44 µWh" or "1.2 Wh"
+ * @param {number|null} wh - Watt-hours
+ * @returns {string} Formatted energy, or 'N/A'
+ */
+export function formatEnergy(wh) {
+  if (wh === null || wh === undefined) return 'N/A';
+  if (wh >= 1e6) return `${formatSignificant(wh / 1e6)} MWh`;
+  if (wh >= 1000) return `${formatSignificant(wh / 1000)} kWh`;
+  if (wh >= 1) return `${formatSignificant(wh)} Wh`;
+  if (wh >= 0.001) return `${formatSignificant(wh * 1000)} mWh`;
+  return `${formatSignificant(wh * 1e6)} µWh`;
+}
+
+/**
+ * Format grams of CO2e for display, e.g. "40 mg CO2e" or "1.5 kg CO2e"
+ * @param {number|null} grams - Grams of CO2e
+ * @returns {string} Formatted emissions, or 'N/A'
+ */
+export function formatCO2e(grams) {
+  if (grams === null || grams === undefined) return 'N/A';
+  if (grams >= 1e6) return `${formatSignificant(grams / 1e6)} t CO2e`;
+  if (grams >= 1000) return `${formatSignificant(grams / 1000)} kg CO2e`;
+  if (grams >= 1) return `${formatSignificant(grams)} g CO2e`;
+  if (grams >= 0.001) return `${formatSignificant(grams * 1000)} mg CO2e`;
+  return `${formatSignificant(grams * 1e6)} µg CO2e`;
+}
+
+/**
+ * Format liters of water for display, e.g. "0.45 µL" or "1.2 m³"
+ * @param {number|null} liters - Liters of water
+ * @returns {string} Formatted volume, or 'N/A'
+ */
+export function formatWater(liters) {
+  if (liters === null || liters === undefined) return 'N/A';
+  if (liters >= 1000) return `${formatSignificant(liters / 1000)} m³`;
+  if (liters >= 1) return `${formatSignificant(liters)} L`;
+  if (liters >= 0.001) return `${formatSignificant(liters * 1000)} mL`;
+  return `${formatSignificant(liters * 1e6)} µL`;
+}
+
+/**
+ * Format the uncertainty range of a CO2e estimate, e.g. "15 µg CO2e–45 µg CO2e"
+ * @param {{low: number|null, high: number|null}|null} range - Grams of CO2e
+ * @returns {string} Formatted range, or 'N/A'
+ */
+export function formatCO2eRange(range) {
+  if (!range || range.low === null) return 'N/A';
+  const low = formatCO2e(range.low);
+  const high = formatCO2e(range.high);
+  return low === high ? low : `${low}–${high}`;
+}
+
+function scaleRange(range, factor) {
+  if (!range) return null;
+  return Object.fromEntries(Object.entries(range).map(([key, value]) => [key, value * factor]));
+}
+
+function formatUnitCount(value) {
+  // Two significant figures, like the energy and CO2e figures they translate
+  return Number(value.toPrecision(2)).toLocaleString('en-US');
+}
+
+function formatRequestCount(count) {
+  return count === 1e6 ? 'million' : count.toLocaleString('en-US');
+}
+
+function formatSignificant(value) {
+  if (value === 0) return '0';
+  if (value < 0.01) return '<0.01';
+  return String(Number(value.toPrecision(2)));
+}
+
 /**
  * Get color for environmental score
  */
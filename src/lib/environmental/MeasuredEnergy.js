@@ -0,0 +1,172 @@
+/**
+ * Measured Energy
+ *
+ * Parses CodeCarbon emissions logs (emissions.csv) into measured energy per
+ * inference and merges them into the measured-energy.json table. The calculator
+ * prefers these figures over its size-based estimate when the hardware profile matches.
+ *
+ * CodeCarbon logs one row per tracked run with the total energy in kWh. It does not
+ * know how many inferences a run served or which model it ran, so those come from
+ * extra `inferences` and `model_id` columns or from the importer options.
+ */
+
+import { parseCsv } from '../data/Csv.js';
+
+/**
+ * Columns every emissions log must have
+ */
+export const REQUIRED_COLUMNS = ['energy_consumed'];
+
+/**
+ * Hardware names mapped to predefined profiles, checked in order against
+ * CodeCarbon's gpu_model (or cpu_model when no GPU was tracked)
+ */
+export const HARDWARE_PATTERNS = [
+  { pattern: /a100/i, profileId: 'cloud_a100_80gb' },
+  { pattern: /\bt4\b/i, profileId: 'cloud_t4' },
+  { pattern: /4090/, profileId: 'desktop_rtx_4090' },
+  { pattern: /raspberry|cortex-a72|bcm2711/i, profileId: 'raspberry_pi_4gb' }
+];
+
+/**
+ * Map a hardware name from an emissions log to a predefined profile
+ * @param {string} hardware - GPU or CPU model name
+ * @returns {string|null} Profile ID, or null when nothing matches
+ */
+export function guessHardwareProfile(hardware) {
+  if (!hardware) return null;
+  const match = HARDWARE_PATTERNS.find(({ pattern }) => pattern.test(hardware));
+  return match ? match.profileId : null;
+}
+
+/**
+ * Read runs from a CodeCarbon emissions log
+ * @param {string} text - Contents of emissions.csv
+ * @param {Object} [options]
+ * @param {string} [options.modelId] - Model every run belongs to (default: model_id, then project_name column)
+ * @param {number} [options.inferencesPerRun] - Inferences in each run (default: inferences column)
+ * @param {string} [options.hardwareProfile] - Profile the runs were measured on (default: guessed from the hardware name)
+ * @param {string} [options.source] - Where the log came from (e.g. its file name), recorded on each run
+ * @returns {{runs: Array<Object>, errors: Array<string>}} Runs with { modelId, hardwareProfile, hardware,
+ *   date, energyWh, inferences, source? }, where energyWh is per inference; errors name the skipped lines
+ * @throws {Error} When the log lacks a required column
+ */
+export function parseEmissionsCsv(text, options = {}) {
+  const rows = parseCsv(text);
+  const runs = [];
+  const errors = [];
+
+  if (rows.length > 0) {
+    const missing = REQUIRED_COLUMNS.filter(column => !(column in rows[0]));
+    if (missing.length > 0) {
+      throw new Error(`Not a CodeCarbon emissions log: missing column ${missing.join(', ')}`);
+    }
+  }
+
+  for (const row of rows) {
+    const modelId = options.modelId || row.model_id || row.project_name;
+    const inferences = options.inferencesPerRun ?? Number(row.inferences);
+    const energyKWh = Number(row.energy_consumed);
+
+    if (!modelId) {
+      errors.push(`line ${row.line}: no model ID (add a model_id column or pass --model)`);
+      continue;
+    }
+    if (!Number.isFinite(inferences) || inferences <= 0) {
+      errors.push(`line ${row.line}: no inference count (add an inferences column or pass --inferences)`);
+      continue;
+    }
+    if (row.energy_consumed === '' || !Number.isFinite(energyKWh) || energyKWh <= 0) {
+      errors.push(`line ${row.line}: invalid energy_consumed "${row.energy_consumed}"`);
+      continue;
+    }
+
+    const hardware = Number(row.gpu_count) > 0 && row.gpu_model ? row.gpu_model : (row.cpu_model || 'Unknown hardware');
+    const hardwareProfile = options.hardwareProfile || guessHardwareProfile(hardware);
+    if (!hardwareProfile) {
+      errors.push(`line ${row.line}: can't tell the hardware profile of "${hardware}" (pass --profile)`);
+      continue;
+    }
+
+    runs.push({
+      modelId,
+      hardwareProfile,
+      hardware,
+      date: (row.timestamp || '').slice(0, 10) || null,
+      energyWh: energyKWh * 1000 / inferences,
+      inferences,
+      ...(options.source && { source: options.source })
+    });
+  }
+
+  return { runs, errors };
+}
+
+/**
+ * Combine runs into one measurement per model and hardware profile
+ * The expected value is total energy over total inferences; low and high are the
+ * lowest and highest run. Pass the runs of every log at once: measurements for the
+ * same model and profile from separate calls replace each other when merged.
+ * @param {Array<Object>} runs - Runs from parseEmissionsCsv
+ * @param {string} [source] - Where the runs came from (default: the runs' own sources, comma-separated)
+ * @returns {Object} Measurements keyed by model ID, each a list of
+ *   { hardwareProfile, hardware, date, energyWhPerInference, runs, inferences, source }
+ */
+export function summarizeRuns(runs, source = null) {
+  const groups = new Map();
+  for (const run of runs) {
+    const key = `${run.modelId}\u0000${run.hardwareProfile}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(run);
+  }
+
+  const measurements = {};
+  for (const group of groups.values()) {
+    const { modelId, hardwareProfile } = group[0];
+    const inferences = group.reduce((sum, run) => sum + run.inferences, 0);
+    const totalWh = group.reduce((sum, run) => sum + run.energyWh * run.inferences, 0);
+    const perInference = group.map(run => run.energyWh);
+    const dates = group.map(run => run.date).filter(Boolean).sort();
+    const latest = group.find(run => run.date === dates[dates.length - 1]) || group[group.length - 1];
+    const sources = [...new Set(group.map(run => run.source).filter(Boolean))];
+
+    if (!measurements[modelId]) measurements[modelId] = [];
+    measurements[modelId].push({
+      hardwareProfile,
+      hardware: latest.hardware,
+      date: dates[dates.length - 1] || null,
+      energyWhPerInference: {
+        low: Math.min(...perInference),
+        expected: totalWh / inferences,
+        high: Math.max(...perInference)
+      },
+      runs: group.length,
+      inferences,
+      source: source ?? (sources.join(', ') || null)
+    });
+  }
+
+  return measurements;
+}
+
+/**
+ * Merge new measurements into a measured-energy table
+ * A new measurement replaces the old one for the same model and hardware profile
+ * @param {Object} table - Current table in the measured-energy.json format
+ * @param {Object} measurements - Result of summarizeRuns
+ * @param {string} [date] - Update date (YYYY-MM-DD), defaults to today
+ * @returns {Object} New table; the input is not modified
+ */
+export function mergeMeasurements(table, measurements, date = new Date().toISOString().slice(0, 10)) {
+  const models = { ...(table.models || {}) };
+
+  for (const [modelId, records] of Object.entries(measurements)) {
+    const profiles = new Set(records.map(record => record.hardwareProfile));
+    models[modelId] = [
+      ...(models[modelId] || []).filter(record => !profiles.has(record.hardwareProfile)),
+      ...records
+    ];
+  }
+
+  return { ...table, lastUpdated: date, models };
+}
@@ -0,0 +1,80 @@
+/**
+ * Methodology Registry
+ *
+ * Every version of the environmental scoring methodology, so results can say
+ * which one produced them and models can be recomputed under an older version
+ * to compare against reports exported back then.
+ *
+ * Add a new version whenever a change would move existing scores or tiers, and
+ * keep the old entries untouched. The data tables (grid intensity, measured
+ * energy, water usage, equivalences) carry their own versions, which results
+ * record next to the methodology version.
+ *
+ * This module has no imports so the Node CLIs can read it too.
+ */
+
+/**
+ * Methodology versions, oldest first
+ */
+export const METHODOLOGY_VERSIONS = {
+  '1.0': {
+    version: '1.0',
+    label: 'Size thresholds',
+    summary: 'Environmental score 1-3 from model size alone: ≤500 MB is Low, ≤4 GB is Medium, larger is High. No efficiency score.',
+    thresholds: {
+      LIGHTWEIGHT: 500,
+      STANDARD: 4000
+    },
+    efficiencyCalibration: null,
+    estimates: []
+  },
+  '2.0': {
+    version: '2.0',
+    label: 'Log-scaled efficiency score',
+    summary: 'Continuous 0-100 efficiency score, log-scaled in size, with the 1-3 score derived from it. Adds the xlarge tier (>20 GB) and per-inference energy, CO2e and cooling water estimates.',
+    thresholds: {
+      LIGHTWEIGHT: 500,   // ≤500MB = Score 1 (Low Impact)
+      STANDARD: 4000,     // ≤4GB = Score 2 (Medium Impact)
+                          // >4GB = Score 3 (High Impact)
+      ADVANCED: 20000     // ≤20GB = advanced tier, >20GB = xlarge
+    },
+    // The score is interpolated linearly in log(size) between points and clamped at
+    // both ends. The middle points sit on the tier boundaries, so each tier owns a
+    // fixed band: lightweight 70-100, standard 45-70, advanced 25-45, xlarge 0-25.
+    efficiencyCalibration: [
+      { sizeMB: 10, score: 100 },     // Tiny models (keyword spotting, small classifiers)
+      { sizeMB: 500, score: 70 },     // Lightweight / standard boundary
+      { sizeMB: 4000, score: 45 },    // Standard / advanced boundary
+      { sizeMB: 20000, score: 25 },   // Advanced / xlarge boundary
+      { sizeMB: 200000, score: 0 }    // ~100B parameters at fp16
+    ],
+    estimates: ['energy', 'co2e', 'water']
+  }
+};
+
+/**
+ * Methodology used for new results
+ */
+export const CURRENT_METHODOLOGY_VERSION = '2.0';
+
+/**
+ * Get a methodology version
+ * @param {string} [version] - Version string (defaults to the current one)
+ * @returns {Object|null} Methodology, or null for an unknown version
+ */
+export function getMethodology(version = CURRENT_METHODOLOGY_VERSION) {
+  return METHODOLOGY_VERSIONS[version] || null;
+}
+
+/**
+ * List every methodology version, oldest first
+ * @returns {Array<{version: string, label: string, summary: string, current: boolean}>}
+ */
+export function listMethodologies() {
+  return Object.values(METHODOLOGY_VERSIONS).map(({ version, label, summary }) => ({
+    version,
+    label,
+    summary,
+    current: version === CURRENT_METHODOLOGY_VERSION
+  }));
+}
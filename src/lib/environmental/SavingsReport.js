@@ -0,0 +1,217 @@
+/**
+ * Savings Report
+ *
+ * "You saved X by choosing A over B": compares a chosen model against a baseline
+ * (e.g. the largest or most accurate candidate) on size, projected energy, CO2e,
+ * cooling water and cost, and states the accuracy given up. Exports as Markdown for decision records.
+ *
+ * Energy, CO2e, water and cost come from projectFootprint, so they carry the same
+ * assumptions and caveat as the annual footprint projection.
+ */
+
+import { formatCostRange } from './CostEstimator.js';
+import { formatCO2e, formatEnergy, formatEquivalents, formatWater, projectFootprint } from './EnvironmentalUtils.js';
+
+/**
+ * Ways to pick a baseline from a list of candidates
+ */
+export const BASELINE_STRATEGIES = ['largest', 'most_accurate'];
+
+/**
+ * Pick the baseline model to compare against
+ * @param {Array} models - Candidate models
+ * @param {string} strategy - 'largest' or 'most_accurate'
+ * @returns {Object|null} Baseline model, or null when there are no candidates
+ */
+export function pickBaseline(models, strategy = 'largest') {
+  if (!models || models.length === 0) return null;
+
+  if (strategy === 'most_accurate') {
+    const rated = models.filter(model => typeof model.accuracy === 'number');
+    if (rated.length > 0) {
+      // Ties go to the larger model, the one a cautious reviewer would default to
+      return rated.reduce((best, model) =>
+        model.accuracy > best.accuracy || (model.accuracy === best.accuracy && model.sizeMB > best.sizeMB)
+          ? model
+          : best
+      );
+    }
+  }
+
+  return models.reduce((largest, model) => (model.sizeMB || 0) > (largest.sizeMB || 0) ? model : largest);
+}
+
+/**
+ * Compare a chosen model against a baseline
+ * Savings are baseline minus chosen, so positive numbers mean the chosen model is lighter;
+ * `relative` is the saving as a fraction of the baseline
+ * @param {Object} chosen - Model being recommended
+ * @param {Object} baseline - Model it is compared against
+ * @param {Object} [options] - Same options as projectFootprint (requestsPerDay, lifetimeYears,
+ *   hardwareProfile, region, hourlyRate, deploymentTarget)
+ * @returns {Object} { chosen, baseline, size, energyWh, co2eGrams, waterLiters, cost, currency, accuracy, requestsPerDay,
+ *   lifetimeYears, assumptions, caveat, reasons, provenance }; energyWh, co2eGrams, waterLiters and cost are yearly and null
+ *   when either model can't run on the profile (reasons says why); waterLiters is also null for deployment
+ *   targets without datacenter cooling; provenance holds the methodology
+ *   and data table versions behind the figures
+ */
+export function buildSavingsReport(chosen, baseline, options = {}) {
+  const chosenProjection = projectFootprint(chosen, options);
+  const baselineProjection = projectFootprint(baseline, options);
+
+  const compareExpected = key => {
+    const chosenRange = chosenProjection.yearly[key];
+    const baselineRange = baselineProjection.yearly[key];
+    if (!chosenRange || !baselineRange) return null;
+    return compareValues(chosenRange.expected, baselineRange.expected);
+  };
+
+  const chosenCost = chosenProjection.yearly.cost;
+  const baselineCost = baselineProjection.yearly.cost;
+  const cost = chosenCost && baselineCost
+    ? {
+      chosen: chosenCost,
+      baseline: baselineCost,
+      saved: { low: baselineCost.low - chosenCost.low, high: baselineCost.high - chosenCost.high },
+      relative: relativeSaving(chosenCost.low + chosenCost.high, baselineCost.low + baselineCost.high)
+    }
+    : null;
+
+  const hasAccuracy = typeof chosen.accuracy === 'number' && typeof baseline.accuracy === 'number';
+
+  return {
+    chosen: summarizeModel(chosen),
+    baseline: summarizeModel(baseline),
+    size: compareValues(chosen.sizeMB || 0, baseline.sizeMB || 0),
+    energyWh: compareExpected('energyWh'),
+    co2eGrams: compareExpected('co2eGrams'),
+    waterLiters: compareExpected('waterLiters'),
+    cost,
+    currency: chosenProjection.currency,
+    accuracy: {
+      chosen: chosen.accuracy ?? null,
+      baseline: baseline.accuracy ?? null,
+      // Percentage points given up; negative when the chosen model is more accurate
+      pointsGivenUp: hasAccuracy ? roundPoints((baseline.accuracy - chosen.accuracy) * 100) : null
+    },
+    requestsPerDay: chosenProjection.requestsPerDay,
+    lifetimeYears: chosenProjection.lifetimeYears,
+    assumptions: chosenProjection.assumptions,
+    caveat: chosenProjection.caveat,
+    reasons: [chosenProjection.reason, baselineProjection.reason].filter(Boolean),
+    provenance: {
+      methodologyVersion: chosenProjection.provenance.methodologyVersion,
+      tables: chosenProjection.provenance.tables
+    }
+  };
+}
+
+/**
+ * Format a savings report as Markdown for decision records
+ * @param {Object} report - Result of buildSavingsReport
+ * @returns {string} Markdown text
+ */
+export function formatSavingsReportAsMarkdown(report) {
+  const { chosen, baseline } = report;
+  const lines = [
+    `### Decision: ${chosen.name} over ${baseline.name}`,
+    '',
+    `| | ${chosen.name} | ${baseline.name} | Saved |`,
+    '|---|---|---|---|',
+    `| Size | ${formatSize(report.size.chosen)} | ${formatSize(report.size.baseline)} | ${formatSaving(report.size, formatSize)} |`
+  ];
+
+  if (report.energyWh) {
+    lines.push(`| Energy / year | ${formatEnergy(report.energyWh.chosen)} | ${formatEnergy(report.energyWh.baseline)} | ${formatSaving(report.energyWh, formatEnergy)} |`);
+  }
+  if (report.co2eGrams) {
+    lines.push(`| CO2e / year | ${formatCO2e(report.co2eGrams.chosen)} | ${formatCO2e(report.co2eGrams.baseline)} | ${formatSaving(report.co2eGrams, formatCO2e)} |`);
+  }
+  if (report.waterLiters) {
+    lines.push(`| Water / year | ${formatWater(report.waterLiters.chosen)} | ${formatWater(report.waterLiters.baseline)} | ${formatSaving(report.waterLiters, formatWater)} |`);
+  }
+  if (report.cost) {
+    const format = range => formatCostRange(range, report.currency);
+    const { saved } = report.cost;
+    const savedLabel = saved.high < 0
+      ? `${format({ low: -saved.high, high: -saved.low })} more`
+      : format({ low: Math.max(saved.low, 0), high: saved.high });
+    lines.push(`| Cost / year | ${format(report.cost.chosen)} | ${format(report.cost.baseline)} | ${savedLabel} |`);
+  }
+  lines.push(`| Accuracy | ${formatAccuracy(report.accuracy.chosen)} | ${formatAccuracy(report.accuracy.baseline)} | ${formatAccuracyChange(report.accuracy.pointsGivenUp)} |`);
+
+  if (report.co2eGrams && report.co2eGrams.saved > 0) {
+    const lifetime = {
+      energyWh: report.energyWh.saved * report.lifetimeYears,
+      co2eGrams: report.co2eGrams.saved * report.lifetimeYears
+    };
+    const equivalents = formatEquivalents(lifetime);
+    lines.push(
+      '',
+      `Over ${report.lifetimeYears} year${report.lifetimeYears === 1 ? '' : 's'} this avoids about ` +
+      `${formatCO2e(lifetime.co2eGrams)} and ${formatEnergy(lifetime.energyWh)}` +
+      (equivalents ? ` (≈ ${equivalents}).` : '.')
+    );
+  }
+  if (report.reasons.length > 0) {
+    lines.push('', ...report.reasons.map(reason => `- ${reason}`));
+  }
+
+  const tables = Object.entries(report.provenance.tables)
+    .map(([name, version]) => `${name} ${version ?? 'n/a'}`)
+    .join(', ');
+  lines.push(
+    '',
+    `_Methodology v${report.provenance.methodologyVersion} (data tables: ${tables})_`,
+    `_Assumptions: ${report.assumptions.join('; ')}. ${report.caveat}_`
+  );
+  return lines.join('\n');
+}
+
+function summarizeModel(model) {
+  return {
+    id: model.id,
+    name: model.name,
+    huggingFaceId: model.huggingFaceId || null,
+    tier: model.tier || null,
+    sizeMB: model.sizeMB
+  };
+}
+
+function compareValues(chosen, baseline) {
+  return {
+    chosen,
+    baseline,
+    saved: baseline - chosen,
+    relative: relativeSaving(chosen, baseline)
+  };
+}
+
+function relativeSaving(chosen, baseline) {
+  return baseline > 0 ? (baseline - chosen) / baseline : 0;
+}
+
+function roundPoints(points) {
+  return Math.round(points * 10) / 10;
+}
+
+function formatSaving(comparison, format) {
+  if (comparison.saved < 0) {
+    return `${format(-comparison.saved)} more`;
+  }
+  return `${format(comparison.saved)} (${Math.round(comparison.relative * 100)}%)`;
+}
+
+function formatSize(sizeMB) {
+  return sizeMB < 1000 ? `${Math.round(sizeMB)} MB` : `${(sizeMB / 1000).toFixed(1)} GB`;
+}
+
+function formatAccuracy(accuracy) {
+  return typeof accuracy === 'number' ? `${(accuracy * 100).toFixed(0)}%` : 'N/A';
+}
+
+function formatAccuracyChange(points) {
+  if (points === null) return 'Not comparable';
+  if (points === 0) return 'No change';
+  return points > 0 ? `${points} points given up` : `${-points} points gained`;
+}
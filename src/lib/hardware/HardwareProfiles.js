@@ -0,0 +1,280 @@
+/**
+ * Hardware Profiles
+ *
+ * Predefined and custom deployment targets (RAM, VRAM, disk, accelerator)
+ * and a simple memory estimate to check whether a model will fit.
+ *
+ * IMPORTANT CAVEAT: Runtime memory is estimated from sizeMB and numeric precision
+ * with a fixed overhead factor. Real usage also depends on context length, batch
+ * size, runtime and framework, so treat "tight" fits as needing verification.
+ */
+
+/**
+ * Accelerator classes, ordered from least to most capable
+ */
+export const ACCELERATORS = ['cpu', 'mobile_soc', 'consumer_gpu', 'datacenter_gpu'];
+
+/**
+ * Bytes per parameter for each supported precision
+ */
+export const PRECISION_BYTES = {
+  fp32: 4,
+  fp16: 2,
+  int8: 1,
+  int4: 0.5
+};
+
+/**
+ * Precision assumed for sizeMB when a model does not declare one
+ * (the aggregator estimates parameter-based sizes at fp16)
+ */
+export const DEFAULT_STORED_PRECISION = 'fp16';
+
+/**
+ * Multiplier on weight memory for activations, KV cache and runtime buffers
+ */
+export const RUNTIME_OVERHEAD = 1.2;
+
+/**
+ * Share of system RAM assumed usable by the model (OS and other processes take the rest)
+ */
+export const USABLE_RAM_FRACTION = 0.75;
+
+/**
+ * Fits using more than this share of available memory are flagged as "tight"
+ */
+export const TIGHT_FIT_FRACTION = 0.8;
+
+/**
+ * Effective weight throughput per accelerator class, in MB of weights read per second
+ * Small-batch inference is mostly memory-bandwidth bound, so one forward pass takes
+ * roughly sizeMB / throughput. `low` is a pessimistic, `high` an optimistic figure.
+ */
+export const WEIGHT_THROUGHPUT_MBPS = {
+  cpu: { low: 5000, high: 20000 },
+  mobile_soc: { low: 5000, high: 25000 },
+  consumer_gpu: { low: 100000, high: 500000 },
+  datacenter_gpu: { low: 150000, high: 800000 }
+};
+
+/**
+ * Typical power draw while running inference, in watts, per accelerator class
+ * Used for custom profiles and for models that spill from GPU memory onto the CPU
+ */
+export const ACCELERATOR_POWER_WATTS = {
+  cpu: 65,
+  mobile_soc: 5,
+  consumer_gpu: 350,
+  datacenter_gpu: 300
+};
+
+/**
+ * Predefined hardware profiles
+ * Memory and disk are in GB; vramGB is 0 when there is no dedicated GPU memory.
+ * powerWatts is the device's typical draw under inference load.
+ */
+export const HARDWARE_PROFILES = {
+  raspberry_pi_4gb: {
+    id: 'raspberry_pi_4gb',
+    label: 'Raspberry Pi (4 GB)',
+    ramGB: 4,
+    vramGB: 0,
+    diskGB: 32,
+    accelerator: 'cpu',
+    powerWatts: 6
+  },
+  smartphone: {
+    id: 'smartphone',
+    label: 'Smartphone (8 GB)',
+    ramGB: 8,
+    vramGB: 0,
+    diskGB: 16,
+    accelerator: 'mobile_soc',
+    powerWatts: 5
+  },
+  laptop_16gb: {
+    id: 'laptop_16gb',
+    label: 'Laptop (16 GB, no GPU)',
+    ramGB: 16,
+    vramGB: 0,
+    diskGB: 256,
+    accelerator: 'cpu',
+    powerWatts: 45
+  },
+  desktop_rtx_4090: {
+    id: 'desktop_rtx_4090',
+    label: 'Desktop with RTX 4090 (24 GB)',
+    ramGB: 64,
+    vramGB: 24,
+    diskGB: 1000,
+    accelerator: 'consumer_gpu',
+    powerWatts: 450
+  },
+  cloud_t4: {
+    id: 'cloud_t4',
+    label: 'Cloud NVIDIA T4 (16 GB)',
+    ramGB: 32,
+    vramGB: 16,
+    diskGB: 200,
+    accelerator: 'datacenter_gpu',
+    powerWatts: 70
+  },
+  cloud_a100_80gb: {
+    id: 'cloud_a100_80gb',
+    label: 'Cloud NVIDIA A100 (80 GB)',
+    ramGB: 128,
+    vramGB: 80,
+    diskGB: 1000,
+    accelerator: 'datacenter_gpu',
+    powerWatts: 400
+  }
+};
+
+/**
+ * Power draw of a profile while running on an accelerator class
+ * @param {Object} profile - Normalized hardware profile
+ * @param {string} accelerator - Accelerator class the model actually runs on
+ * @returns {number} Watts
+ */
+export function getPowerWatts(profile, accelerator) {
+  if (accelerator === profile.accelerator && typeof profile.powerWatts === 'number') {
+    return profile.powerWatts;
+  }
+  return ACCELERATOR_POWER_WATTS[accelerator] ?? ACCELERATOR_POWER_WATTS.cpu;
+}
+
+/**
+ * Get a predefined hardware profile by ID
+ * @param {string} id - Profile ID (e.g., 'raspberry_pi_4gb')
+ * @returns {Object|null} Profile or null if unknown
+ */
+export function findHardwareProfile(id) {
+  return HARDWARE_PROFILES[id] || null;
+}
+
+/**
+ * Validate and normalize a predefined or custom profile
+ * Predefined profiles can be referenced by ID alone
+ * @param {Object|string} profile - Profile object or predefined ID
+ * @returns {Object|null} Normalized profile, or null if invalid
+ */
+export function normalizeHardwareProfile(profile) {
+  if (!profile) return null;
+
+  if (typeof profile === 'string') {
+    return findHardwareProfile(profile);
+  }
+
+  if (typeof profile !== 'object' || typeof profile.id !== 'string') {
+    return null;
+  }
+
+  if (profile.id !== 'custom') {
+    return findHardwareProfile(profile.id);
+  }
+
+  const isValidAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  if (!isValidAmount(profile.ramGB) || profile.ramGB === 0) return null;
+  if (profile.vramGB != null && !isValidAmount(profile.vramGB)) return null;
+  if (profile.diskGB != null && !isValidAmount(profile.diskGB)) return null;
+  if (profile.accelerator !== undefined && !ACCELERATORS.includes(profile.accelerator)) return null;
+
+  return {
+    id: 'custom',
+    label: profile.label || 'Custom hardware',
+    ramGB: profile.ramGB,
+    vramGB: profile.vramGB ?? 0,
+    diskGB: profile.diskGB ?? null,
+    accelerator: profile.accelerator || (profile.vramGB > 0 ? 'consumer_gpu' : 'cpu')
+  };
+}
+
+/**
+ * Estimate runtime memory needed to load and run a model
+ * Scales sizeMB from the stored precision to the target precision,
+ * then adds RUNTIME_OVERHEAD for activations and runtime buffers
+ *
+ * @param {Object} model - Model with sizeMB and optional precision
+ * @param {string} [precision] - Target precision (fp32, fp16, int8, int4)
+ * @returns {number} Estimated runtime memory in MB
+ */
+export function estimateRuntimeMemoryMB(model, precision) {
+  const sizeMB = model.sizeMB || 0;
+  const storedPrecision = PRECISION_BYTES[model.precision] ? model.precision : DEFAULT_STORED_PRECISION;
+  const targetPrecision = PRECISION_BYTES[precision] ? precision : storedPrecision;
+  const scale = PRECISION_BYTES[targetPrecision] / PRECISION_BYTES[storedPrecision];
+
+  return Math.round(sizeMB * scale * RUNTIME_OVERHEAD);
+}
+
+/**
+ * Check whether a model fits a hardware profile
+ * Prefers GPU memory when the profile has VRAM, falls back to system RAM
+ *
+ * @param {Object} model - Model with sizeMB
+ * @param {Object} profile - Normalized hardware profile
+ * @param {Object} [options]
+ * @param {string} [options.precision] - Target precision for the estimate
+ * @returns {Object} Fit result: { fits, status, memoryMB, device, reasons }
+ */
+export function checkModelFit(model, profile, options = {}) {
+  const memoryMB = estimateRuntimeMemoryMB(model, options.precision);
+  const reasons = [];
+
+  const vramMB = (profile.vramGB || 0) * 1024;
+  const ramMB = profile.ramGB * 1024 * USABLE_RAM_FRACTION;
+
+  let device = null;
+  let availableMB = 0;
+  if (vramMB > 0 && memoryMB <= vramMB) {
+    device = 'vram';
+    availableMB = vramMB;
+  } else if (memoryMB <= ramMB) {
+    device = 'ram';
+    availableMB = ramMB;
+    if (vramMB > 0) {
+      reasons.push('Exceeds GPU memory, would run from system RAM');
+    }
+  } else {
+    reasons.push(`Needs ~${formatGB(memoryMB)} memory, profile has ${formatGB(Math.max(vramMB, ramMB))} usable`);
+  }
+
+  const diskFits = profile.diskGB == null || (model.sizeMB || 0) <= profile.diskGB * 1024;
+  if (!diskFits) {
+    reasons.push(`Needs ${formatGB(model.sizeMB)} disk, profile has ${profile.diskGB} GB`);
+  }
+
+  const fits = device !== null && diskFits;
+  let status = 'exceeds';
+  if (fits) {
+    status = memoryMB > availableMB * TIGHT_FIT_FRACTION ? 'tight' : 'fits';
+    if (status === 'tight') {
+      reasons.push('Uses most of the available memory');
+    }
+  }
+
+  return {
+    fits,
+    status,
+    memoryMB,
+    device,
+    profileId: profile.id,
+    reasons
+  };
+}
+
+/**
+ * Accelerator a model actually runs on
+ * A model that spills out of GPU memory into system RAM runs at CPU speed
+ * @param {Object} profile - Normalized hardware profile
+ * @param {Object} fit - Result of checkModelFit
+ * @returns {string} Accelerator class
+ */
+export function getEffectiveAccelerator(profile, fit) {
+  if (fit && fit.device === 'ram' && profile.vramGB > 0) return 'cpu';
+  return profile.accelerator;
+}
+
+function formatGB(mb) {
+  return `${(mb / 1024).toFixed(1)} GB`;
+}
@@ -0,0 +1,187 @@
+/**
+ * Latency Estimator
+ *
+ * Expected milliseconds per inference for a model on a hardware class, derived
+ * from sizeMB, tier and the throughput table in HardwareProfiles.js.
+ *
+ * IMPORTANT CAVEAT: Small-batch inference is treated as memory-bandwidth bound,
+ * so one forward pass reads every weight once. Real latency also depends on input
+ * length, runtime, quantization kernels and warm-up; benchmark before committing
+ * to a latency budget.
+ */
+
+import {
+  ACCELERATORS,
+  WEIGHT_THROUGHPUT_MBPS,
+  checkModelFit,
+  getEffectiveAccelerator,
+  normalizeHardwareProfile
+} from './HardwareProfiles.js';
+
+/**
+ * Profile assumed when no hardware profile is selected (same as the cost estimator)
+ */
+export const DEFAULT_LATENCY_PROFILE = 'cloud_t4';
+
+/**
+ * Forward passes per request; generative tasks run roughly one pass per output token
+ */
+export const PASSES_PER_REQUEST = {
+  text_generation: 256,
+  code_assistant: 256,
+  text_to_speech: 64
+};
+
+/**
+ * Fixed per-request overhead in milliseconds (pre/post-processing, kernel launches, I/O)
+ */
+export const OVERHEAD_MS = {
+  cpu: 2,
+  mobile_soc: 5,
+  consumer_gpu: 1,
+  datacenter_gpu: 1
+};
+
+/**
+ * Extra spread on the pessimistic bound per tier
+ * Bigger models are more sensitive to sequence length, KV cache and memory pressure
+ */
+export const TIER_UNCERTAINTY = {
+  lightweight: 1.5,
+  standard: 1.5,
+  advanced: 2,
+  xlarge: 3
+};
+
+/**
+ * Short labels for accelerator classes
+ */
+export const ACCELERATOR_LABELS = {
+  cpu: 'CPU',
+  mobile_soc: 'Mobile',
+  consumer_gpu: 'Consumer GPU',
+  datacenter_gpu: 'Datacenter GPU'
+};
+
+/**
+ * Estimate milliseconds per request on an accelerator class
+ * `expected` is the geometric mean of the throughput bounds; `high` is widened by the tier's uncertainty
+ * @param {Object} model - Model with sizeMB, and optionally tier and subcategory
+ * @param {string} accelerator - Accelerator class (cpu, mobile_soc, consumer_gpu, datacenter_gpu)
+ * @returns {{low: number, expected: number, high: number}} Milliseconds per request
+ */
+export function estimateInferenceMs(model, accelerator) {
+  const throughput = WEIGHT_THROUGHPUT_MBPS[accelerator] || WEIGHT_THROUGHPUT_MBPS.cpu;
+  const overhead = OVERHEAD_MS[accelerator] ?? OVERHEAD_MS.cpu;
+  const passes = PASSES_PER_REQUEST[model.subcategory] || 1;
+  const computeMB = passes * (model.sizeMB || 0);
+
+  const low = overhead + computeMB / throughput.high * 1000;
+  const slow = overhead + computeMB / throughput.low * 1000;
+
+  return {
+    low,
+    expected: Math.sqrt(low * slow),
+    high: slow * (TIER_UNCERTAINTY[model.tier] || 1)
+  };
+}
+
+/**
+ * Estimate latency on every accelerator class
+ * @param {Object} model - Model with sizeMB
+ * @returns {Object} Map of accelerator class to {low, expected, high}
+ */
+export function estimateLatencyByClass(model) {
+  return Object.fromEntries(ACCELERATORS.map(accelerator => [
+    accelerator,
+    estimateInferenceMs(model, accelerator)
+  ]));
+}
+
+/**
+ * Estimate latency of a model on a hardware profile
+ * Models that spill from GPU memory into RAM run at CPU speed
+ * @param {Object} model - Model with sizeMB, tier and subcategory
+ * @param {Object|string|null} [profile] - Hardware profile or ID (defaults to a cloud T4)
+ * @returns {Object} { low, expected, high, accelerator, profileId, assumptions, reason? }
+ *   low/expected/high are null when the model doesn't fit the profile
+ */
+export function estimateLatency(model, profile = null) {
+  const hardwareProfile = normalizeHardwareProfile(profile) ||
+    normalizeHardwareProfile(DEFAULT_LATENCY_PROFILE);
+  const fit = checkModelFit(model, hardwareProfile);
+
+  if (!fit.fits) {
+    return {
+      low: null,
+      expected: null,
+      high: null,
+      accelerator: hardwareProfile.accelerator,
+      profileId: hardwareProfile.id,
+      assumptions: [],
+      reason: `Does not fit on ${hardwareProfile.label}`
+    };
+  }
+
+  const accelerator = getEffectiveAccelerator(hardwareProfile, fit);
+  const estimate = estimateInferenceMs(model, accelerator);
+
+  const assumptions = [
+    `Single request on ${hardwareProfile.label} (${ACCELERATOR_LABELS[accelerator]})`
+  ];
+  if (accelerator !== hardwareProfile.accelerator) {
+    assumptions.push('Spills out of GPU memory, runs at CPU speed');
+  }
+  if (PASSES_PER_REQUEST[model.subcategory]) {
+    assumptions.push(`${PASSES_PER_REQUEST[model.subcategory]} generated tokens per request`);
+  }
+  if (TIER_UNCERTAINTY[model.tier] > 1) {
+    assumptions.push(`Slow bound widened ${TIER_UNCERTAINTY[model.tier]}× for ${model.tier} models`);
+  }
+
+  return {
+    ...estimate,
+    accelerator,
+    profileId: hardwareProfile.id,
+    assumptions
+  };
+}
+
+/**
+ * Attach a latency estimate for the active profile and per-class estimates to each model
+ * @param {Array} models - Models with sizeMB
+ * @param {Object|string|null} [profile] - Hardware profile or ID
+ * @returns {Array} Models with latencyEstimate and latencyByClass properties
+ */
+export function attachLatencyEstimates(models, profile = null) {
+  return models.map(model => ({
+    ...model,
+    latencyEstimate: model.latencyEstimate || estimateLatency(model, profile),
+    latencyByClass: estimateLatencyByClass(model)
+  }));
+}
+
+/**
+ * Format milliseconds for display, e.g. "40 ms" or "1.2 s"
+ * @param {number|null} ms - Milliseconds
+ * @returns {string} Formatted duration, or 'N/A'
+ */
+export function formatLatency(ms) {
+  if (ms === null || ms === undefined) return 'N/A';
+  if (ms < 1) return '<1 ms';
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)} s`;
+  return `${Math.round(ms / 1000)} s`;
+}
+
+/**
+ * Format the uncertainty range of an estimate, e.g. "15 ms–1.2 s"
+ * @param {{low: number|null, high: number|null}} estimate - Latency estimate
+ * @returns {string} Formatted range, or 'N/A'
+ */
+export function formatLatencyRange(estimate) {
+  if (!estimate || estimate.low === null) return 'N/A';
+  const low = formatLatency(estimate.low);
+  const high = formatLatency(estimate.high);
+  return low === high ? low : `${low}–${high}`;
+}
@@ -1,25 +1,91 @@
 /**
  * ModelSelector - Simple "smaller is better" model selection logic
- * Prioritizes lightweight models and smaller sizes within each tier
+ * Prioritizes lightweight models and smaller sizes within each tier,
+ * with an optional "balanced" mode that weighs size, accuracy and deployment fit
  */
 
+import { checkModelFit, normalizeHardwareProfile } from '../hardware/HardwareProfiles.js';
+import { estimateLatency } from '../hardware/LatencyEstimator.js';
+import { DEPLOYMENT_TARGETS, SORT_MODES } from '../data/constants.js';
+import { getFamilyKey, groupByFamily } from '../data/ModelFamilies.js';
+import { getRelatedTasks, RELATIONS } from '../data/TaskRelatedness.js';
+import { buildRationale, getSubcategoryStats } from './RecommendationRationale.js';
+
 const TIERS = ['lightweight', 'standard', 'advanced', 'xlarge'];
 
+/**
+ * Position of a model's tier, for models that don't carry tierPriority
+ * (e.g. those from getTaskModelsGroupedByTier)
+ * @param {Object} model - Model with tierPriority or tier
+ * @returns {number} 0 for lightweight up to 3 for xlarge
+ */
+function tierPriorityOf(model) {
+  return model.tierPriority ?? TIERS.indexOf(model.tier);
+}
+
+/**
+ * Fallback weights used when models.json has no selectionRules
+ */
+export const DEFAULT_WEIGHTS = {
+  environmental: 0.4,
+  accuracy: 0.4,
+  deployment: 0.2
+};
+
+/**
+ * Leading recommendations re-ordered when diversity is on (the top picks the page highlights)
+ */
+export const DIVERSE_PICKS = 3;
+
+/**
+ * Default diversity penalties, in rank positions per repeat among the picks so far
+ * A same-family repeat also shares the organization, so it pays both penalties
+ */
+export const DEFAULT_DIVERSITY_PENALTIES = {
+  family: 3,
+  organization: 2,
+  framework: 0.5
+};
+
 export class ModelSelector {
   constructor(modelsData) {
     this.modelsData = modelsData;
+    this.weights = this.getDefaultWeights();
+  }
+
+  /**
+   * Read ranking weights from models.json selectionRules
+   * @returns {Object} Weights keyed by environmental, accuracy and deployment
+   */
+  getDefaultWeights() {
+    const rules = this.modelsData.selectionRules || {};
+    return {
+      environmental: rules.environmentalWeighting ?? DEFAULT_WEIGHTS.environmental,
+      accuracy: rules.accuracyWeighting ?? DEFAULT_WEIGHTS.accuracy,
+      deployment: rules.deploymentWeighting ?? DEFAULT_WEIGHTS.deployment
+    };
   }
 
   /**
-   * Select best models for a task using "smaller is better" logic
+   * Select best models for a task
    * @param {string} category - Main category (e.g., 'computer_vision')
    * @param {string} subcategory - Subcategory (e.g., 'image_classification')
    * @param {number} maxResults - Maximum number of models to return
-   * @returns {Array} Array of recommended models, prioritized by size efficiency
+   * @param {Object} [options] - Ranking options, see rankModels
+   * @param {boolean|Object} [options.diversity] - Penalize repeated families, organizations
+   *   and frameworks in the results; true uses DEFAULT_DIVERSITY_PENALTIES, an object overrides them
+   * @returns {Array} Array of recommended models, best first
    */
-  selectModels(category, subcategory, maxResults = 3) {
+  selectModels(category, subcategory, maxResults = 3, options = {}) {
     const models = this.getTaskModels(category, subcategory);
-    return this.rankBySize(models).slice(0, maxResults);
+    const ranked = this.rankModels(models, options);
+
+    if (options.diversity) {
+      const penalties = options.diversity === true ? {} : options.diversity;
+      return this.diversify(ranked, maxResults, penalties).slice(0, maxResults);
+    }
+
+    return ranked.slice(0, maxResults);
   }
 
   /**
@@ -52,10 +118,378 @@ export class ModelSelector {
    */
   rankBySize(models) {
     return models.sort((a, b) =>
-      a.tierPriority - b.tierPriority || a.sizeMB - b.sizeMB
+      tierPriorityOf(a) - tierPriorityOf(b) || a.sizeMB - b.sizeMB
+    );
+  }
+
+  /**
+   * Rank models using the requested sort mode
+   * @param {Array} models - Models to rank
+   * @param {Object} [options]
+   * @param {string} [options.sortMode='size'] - 'size', 'balanced' or 'cost'
+   * @param {Object} [options.weights] - Per-call weight overrides for balanced mode
+   * @param {string} [options.deploymentTarget] - Target used to score deployment fit
+   * @returns {Array} Ranked models (best first)
+   */
+  rankModels(models, options = {}) {
+    if (options.sortMode === 'balanced') {
+      return this.rankByWeightedScore(models, options);
+    }
+    if (options.sortMode === 'cost') {
+      return this.rankByCost(models);
+    }
+    return this.rankBySize(models);
+  }
+
+  /**
+   * Re-order the top of a ranked list so it doesn't repeat the same family,
+   * organization or framework
+   * Picks greedily: each candidate's rank position is pushed down by the penalty
+   * for every earlier pick it shares a family, organization or primary framework
+   * with, and the lowest adjusted position wins (original order breaks ties).
+   * @param {Array} models - Models, already ranked best first
+   * @param {number} [topN] - How many leading positions to diversify (default: all)
+   * @param {Object} [penalties] - Overrides for DEFAULT_DIVERSITY_PENALTIES (0 disables one)
+   * @returns {Array} All models, with the first topN diversified and the rest in original order
+   */
+  diversify(models, topN = models.length, penalties = {}) {
+    const weights = { ...DEFAULT_DIVERSITY_PENALTIES, ...penalties };
+    const candidates = models.map((model, index) => ({
+      model,
+      index,
+      family: getFamilyKey(model),
+      organization: getOrganization(model),
+      framework: (model.frameworks || [])[0] || null
+    }));
+
+    const picked = [];
+    while (picked.length < Math.min(topN, models.length)) {
+      let best = null;
+      let bestPosition = Infinity;
+
+      for (const candidate of candidates) {
+        if (candidate.picked) continue;
+        const repeats = key => (candidate[key] ? picked.filter(p => p[key] === candidate[key]).length : 0);
+        const position = candidate.index +
+          weights.family * repeats('family') +
+          weights.organization * repeats('organization') +
+          weights.framework * repeats('framework');
+
+        if (position < bestPosition) {
+          best = candidate;
+          bestPosition = position;
+        }
+      }
+
+      best.picked = true;
+      picked.push(best);
+    }
+
+    return [
+      ...picked.map(candidate => candidate.model),
+      ...candidates.filter(candidate => !candidate.picked).map(candidate => candidate.model)
+    ];
+  }
+
+  /**
+   * Rank models by estimated monthly cost (upper bound, then lower bound)
+   * Models without a usable costEstimate go last; ties fall back to "smaller is better"
+   * @param {Array} models - Models with costEstimate (see CostEstimator.attachCostEstimates)
+   * @returns {Array} Models, cheapest first
+   */
+  rankByCost(models) {
+    const costOf = (model, bound) => model.costEstimate?.[bound] ?? Infinity;
+
+    return models.sort((a, b) =>
+      (costOf(a, 'high') - costOf(b, 'high')) ||
+      (costOf(a, 'low') - costOf(b, 'low')) ||
+      tierPriorityOf(a) - tierPriorityOf(b) ||
+      a.sizeMB - b.sizeMB
     );
   }
 
+  /**
+   * Rank models by a weighted multi-criteria score:
+   * - environmental: log-scaled size, normalized within the candidate set (smaller is better)
+   * - accuracy: normalized within the candidate set (missing accuracy counts as 0)
+   * - deployment: 1/0 match against deploymentTarget, or breadth of deploymentOptions
+   * Ties fall back to "smaller is better" ordering.
+   * @param {Array} models - Models to rank
+   * @param {Object} [options]
+   * @param {Object} [options.weights] - Overrides for environmental/accuracy/deployment weights
+   * @param {string} [options.deploymentTarget] - Deployment target to score against
+   * @returns {Array} Models with rankingScore and scoreBreakdown, best first
+   */
+  rankByWeightedScore(models, options = {}) {
+    const weights = this.resolveWeights(options.weights);
+    if (models.length === 0) return models;
+
+    const logSizes = models.map(m => Math.log10(Math.max(m.sizeMB || 0, 0.001)));
+    const minLog = Math.min(...logSizes);
+    const maxLog = Math.max(...logSizes);
+    const accuracies = models.map(m => m.accuracy ?? 0);
+    const minAcc = Math.min(...accuracies);
+    const maxAcc = Math.max(...accuracies);
+
+    const scored = models.map((model, i) => {
+      const scoreBreakdown = {
+        environmental: maxLog === minLog ? 1 : (maxLog - logSizes[i]) / (maxLog - minLog),
+        accuracy: maxAcc === minAcc ? 1 : (accuracies[i] - minAcc) / (maxAcc - minAcc),
+        deployment: this.scoreDeploymentFit(model, options.deploymentTarget)
+      };
+      const rankingScore =
+        weights.environmental * scoreBreakdown.environmental +
+        weights.accuracy * scoreBreakdown.accuracy +
+        weights.deployment * scoreBreakdown.deployment;
+
+      return { ...model, rankingScore, scoreBreakdown };
+    });
+
+    return scored.sort((a, b) =>
+      b.rankingScore - a.rankingScore ||
+      tierPriorityOf(a) - tierPriorityOf(b) ||
+      a.sizeMB - b.sizeMB
+    );
+  }
+
+  /**
+   * Score how well a model fits a deployment target (0-1)
+   * Without a target, models deployable to more targets score higher
+   * @param {Object} model - Model with deploymentOptions
+   * @param {string} [deploymentTarget] - Desired deployment target
+   * @returns {number} Fit score between 0 and 1
+   */
+  scoreDeploymentFit(model, deploymentTarget) {
+    const options = model.deploymentOptions || [];
+    if (deploymentTarget) {
+      return options.includes(deploymentTarget) ? 1 : 0;
+    }
+    const supported = options.filter(option => DEPLOYMENT_TARGETS.includes(option));
+    return supported.length / DEPLOYMENT_TARGETS.length;
+  }
+
+  /**
+   * Merge weight overrides with the defaults and normalize them to sum to 1
+   * Invalid (negative or non-numeric) overrides are ignored
+   * @param {Object} [overrides] - Partial weights
+   * @returns {Object} Normalized weights
+   */
+  resolveWeights(overrides = {}) {
+    const merged = { ...this.weights };
+    for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+      const value = overrides?.[key];
+      if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        merged[key] = value;
+      }
+    }
+
+    const total = merged.environmental + merged.accuracy + merged.deployment;
+    if (total <= 0) {
+      return { ...DEFAULT_WEIGHTS };
+    }
+
+    return {
+      environmental: merged.environmental / total,
+      accuracy: merged.accuracy / total,
+      deployment: merged.deployment / total
+    };
+  }
+
+  /**
+   * Boost models whose curated specialization matches hints from the task
+   * Order within each group is preserved, so this can run after any ranking:
+   * 1. Matching specialists (marked specializationMatch: true)
+   * 2. Generic models, kept as fallbacks
+   * 3. Specialists for a different value of a requested prefix
+   *    (e.g. a Dutch model when the task asks for Spanish)
+   * @param {Array} models - Ranked models
+   * @param {string[]} specializations - Hints such as 'language:spanish'
+   * @returns {Array} Re-ordered models
+   */
+  boostSpecialized(models, specializations = []) {
+    if (!specializations || specializations.length === 0) return models;
+
+    const requestedPrefixes = new Set(specializations.map(s => s.split(':')[0]));
+    const groupOf = model => {
+      if (!model.specialization || model.specialization === 'general') return 1;
+      if (specializations.includes(model.specialization)) return 0;
+      return requestedPrefixes.has(model.specialization.split(':')[0]) ? 2 : 1;
+    };
+
+    return models
+      .map((model, index) => ({ model, index, group: groupOf(model) }))
+      .sort((a, b) => a.group - b.group || a.index - b.index)
+      .map(({ model, group }) => group === 0 ? { ...model, specializationMatch: true } : model);
+  }
+
+  /**
+   * Mark each model as on or off the accuracy-vs-size Pareto frontier
+   * A model is dominated when another model is no larger and no less accurate,
+   * and strictly better on at least one of the two axes.
+   * Missing accuracy is treated as 0, matching the accuracy filter.
+   * @param {Array} models - Models to analyze (order is preserved)
+   * @returns {Array} Models with paretoOptimal and dominatedBy (ID of a dominating model, or null)
+   */
+  markParetoFrontier(models) {
+    return models.map(model => {
+      const accuracy = model.accuracy ?? 0;
+      const dominator = models.find(other =>
+        other !== model &&
+        other.sizeMB <= model.sizeMB &&
+        (other.accuracy ?? 0) >= accuracy &&
+        (other.sizeMB < model.sizeMB || (other.accuracy ?? 0) > accuracy)
+      );
+
+      return {
+        ...model,
+        paretoOptimal: !dominator,
+        dominatedBy: dominator ? dominator.id : null
+      };
+    });
+  }
+
+  /**
+   * Compute the Pareto-optimal set of models for a subcategory
+   * @param {string} category - Main category
+   * @param {string} subcategory - Subcategory
+   * @returns {Object} { frontier, dominated } with frontier sorted by size (smallest first)
+   */
+  getParetoFrontier(category, subcategory) {
+    const marked = this.markParetoFrontier(this.getTaskModels(category, subcategory));
+
+    return {
+      frontier: marked.filter(m => m.paretoOptimal).sort((a, b) => a.sizeMB - b.sizeMB),
+      dominated: marked.filter(m => !m.paretoOptimal)
+    };
+  }
+
+  /**
+   * Target-driven search: the single smallest model that meets every hard constraint
+   * Models missing accuracy data fail an accuracy constraint. Near misses are the
+   * failing models closest to qualifying (fewest failed constraints, then smallest
+   * shortfall); when there is a match, only misses smaller than it are listed.
+   * @param {string} category - Main category
+   * @param {string} subcategory - Subcategory
+   * @param {Object} [constraints]
+   * @param {number} [constraints.minAccuracy=0] - Minimum accuracy in percent (0-100)
+   * @param {string|null} [constraints.deploymentTarget] - Required deployment target
+   * @param {number|null} [constraints.maxSizeMB] - Maximum model size in MB
+   * @param {number} [maxNearMisses=3] - Maximum number of near misses to return
+   * @returns {Object} { match, nearMisses: [{ model, failed: [{ constraint, summary }] }], constraints, candidates }
+   */
+  findSmallestQualifying(category, subcategory, constraints = {}, maxNearMisses = 3) {
+    const models = this.getTaskModels(category, subcategory);
+    const checked = models.map(model => ({ model, ...checkTargetConstraints(model, constraints) }));
+
+    const match = checked
+      .filter(entry => entry.failed.length === 0)
+      .map(entry => entry.model)
+      .sort((a, b) => a.sizeMB - b.sizeMB || (b.accuracy ?? 0) - (a.accuracy ?? 0))[0] || null;
+
+    const nearMisses = checked
+      .filter(entry => entry.failed.length > 0 && (!match || entry.model.sizeMB < match.sizeMB))
+      .sort((a, b) =>
+        a.failed.length - b.failed.length ||
+        a.shortfall - b.shortfall ||
+        a.model.sizeMB - b.model.sizeMB
+      )
+      .slice(0, maxNearMisses)
+      .map(({ model, failed }) => ({ model, failed }));
+
+    return {
+      match,
+      nearMisses,
+      constraints: {
+        minAccuracy: constraints.minAccuracy || 0,
+        deploymentTarget: constraints.deploymentTarget || null,
+        maxSizeMB: constraints.maxSizeMB ?? null
+      },
+      candidates: models.length
+    };
+  }
+
+  /**
+   * Attach a structured "why this model" rationale to each recommendation
+   * Size percentile and accuracy median are computed over every model in the
+   * subcategory, not just the ones left after filtering
+   * @param {Array} models - Recommended models (with category and subcategory)
+   * @param {Object} [context] - Active settings: accuracyThreshold, deploymentTarget,
+   *   hardwareProfile, sortMode, specializations
+   * @returns {Array} Models with a rationale property ({ factors, nearMisses, summary })
+   */
+  attachRationale(models, context = {}) {
+    const statsBySubcategory = new Map();
+
+    return models.map(model => {
+      const key = `${model.category}/${model.subcategory}`;
+      if (!statsBySubcategory.has(key)) {
+        statsBySubcategory.set(key, getSubcategoryStats(this.getTaskModels(model.category, model.subcategory)));
+      }
+
+      return {
+        ...model,
+        rationale: buildRationale(model, statsBySubcategory.get(key), context)
+      };
+    });
+  }
+
+  /**
+   * Next smaller and next larger siblings of a model within its size family
+   * Siblings come from the model's whole subcategory (ignoring filters) and must
+   * share its specialization, so a Dutch fine-tune never steps to an English base.
+   * @param {Object} model - Model with category and subcategory
+   * @param {Map} [families] - Precomputed groupByFamily result for the subcategory
+   * @returns {Object} { family, size, smaller, larger } where each step is
+   *   { id, tier, name, huggingFaceId, sizeMB, accuracy, sizeDeltaMB, sizeRatio, accuracyDelta } or null
+   */
+  getFamilySteps(model, families = null) {
+    const key = getFamilyKey(model);
+    const familyMap = families || groupByFamily(this.getTaskModels(model.category, model.subcategory));
+    const specialization = normalizeSpecialization(model.specialization);
+
+    const siblings = (familyMap.get(key) || []).filter(other =>
+      (other.huggingFaceId || other.id) !== (model.huggingFaceId || model.id) &&
+      normalizeSpecialization(other.specialization) === specialization
+    );
+
+    // Among equal sizes prefer the more accurate sibling
+    const byAccuracy = (a, b) => (b.accuracy ?? 0) - (a.accuracy ?? 0);
+    const smaller = siblings
+      .filter(other => other.sizeMB < model.sizeMB)
+      .sort((a, b) => (b.sizeMB - a.sizeMB) || byAccuracy(a, b))[0];
+    const larger = siblings
+      .filter(other => other.sizeMB > model.sizeMB)
+      .sort((a, b) => (a.sizeMB - b.sizeMB) || byAccuracy(a, b))[0];
+
+    return {
+      family: key,
+      size: siblings.length + 1,
+      smaller: smaller ? toFamilyStep(model, smaller) : null,
+      larger: larger ? toFamilyStep(model, larger) : null
+    };
+  }
+
+  /**
+   * Attach family step-down/step-up paths to each recommendation
+   * @param {Array} models - Recommended models (with category and subcategory)
+   * @returns {Array} Models with a familySteps property (see getFamilySteps)
+   */
+  attachFamilySteps(models) {
+    const familiesBySubcategory = new Map();
+
+    return models.map(model => {
+      const key = `${model.category}/${model.subcategory}`;
+      if (!familiesBySubcategory.has(key)) {
+        familiesBySubcategory.set(key, groupByFamily(this.getTaskModels(model.category, model.subcategory)));
+      }
+
+      return {
+        ...model,
+        familySteps: this.getFamilySteps(model, familiesBySubcategory.get(key))
+      };
+    });
+  }
+
   /**
    * Filter models by accuracy threshold
    * Models with missing accuracy data are treated as 0%
@@ -86,13 +520,117 @@ export class ModelSelector {
   }
 
   /**
-   * Get models grouped by tier with accuracy filtering
+   * Filter models by deployment target
+   * @param {Array} models - Models to filter
+   * @param {string|null} target - Deployment target (browser, mobile, edge, cloud, server), null means any
+   * @returns {Object} Object with filtered models and metadata
+   */
+  filterByDeployment(models, target = null) {
+    if (!target || !DEPLOYMENT_TARGETS.includes(target)) {
+      return {
+        filtered: models,
+        total: models.length,
+        hidden: 0
+      };
+    }
+
+    const filtered = models.filter(model =>
+      (model.deploymentOptions || []).includes(target)
+    );
+
+    return {
+      filtered,
+      total: models.length,
+      hidden: models.length - filtered.length
+    };
+  }
+
+  /**
+   * Filter models by what fits on a hardware profile
+   * Every model gets a hardwareFit result attached; in 'flag' mode nothing is removed
+   * @param {Array} models - Models to filter
+   * @param {Object|string|null} profile - Hardware profile or predefined profile ID
+   * @param {Object} [options]
+   * @param {string} [options.mode='hide'] - 'hide' drops models that don't fit, 'flag' keeps them
+   * @param {string} [options.precision] - Target precision for the memory estimate
+   * @returns {Object} Object with filtered models and metadata
+   */
+  filterByHardware(models, profile, options = {}) {
+    const hardwareProfile = normalizeHardwareProfile(profile);
+    if (!hardwareProfile) {
+      return {
+        filtered: models,
+        total: models.length,
+        hidden: 0
+      };
+    }
+
+    const withFit = models.map(model => ({
+      ...model,
+      hardwareFit: checkModelFit(model, hardwareProfile, { precision: options.precision })
+    }));
+
+    const filtered = options.mode === 'flag'
+      ? withFit
+      : withFit.filter(model => model.hardwareFit.fits);
+
+    return {
+      filtered,
+      total: models.length,
+      hidden: models.length - filtered.length
+    };
+  }
+
+  /**
+   * Filter models by a latency budget
+   * Every model gets a latencyEstimate attached; models whose expected latency exceeds
+   * the budget (or that can't run on the profile) are removed
+   * @param {Array} models - Models to filter
+   * @param {number|null} budgetMs - Maximum expected milliseconds per request, null means any
+   * @param {Object|string|null} [profile] - Hardware profile to estimate on (defaults to a cloud T4)
+   * @returns {Object} Object with filtered models and metadata
+   */
+  filterByLatency(models, budgetMs = null, profile = null) {
+    if (typeof budgetMs !== 'number' || !(budgetMs > 0)) {
+      return {
+        filtered: models,
+        total: models.length,
+        hidden: 0
+      };
+    }
+
+    const withLatency = models.map(model => ({
+      ...model,
+      latencyEstimate: estimateLatency(model, profile)
+    }));
+
+    const filtered = withLatency.filter(model =>
+      model.latencyEstimate.expected !== null && model.latencyEstimate.expected <= budgetMs
+    );
+
+    return {
+      filtered,
+      total: models.length,
+      hidden: models.length - filtered.length
+    };
+  }
+
+  /**
+   * Get models grouped by tier with accuracy, deployment, hardware and latency filtering
    * @param {string} category - Main category
    * @param {string} subcategory - Subcategory
    * @param {number} accuracyThreshold - Minimum accuracy threshold (0-95)
+   * @param {Object} [options]
+   * @param {string} [options.deploymentTarget] - Only keep models deployable to this target
+   * @param {Object|string} [options.hardwareProfile] - Hardware profile to check fit against
+   * @param {string} [options.hardwareMode='hide'] - 'hide' or 'flag' models that don't fit
+   * @param {string} [options.precision] - Target precision for hardware memory estimates
+   * @param {number|null} [options.latencyBudgetMs] - Hide models expected to be slower than this
+   * @param {boolean} [options.includeXlarge=true] - When false, xlarge models that pass
+   *   the other filters are hidden and counted in hiddenBy.xlarge
    * @returns {Object} Models grouped by tier with filter metadata
    */
-  getTaskModelsGroupedByTier(category, subcategory, accuracyThreshold = 0) {
+  getTaskModelsGroupedByTier(category, subcategory, accuracyThreshold = 0, options = {}) {
     const taskData = this.modelsData.models[category]?.[subcategory];
     if (!taskData) {
       return {
@@ -101,13 +639,15 @@ export class ModelSelector {
         advanced: { models: [], hidden: 0 },
         xlarge: { models: [], hidden: 0 },
         totalHidden: 0,
-        totalShown: 0
+        totalShown: 0,
+        hiddenBy: { accuracy: 0, deployment: 0, hardware: 0, latency: 0, xlarge: 0 }
       };
     }
 
     const result = {
       totalHidden: 0,
-      totalShown: 0
+      totalShown: 0,
+      hiddenBy: { accuracy: 0, deployment: 0, hardware: 0, latency: 0, xlarge: 0 }
     };
 
     TIERS.forEach(tier => {
@@ -118,19 +658,165 @@ export class ModelSelector {
         subcategory
       }));
 
-      const filterResult = this.filterByAccuracy(tierModels, accuracyThreshold);
+      const accuracyResult = this.filterByAccuracy(tierModels, accuracyThreshold);
+      const deploymentResult = this.filterByDeployment(accuracyResult.filtered, options.deploymentTarget);
+      const hardwareResult = this.filterByHardware(deploymentResult.filtered, options.hardwareProfile, {
+        mode: options.hardwareMode,
+        precision: options.precision
+      });
+      const latencyResult = this.filterByLatency(
+        hardwareResult.filtered,
+        options.latencyBudgetMs,
+        options.hardwareProfile
+      );
+      // Very large models are opt-in: hide the ones that would otherwise be shown
+      const xlargeHidden = tier === 'xlarge' && options.includeXlarge === false
+        ? latencyResult.filtered.length
+        : 0;
+      const shown = xlargeHidden > 0 ? [] : latencyResult.filtered;
+      const hidden = accuracyResult.hidden + deploymentResult.hidden + hardwareResult.hidden +
+        latencyResult.hidden + xlargeHidden;
 
       result[tier] = {
-        models: this.rankBySize(filterResult.filtered),
-        hidden: filterResult.hidden
+        models: this.rankBySize(shown),
+        hidden
       };
 
-      result.totalHidden += filterResult.hidden;
-      result.totalShown += filterResult.filtered.length;
+      result.hiddenBy.accuracy += accuracyResult.hidden;
+      result.hiddenBy.deployment += deploymentResult.hidden;
+      result.hiddenBy.hardware += hardwareResult.hidden;
+      result.hiddenBy.latency += latencyResult.hidden;
+      result.hiddenBy.xlarge += xlargeHidden;
+      result.totalHidden += hidden;
+      result.totalShown += shown.length;
     });
 
     return result;
   }
+
+  /**
+   * Fall back to related tasks when a subcategory has no models left after filtering
+   * Subcategories listed as related in tasks.json are tried first; only if none of
+   * them has models are generic (untagged or 'general') models from the rest of
+   * the parent category used. Every model is tagged with a relatedTask.
+   * @param {string} category - Main category of the requested task
+   * @param {string} subcategory - Requested subcategory
+   * @param {number} accuracyThreshold - Minimum accuracy threshold (0-95)
+   * @param {Object} [options] - Same filter options as getTaskModelsGroupedByTier
+   * @param {Map} [options.relatedness] - Relatedness map, defaults to the bundled tasks.json
+   * @returns {Object} { models, sources: [{ category, subcategory, label, relation, count }] }
+   */
+  getRelatedTaskModels(category, subcategory, accuracyThreshold = 0, options = {}) {
+    const relatedTasks = getRelatedTasks(category, subcategory, options.relatedness);
+
+    for (const relation of RELATIONS) {
+      const models = [];
+      const sources = [];
+
+      relatedTasks
+        .filter(task => task.relation === relation)
+        .forEach(task => {
+          const grouped = this.getTaskModelsGroupedByTier(task.category, task.subcategory, accuracyThreshold, options);
+          const shown = TIERS
+            .flatMap(tier => grouped[tier].models)
+            .filter(model => relation !== 'parent' || !normalizeSpecialization(model.specialization));
+          if (shown.length === 0) return;
+
+          sources.push({ ...task, count: shown.length });
+          models.push(...shown.map(model => ({
+            ...model,
+            relatedTask: {
+              category: task.category,
+              subcategory: task.subcategory,
+              label: task.label,
+              relation,
+              requestedSubcategory: subcategory
+            }
+          })));
+        });
+
+      if (models.length > 0) {
+        return { models, sources };
+      }
+    }
+
+    return { models: [], sources: [] };
+  }
+}
+
+/**
+ * Untagged and 'general' models count as the same (no) specialization
+ */
+function normalizeSpecialization(specialization) {
+  return specialization && specialization !== 'general' ? specialization : null;
+}
+
+/**
+ * Publisher of a model (the huggingFaceId organization), or null for local/placeholder IDs
+ */
+function getOrganization(model) {
+  const id = model.huggingFaceId || '';
+  return id.includes('/') && !id.startsWith('placeholder/') ? id.split('/')[0].toLowerCase() : null;
+}
+
+/**
+ * Check a model against target-search constraints
+ * shortfall sums how far the model misses each constraint, relative to the constraint
+ */
+function checkTargetConstraints(model, constraints) {
+  const failed = [];
+  let shortfall = 0;
+
+  const minAccuracy = constraints.minAccuracy || 0;
+  if (minAccuracy > 0) {
+    if (typeof model.accuracy !== 'number') {
+      failed.push({ constraint: 'accuracy', summary: 'No accuracy reported' });
+      shortfall += 1;
+    } else if (model.accuracy * 100 < minAccuracy) {
+      const accuracyPercent = Math.round(model.accuracy * 1000) / 10;
+      const gapPoints = Math.round((minAccuracy - model.accuracy * 100) * 10) / 10;
+      failed.push({
+        constraint: 'accuracy',
+        summary: `${accuracyPercent}% accuracy, ${gapPoints} points below ${minAccuracy}%`
+      });
+      shortfall += gapPoints / minAccuracy;
+    }
+  }
+
+  const target = constraints.deploymentTarget;
+  if (target && !(model.deploymentOptions || []).includes(target)) {
+    failed.push({ constraint: 'deployment', summary: `Not deployable to ${target}` });
+    shortfall += 1;
+  }
+
+  const maxSizeMB = constraints.maxSizeMB;
+  if (typeof maxSizeMB === 'number' && maxSizeMB > 0 && model.sizeMB > maxSizeMB) {
+    failed.push({
+      constraint: 'size',
+      summary: `${Math.round(model.sizeMB)} MB, over the ${maxSizeMB} MB limit`
+    });
+    shortfall += (model.sizeMB - maxSizeMB) / maxSizeMB;
+  }
+
+  return { failed, shortfall };
+}
+
+/**
+ * Summarize a family sibling relative to the current model
+ */
+function toFamilyStep(model, sibling) {
+  const hasAccuracy = typeof model.accuracy === 'number' && typeof sibling.accuracy === 'number';
+  return {
+    id: sibling.id,
+    tier: sibling.tier,
+    name: sibling.name,
+    huggingFaceId: sibling.huggingFaceId,
+    sizeMB: sibling.sizeMB,
+    accuracy: sibling.accuracy ?? null,
+    sizeDeltaMB: sibling.sizeMB - model.sizeMB,
+    sizeRatio: model.sizeMB > 0 ? sibling.sizeMB / model.sizeMB : null,
+    accuracyDelta: hasAccuracy ? Math.round((sibling.accuracy - model.accuracy) * 1000) / 10 : null
+  };
 }
 
 export default ModelSelector;
\ No newline at end of file
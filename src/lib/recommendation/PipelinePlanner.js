@@ -0,0 +1,163 @@
+/**
+ * Pipeline Planner - recommendations for compound tasks
+ * Splits descriptions like "transcribe meetings and summarize them" into ordered
+ * stages, classifies each stage and summarizes the combined footprint of the chain.
+ *
+ * Classification is injected so the planner works with either the embedding
+ * classifier or the keyword fallback.
+ */
+
+import { environmentalCalculator } from '../environmental/EnvironmentalImpactCalculator.js';
+
+/**
+ * Upper bound on stages, so long run-on descriptions don't explode into noise
+ */
+export const MAX_STAGES = 5;
+
+/**
+ * Verbs that start a new stage when joined with "and" or a comma
+ * ("transcribe meetings and summarize them")
+ */
+export const STAGE_VERBS = [
+  'transcribe', 'summarize', 'summarise', 'translate', 'extract', 'classify',
+  'categorize', 'categorise', 'detect', 'recognize', 'recognise', 'identify',
+  'caption', 'describe', 'generate', 'answer', 'tag', 'label', 'segment',
+  'ocr', 'read', 'convert', 'synthesize', 'synthesise', 'speak', 'narrate',
+  'forecast', 'predict', 'recommend', 'clean', 'redact', 'cluster', 'track',
+  'count', 'embed', 'search', 'rank', 'analyze', 'analyse', 'filter', 'flag'
+];
+
+// Explicit sequencing: "then", "after that", "followed by", ";", "->"
+const SEQUENCE_SPLIT = /\s*(?:,?\s*\b(?:and\s+)?then\b|,?\s*\bafter that\b|,?\s*\bafterwards\b|,?\s*\bfollowed by\b|,?\s*\b(?:and\s+)?finally\b|;|->|→|=>)\s*/i;
+
+// "and" / comma directly followed by a stage verb
+const VERB_SPLIT = new RegExp(`\\s*(?:,\\s*(?:and\\s+)?|\\s+and\\s+)(?=(?:${STAGE_VERBS.join('|')})\\b)`, 'i');
+
+const LEADING_FILLER = /^(?:first(?:ly)?|and|then|also|to)\b[\s,]*/i;
+
+/**
+ * Split a task description into ordered stage descriptions
+ * Fragments shorter than two words are folded into their neighbour, so
+ * "detect and classify objects" stays a single stage.
+ * @param {string} description - User's task description
+ * @returns {string[]} Stage descriptions (a single entry for simple tasks)
+ */
+export function splitIntoStages(description) {
+  if (!description || typeof description !== 'string') return [];
+
+  const text = description.replace(/\s+/g, ' ').trim();
+  const fragments = text
+    .split(SEQUENCE_SPLIT)
+    .flatMap(part => (part || '').split(VERB_SPLIT))
+    .map(cleanFragment)
+    .filter(Boolean);
+
+  const stages = [];
+  for (const fragment of fragments) {
+    const previous = stages[stages.length - 1];
+    if (previous && wordCount(previous) < 2) {
+      stages[stages.length - 1] = `${previous} and ${fragment}`;
+    } else {
+      stages.push(fragment);
+    }
+  }
+
+  // A trailing one-word fragment belongs to the stage before it
+  if (stages.length > 1 && wordCount(stages[stages.length - 1]) < 2) {
+    const last = stages.pop();
+    stages[stages.length - 1] = `${stages[stages.length - 1]} and ${last}`;
+  }
+
+  if (stages.length > MAX_STAGES) {
+    return [...stages.slice(0, MAX_STAGES - 1), stages.slice(MAX_STAGES - 1).join(' then ')];
+  }
+
+  return stages.length > 0 ? stages : [text];
+}
+
+/**
+ * Classify each stage and merge neighbours that land on the same subcategory
+ * @param {string[]} stageDescriptions - Output of splitIntoStages
+ * @param {(text: string) => Promise<{category: string, subcategory: string, confidence?: number}|null>} classify
+ * @returns {Promise<Array>} [{ description, category, subcategory, confidence }]
+ */
+export async function classifyStages(stageDescriptions, classify) {
+  const stages = [];
+
+  for (const description of stageDescriptions) {
+    const result = await classify(description);
+    if (!result || !result.category || !result.subcategory) continue;
+
+    const previous = stages[stages.length - 1];
+    if (previous && previous.category === result.category && previous.subcategory === result.subcategory) {
+      previous.description = `${previous.description} and ${description}`;
+      previous.confidence = Math.min(previous.confidence, result.confidence ?? 1);
+      continue;
+    }
+
+    stages.push({
+      description,
+      category: result.category,
+      subcategory: result.subcategory,
+      confidence: result.confidence ?? 1
+    });
+  }
+
+  return stages;
+}
+
+/**
+ * Summarize a pipeline whose stages carry ranked model lists
+ * The top model of each stage is the stage's pick; the chain's environmental
+ * score is based on the combined size, since every stage runs per request.
+ * @param {Array} stages - Classified stages with a `models` array each
+ * @returns {Object} { stages, totalSizeMB, environmentalScore, scoreLabel, largestStage, missingStages, totalCost }
+ */
+export function summarizePipeline(stages) {
+  const withPicks = stages.map(stage => ({
+    ...stage,
+    pick: stage.models?.[0] || null
+  }));
+
+  const totalSizeMB = withPicks.reduce((sum, stage) => sum + (stage.pick?.sizeMB || 0), 0);
+  const environmentalScore = environmentalCalculator.calculateScoreFromSize(totalSizeMB);
+
+  let largestStage = -1;
+  withPicks.forEach((stage, index) => {
+    if (stage.pick && (largestStage === -1 || stage.pick.sizeMB > withPicks[largestStage].pick.sizeMB)) {
+      largestStage = index;
+    }
+  });
+
+  // Chain cost is only meaningful when every stage has a cost estimate
+  const estimates = withPicks.map(stage => stage.pick?.costEstimate);
+  const totalCost = estimates.length > 0 && estimates.every(e => e && e.low !== null)
+    ? {
+      low: estimates.reduce((sum, e) => sum + e.low, 0),
+      high: estimates.reduce((sum, e) => sum + e.high, 0),
+      currency: estimates[0].currency
+    }
+    : null;
+
+  return {
+    stages: withPicks,
+    totalSizeMB,
+    totalCost,
+    environmentalScore,
+    scoreLabel: environmentalCalculator.getScoreLabel(environmentalScore),
+    largestStage,
+    missingStages: withPicks.map((stage, index) => (stage.pick ? -1 : index)).filter(index => index >= 0)
+  };
+}
+
+function cleanFragment(fragment) {
+  return (fragment || '')
+    .trim()
+    .replace(LEADING_FILLER, '')
+    .replace(/^[,.\s]+|[,.!?\s]+$/g, '')
+    .trim();
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
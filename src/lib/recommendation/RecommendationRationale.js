@@ -0,0 +1,255 @@
+/**
+ * Recommendation Rationale - structured "why this model" explanations
+ * Lists the factors behind a model's rank and the filters that nearly excluded it
+ */
+
+import { TIERS } from '../data/constants.js';
+import { formatCO2e, formatEnvironmentalForDisplay } from '../environmental/EnvironmentalUtils.js';
+
+const TIER_LABELS = {
+  lightweight: 'Lightweight',
+  standard: 'Standard',
+  advanced: 'Advanced',
+  xlarge: 'Extra Large'
+};
+
+/**
+ * Models within this many accuracy points of the threshold count as near misses
+ */
+export const ACCURACY_NEAR_MISS_POINTS = 3;
+
+/**
+ * Models expected to use more than this share of the latency budget count as near misses
+ */
+export const LATENCY_NEAR_MISS_FRACTION = 0.8;
+
+/**
+ * Summary statistics for a set of models (usually every model in a subcategory)
+ * @param {Array} models - Models with sizeMB and accuracy
+ * @returns {Object} { count, sizes (sorted), medianAccuracy }
+ */
+export function getSubcategoryStats(models) {
+  const sizes = models.map(m => m.sizeMB || 0).sort((a, b) => a - b);
+  const accuracies = models
+    .map(m => m.accuracy)
+    .filter(a => typeof a === 'number')
+    .sort((a, b) => a - b);
+
+  return {
+    count: models.length,
+    sizes,
+    medianAccuracy: median(accuracies)
+  };
+}
+
+/**
+ * Build a structured rationale for one recommended model
+ * @param {Object} model - Recommended model (with tier and optional hardwareFit/paretoOptimal)
+ * @param {Object} stats - Output of getSubcategoryStats for the model's subcategory
+ * @param {Object} [context] - Active selection settings
+ * @param {number} [context.accuracyThreshold] - Accuracy filter (0-95)
+ * @param {string} [context.deploymentTarget] - Deployment filter
+ * @param {Object} [context.hardwareProfile] - Hardware profile with a label
+ * @param {number|null} [context.latencyBudgetMs] - Latency budget in milliseconds
+ * @param {string} [context.sortMode] - 'size' or 'balanced'
+ * @param {string[]} [context.specializations] - Specializations requested by the task
+ * @returns {Object} { factors, nearMisses, summary }
+ */
+export function buildRationale(model, stats, context = {}) {
+  const factors = [];
+
+  if (model.relatedTask) {
+    factors.push({
+      factor: 'relatedTask',
+      value: model.relatedTask.subcategory,
+      summary: `Suggested from the related ${model.relatedTask.label} task — ` +
+        `no ${formatTaskName(model.relatedTask.requestedSubcategory)} models matched your filters`
+    });
+  }
+
+  const tierIndex = TIERS.indexOf(model.tier);
+  factors.push({
+    factor: 'tier',
+    value: model.tier,
+    summary: `${TIER_LABELS[model.tier] || model.tier} tier` +
+      (tierIndex === 0 ? ' — smallest resource footprint' : tierIndex > 0 ? ` — tier ${tierIndex + 1} of ${TIERS.length}` : '')
+  });
+
+  const sizePercentile = getSizePercentile(model.sizeMB || 0, stats.sizes);
+  factors.push({
+    factor: 'size',
+    value: sizePercentile,
+    summary: stats.count <= 1
+      ? 'Only model for this task'
+      : sizePercentile <= 50
+        ? `Smaller than ${100 - sizePercentile}% of the ${stats.count} models for this task`
+        : `Larger than ${sizePercentile}% of the ${stats.count} models for this task`
+  });
+
+  if (typeof model.accuracy === 'number' && stats.medianAccuracy !== null) {
+    const deltaPoints = Math.round((model.accuracy - stats.medianAccuracy) * 100);
+    const medianLabel = `${Math.round(stats.medianAccuracy * 100)}%`;
+    factors.push({
+      factor: 'accuracy',
+      value: deltaPoints,
+      summary: deltaPoints === 0
+        ? `Accuracy matches the task median (${medianLabel})`
+        : `Accuracy ${Math.abs(deltaPoints)} points ${deltaPoints > 0 ? 'above' : 'below'} the task median (${medianLabel})`
+    });
+  } else {
+    factors.push({
+      factor: 'accuracy',
+      value: null,
+      summary: 'No reported accuracy'
+    });
+  }
+
+  if (context.deploymentTarget) {
+    const matches = (model.deploymentOptions || []).includes(context.deploymentTarget);
+    factors.push({
+      factor: 'deployment',
+      value: matches,
+      summary: matches
+        ? `Deployable to ${context.deploymentTarget}`
+        : `Not listed for ${context.deploymentTarget}`
+    });
+  }
+
+  if (model.specialization && model.specialization !== 'general') {
+    const matches = (context.specializations || []).includes(model.specialization);
+    factors.push({
+      factor: 'specialization',
+      value: model.specialization,
+      summary: matches
+        ? `Specialized for ${formatSpecialization(model.specialization)}, matching your task`
+        : `Specialized for ${formatSpecialization(model.specialization)}`
+    });
+  }
+
+  if (typeof model.paretoOptimal === 'boolean') {
+    factors.push({
+      factor: 'pareto',
+      value: model.paretoOptimal,
+      summary: model.paretoOptimal
+        ? 'Pareto-optimal: no other model is both smaller and more accurate'
+        : 'Dominated: a smaller model is at least as accurate'
+    });
+  }
+
+  if (context.sortMode === 'balanced' && typeof model.rankingScore === 'number') {
+    factors.push({
+      factor: 'balancedScore',
+      value: Number(model.rankingScore.toFixed(3)),
+      summary: `Balanced score ${model.rankingScore.toFixed(2)} (size, accuracy and deployment weighed together)`
+    });
+  }
+
+  const nearMisses = getNearMisses(model, context);
+
+  return {
+    factors,
+    nearMisses,
+    summary: factors.slice(0, 3).map(f => f.summary).join('; ')
+  };
+}
+
+/**
+ * Filters the model only narrowly passed
+ * @param {Object} model - Recommended model
+ * @param {Object} context - Active selection settings
+ * @returns {Array} [{ filter, summary }]
+ */
+function getNearMisses(model, context) {
+  const nearMisses = [];
+
+  if (context.accuracyThreshold > 0 && typeof model.accuracy === 'number') {
+    const marginPoints = Math.round((model.accuracy * 100 - context.accuracyThreshold) * 10) / 10;
+    if (marginPoints >= 0 && marginPoints <= ACCURACY_NEAR_MISS_POINTS) {
+      nearMisses.push({
+        filter: 'accuracy',
+        summary: marginPoints === 0
+          ? `Exactly at the ${context.accuracyThreshold}% accuracy threshold`
+          : `Only ${marginPoints} points above the ${context.accuracyThreshold}% accuracy threshold`
+      });
+    }
+  }
+
+  if (model.hardwareFit && model.hardwareFit.status === 'tight') {
+    const label = context.hardwareProfile?.label || 'the selected hardware';
+    nearMisses.push({
+      filter: 'hardware',
+      summary: `Tight fit on ${label} (~${Math.round(model.hardwareFit.memoryMB)} MB runtime memory)`
+    });
+  }
+
+  const expectedMs = model.latencyEstimate?.expected;
+  if (context.latencyBudgetMs > 0 && typeof expectedMs === 'number' &&
+      expectedMs <= context.latencyBudgetMs &&
+      expectedMs > context.latencyBudgetMs * LATENCY_NEAR_MISS_FRACTION) {
+    nearMisses.push({
+      filter: 'latency',
+      summary: `Expected ~${Math.round(expectedMs)} ms, close to your ${context.latencyBudgetMs} ms latency budget`
+    });
+  }
+
+  return nearMisses;
+}
+
+/**
+ * Format a model's rationale as Markdown for design docs
+ * @param {Object} model - Model with a rationale attached
+ * @returns {string} Markdown text
+ */
+export function formatRationaleAsMarkdown(model) {
+  if (!model.rationale) return '';
+
+  const lines = [`### Why ${model.name}`, ''];
+  if (model.huggingFaceId) {
+    lines.push(`Model: \`${model.huggingFaceId}\` (${model.sizeMB} MB)`, '');
+  }
+  if (model.energyEstimate?.co2eGrams) {
+    const equivalents = formatEnvironmentalForDisplay({ energy: model.energyEstimate }, 'equivalents');
+    const perRequest = `Footprint: ~${formatCO2e(model.energyEstimate.co2eGrams.expected)} per request`;
+    lines.push(equivalents.summary ? `${perRequest} (≈ ${equivalents.summary} ${equivalents.per})` : perRequest, '');
+  }
+  lines.push(...model.rationale.factors.map(f => `- ${f.summary}`));
+
+  if (model.rationale.nearMisses.length > 0) {
+    lines.push('', '**Nearly excluded by:**', '');
+    lines.push(...model.rationale.nearMisses.map(n => `- ${n.summary}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Share of models strictly smaller than the given size (0-100)
+ */
+function getSizePercentile(sizeMB, sortedSizes) {
+  if (sortedSizes.length <= 1) return 0;
+  const smaller = sortedSizes.filter(size => size < sizeMB).length;
+  return Math.round((smaller / (sortedSizes.length - 1)) * 100);
+}
+
+function formatTaskName(subcategory) {
+  return (subcategory || 'matching').replace(/_/g, ' ');
+}
+
+function median(sortedValues) {
+  if (sortedValues.length === 0) return null;
+  const mid = Math.floor(sortedValues.length / 2);
+  return sortedValues.length % 2 === 0
+    ? (sortedValues[mid - 1] + sortedValues[mid]) / 2
+    : sortedValues[mid];
+}
+
+/**
+ * 'language:spanish' -> 'Spanish', 'task:speaker-diarization' -> 'speaker diarization'
+ */
+export function formatSpecialization(specialization) {
+  const [prefix, value = ''] = specialization.split(':');
+  const readable = value.replace(/-/g, ' ');
+  return prefix === 'language'
+    ? readable.replace(/\b\w/g, l => l.toUpperCase())
+    : readable;
+}
@@ -3,6 +3,15 @@
  * Uses localStorage with graceful fallbacks
  */
 
+import {
+  DEFAULT_LIFETIME_YEARS,
+  DEFAULT_REQUESTS_PER_DAY,
+  DEFAULT_REQUESTS_PER_MONTH,
+  DEPLOYMENT_TARGETS,
+  GRID_REGION_IDS,
+  SORT_MODES
+} from '../data/constants.js';
+
 const STORAGE_KEY = 'modelSelector';
 
 /**
@@ -100,6 +109,427 @@ export function saveClassificationMode(mode) {
   return savePreferences(prefs);
 }
 
+/**
+ * Get ranking sort mode preference
+ * @returns {string} Mode ('size', 'balanced' or 'cost'), default 'size'
+ */
+export function getSortMode() {
+  const prefs = getPreferences();
+  const mode = prefs.sortMode;
+
+  // Validate and return
+  if (SORT_MODES.includes(mode)) {
+    return mode;
+  }
+
+  return 'size'; // Default: smallest first
+}
+
+/**
+ * Save ranking sort mode preference
+ * @param {string} mode - Mode ('size', 'balanced' or 'cost')
+ * @returns {boolean} Success status
+ */
+export function saveSortMode(mode) {
+  // Validate input
+  if (!SORT_MODES.includes(mode)) {
+    console.error('Invalid sort mode:', mode);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  prefs.sortMode = mode;
+  return savePreferences(prefs);
+}
+
+/**
+ * Get whether the top recommendations are diversified across families and publishers
+ * @returns {boolean} Diversity flag, default false
+ */
+export function getDiversity() {
+  const prefs = getPreferences();
+  return prefs.diversity === true;
+}
+
+/**
+ * Save whether the top recommendations are diversified across families and publishers
+ * @param {boolean} diversity - Diversity flag
+ * @returns {boolean} Success status
+ */
+export function saveDiversity(diversity) {
+  // Validate input
+  if (typeof diversity !== 'boolean') {
+    console.error('Invalid diversity preference:', diversity);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  prefs.diversity = diversity;
+  return savePreferences(prefs);
+}
+
+/**
+ * Get deployment target preference
+ * @returns {string|null} Target ('browser', 'mobile', 'edge', 'cloud', 'server'), default null (any)
+ */
+export function getDeploymentTarget() {
+  const prefs = getPreferences();
+  const target = prefs.deploymentTarget;
+
+  // Validate and return
+  if (DEPLOYMENT_TARGETS.includes(target)) {
+    return target;
+  }
+
+  return null; // Default: any deployment target
+}
+
+/**
+ * Save deployment target preference
+ * @param {string|null} target - Deployment target, or null for any
+ * @returns {boolean} Success status
+ */
+export function saveDeploymentTarget(target) {
+  // Validate input
+  if (target !== null && !DEPLOYMENT_TARGETS.includes(target)) {
+    console.error('Invalid deployment target:', target);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  if (target === null) {
+    delete prefs.deploymentTarget;
+  } else {
+    prefs.deploymentTarget = target;
+  }
+  return savePreferences(prefs);
+}
+
+/**
+ * Get hardware profile preference
+ * Resolve it with normalizeHardwareProfile, which also drops unknown or invalid entries
+ * @returns {Object|null} Saved profile ({ id } or custom specs), default null (any hardware)
+ */
+export function getHardwareProfile() {
+  const prefs = getPreferences();
+  const profile = prefs.hardwareProfile;
+
+  // Validate and return
+  if (profile && typeof profile === 'object' && typeof profile.id === 'string') {
+    return profile;
+  }
+
+  return null;
+}
+
+/**
+ * Save hardware profile preference
+ * Predefined profiles are stored by ID, custom profiles with their full specs
+ * @param {Object|null} profile - Hardware profile, or null for any hardware
+ * @returns {boolean} Success status
+ */
+export function saveHardwareProfile(profile) {
+  const prefs = getPreferences();
+
+  if (profile === null) {
+    delete prefs.hardwareProfile;
+    return savePreferences(prefs);
+  }
+
+  // Validate input
+  const isCustom = profile?.id === 'custom';
+  const hasRam = typeof profile?.ramGB === 'number' && Number.isFinite(profile.ramGB) && profile.ramGB > 0;
+  if (typeof profile?.id !== 'string' || (isCustom && !hasRam)) {
+    console.error('Invalid hardware profile:', profile);
+    return false;
+  }
+
+  prefs.hardwareProfile = isCustom ? profile : { id: profile.id };
+  return savePreferences(prefs);
+}
+
+/**
+ * Get hardware fit mode preference
+ * @returns {string} Mode ('hide' or 'flag'), default 'hide'
+ */
+export function getHardwareFitMode() {
+  const prefs = getPreferences();
+  const mode = prefs.hardwareFitMode;
+
+  // Validate and return
+  if (mode === 'hide' || mode === 'flag') {
+    return mode;
+  }
+
+  return 'hide'; // Default: drop models that won't fit
+}
+
+/**
+ * Save hardware fit mode preference
+ * @param {string} mode - Mode ('hide' or 'flag')
+ * @returns {boolean} Success status
+ */
+export function saveHardwareFitMode(mode) {
+  // Validate input
+  if (mode !== 'hide' && mode !== 'flag') {
+    console.error('Invalid hardware fit mode:', mode);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  prefs.hardwareFitMode = mode;
+  return savePreferences(prefs);
+}
+
+/**
+ * Get whether xlarge-tier models are included in recommendations
+ * @returns {boolean} Include flag, default false (opt-in)
+ */
+export function getIncludeXlarge() {
+  const prefs = getPreferences();
+  return prefs.includeXlarge === true;
+}
+
+/**
+ * Save whether xlarge-tier models are included in recommendations
+ * @param {boolean} include - Include flag
+ * @returns {boolean} Success status
+ */
+export function saveIncludeXlarge(include) {
+  // Validate input
+  if (typeof include !== 'boolean') {
+    console.error('Invalid xlarge preference:', include);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  prefs.includeXlarge = include;
+  return savePreferences(prefs);
+}
+
+/**
+ * Get monthly request volume used for cost estimates
+ * @returns {number} Requests per month, default DEFAULT_REQUESTS_PER_MONTH
+ */
+export function getRequestVolume() {
+  const prefs = getPreferences();
+  const volume = prefs.requestsPerMonth;
+
+  // Validate and return
+  if (Number.isInteger(volume) && volume > 0) {
+    return volume;
+  }
+
+  return DEFAULT_REQUESTS_PER_MONTH;
+}
+
+/**
+ * Save monthly request volume used for cost estimates
+ * @param {number} volume - Positive whole number of requests per month
+ * @returns {boolean} Success status
+ */
+export function saveRequestVolume(volume) {
+  // Validate input
+  if (!Number.isInteger(volume) || volume <= 0) {
+    console.error('Invalid request volume:', volume);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  prefs.requestsPerMonth = volume;
+  return savePreferences(prefs);
+}
+
+/**
+ * Get the user's own hourly compute rate, overriding the price table
+ * @returns {number|null} Rate per instance-hour, default null (use the price table)
+ */
+export function getHourlyRate() {
+  const prefs = getPreferences();
+  const rate = prefs.hourlyRate;
+
+  // Validate and return
+  if (typeof rate === 'number' && Number.isFinite(rate) && rate >= 0) {
+    return rate;
+  }
+
+  return null;
+}
+
+/**
+ * Save the user's own hourly compute rate
+ * @param {number|null} rate - Rate per instance-hour, or null to use the price table
+ * @returns {boolean} Success status
+ */
+export function saveHourlyRate(rate) {
+  // Validate input
+  const isValidRate = typeof rate === 'number' && Number.isFinite(rate) && rate >= 0;
+  if (rate !== null && !isValidRate) {
+    console.error('Invalid hourly rate:', rate);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  if (rate === null) {
+    delete prefs.hourlyRate;
+  } else {
+    prefs.hourlyRate = rate;
+  }
+  return savePreferences(prefs);
+}
+
+/**
+ * Get latency budget preference
+ * @returns {number|null} Maximum expected milliseconds per request, default null (any latency)
+ */
+export function getLatencyBudget() {
+  const prefs = getPreferences();
+  const budget = prefs.latencyBudgetMs;
+
+  // Validate and return
+  if (typeof budget === 'number' && Number.isFinite(budget) && budget > 0) {
+    return budget;
+  }
+
+  return null;
+}
+
+/**
+ * Save latency budget preference
+ * @param {number|null} budgetMs - Maximum expected milliseconds per request, or null for any latency
+ * @returns {boolean} Success status
+ */
+export function saveLatencyBudget(budgetMs) {
+  // Validate input
+  const isValidBudget = typeof budgetMs === 'number' && Number.isFinite(budgetMs) && budgetMs > 0;
+  if (budgetMs !== null && !isValidBudget) {
+    console.error('Invalid latency budget:', budgetMs);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  if (budgetMs === null) {
+    delete prefs.latencyBudgetMs;
+  } else {
+    prefs.latencyBudgetMs = budgetMs;
+  }
+  return savePreferences(prefs);
+}
+
+/**
+ * Get target search preference
+ * @returns {{enabled: boolean, maxSizeMB: number|null}} Target search settings, default disabled with no size limit
+ */
+export function getTargetSearch() {
+  const prefs = getPreferences();
+  const target = prefs.targetSearch;
+
+  // Validate and return
+  if (target && typeof target === 'object') {
+    const maxSizeMB = target.maxSizeMB;
+    return {
+      enabled: target.enabled === true,
+      maxSizeMB: typeof maxSizeMB === 'number' && Number.isFinite(maxSizeMB) && maxSizeMB > 0 ? maxSizeMB : null
+    };
+  }
+
+  return { enabled: false, maxSizeMB: null };
+}
+
+/**
+ * Save target search preference
+ * @param {{enabled: boolean, maxSizeMB: number|null}} target - Whether target search is on and its size limit
+ * @returns {boolean} Success status
+ */
+export function saveTargetSearch(target) {
+  // Validate input
+  const maxSizeMB = target?.maxSizeMB;
+  const isValidSize = maxSizeMB === null ||
+    (typeof maxSizeMB === 'number' && Number.isFinite(maxSizeMB) && maxSizeMB > 0);
+  if (!target || typeof target.enabled !== 'boolean' || !isValidSize) {
+    console.error('Invalid target search settings:', target);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  prefs.targetSearch = { enabled: target.enabled, maxSizeMB };
+  return savePreferences(prefs);
+}
+
+/**
+ * Get grid region preference
+ * @returns {string|null} Country code or cloud region for carbon estimates, default null (world average)
+ */
+export function getGridRegion() {
+  const prefs = getPreferences();
+  const region = prefs.gridRegion;
+
+  // Validate and return
+  if (GRID_REGION_IDS.includes(region)) {
+    return region;
+  }
+
+  return null;
+}
+
+/**
+ * Save grid region preference
+ * @param {string|null} region - Country code or cloud region, or null for the world average
+ * @returns {boolean} Success status
+ */
+export function saveGridRegion(region) {
+  // Validate input
+  if (region !== null && !GRID_REGION_IDS.includes(region)) {
+    console.error('Invalid grid region:', region);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  if (region === null) {
+    delete prefs.gridRegion;
+  } else {
+    prefs.gridRegion = region;
+  }
+  return savePreferences(prefs);
+}
+
+/**
+ * Get footprint projection preference
+ * @returns {{requestsPerDay: number, lifetimeYears: number}} Projection settings, default 10K requests per day for 3 years
+ */
+export function getFootprintProjection() {
+  const prefs = getPreferences();
+  const projection = prefs.footprintProjection;
+  const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  // Validate and return
+  return {
+    requestsPerDay: isPositive(projection?.requestsPerDay) ? projection.requestsPerDay : DEFAULT_REQUESTS_PER_DAY,
+    lifetimeYears: isPositive(projection?.lifetimeYears) ? projection.lifetimeYears : DEFAULT_LIFETIME_YEARS
+  };
+}
+
+/**
+ * Save footprint projection preference
+ * @param {{requestsPerDay: number, lifetimeYears: number}} projection - Expected daily volume and deployment lifetime
+ * @returns {boolean} Success status
+ */
+export function saveFootprintProjection(projection) {
+  // Validate input
+  const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  if (!projection || !isPositive(projection.requestsPerDay) || !isPositive(projection.lifetimeYears)) {
+    console.error('Invalid footprint projection settings:', projection);
+    return false;
+  }
+
+  const prefs = getPreferences();
+  prefs.footprintProjection = {
+    requestsPerDay: projection.requestsPerDay,
+    lifetimeYears: projection.lifetimeYears
+  };
+  return savePreferences(prefs);
+}
+
 /**
  * Clear all preferences (useful for testing/reset)
  * @returns {boolean} Success status
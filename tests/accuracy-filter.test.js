@@ -4,26 +4,7 @@
 
 import { describe, test, expect, beforeEach } from 'vitest';
 import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
-import {
-  getAccuracyThreshold,
-  saveAccuracyThreshold,
-  getClassificationMode,
-  saveClassificationMode,
-  clearPreferences
-} from '../src/lib/storage/preferences.js';
-
-// Mock localStorage for Node.js environment
-const localStorageMock = (() => {
-  let store = {};
-  return {
-    getItem: (key) => store[key] || null,
-    setItem: (key, value) => { store[key] = value.toString(); },
-    removeItem: (key) => { delete store[key]; },
-    clear: () => { store = {}; }
-  };
-})();
-
-global.localStorage = localStorageMock;
+import modelsData from '../src/lib/data/models.json';
 
 // Mock model data for testing
 const mockModelsData = {
@@ -138,6 +119,18 @@ describe('ModelSelector - Accuracy Filtering', () => {
     });
   });
 
+  describe('legacy accuracy guesses', () => {
+    test('hides models whose guessed accuracy was removed once a threshold is set', () => {
+      const selector = new ModelSelector(modelsData);
+      const whisper = selector.getTaskModels('speech_processing', 'speech_recognition')
+        .find(model => model.huggingFaceId === 'openai/whisper-small');
+
+      expect(whisper).toMatchObject({ accuracy: null, accuracyReported: false });
+      expect(selector.filterByAccuracy([whisper], 0).filtered).toEqual([whisper]);
+      expect(selector.filterByAccuracy([whisper], 50).filtered).toEqual([]);
+    });
+  });
+
   describe('getTaskModelsGroupedByTier', () => {
     test('returns all models when threshold is 0', () => {
       const result = modelSelector.getTaskModelsGroupedByTier(
@@ -226,141 +219,3 @@ describe('ModelSelector - Accuracy Filtering', () => {
     });
   });
 });
-
-describe('Preferences Storage', () => {
-  beforeEach(() => {
-    // Clear localStorage mock before each test
-    localStorage.clear();
-  });
-
-  describe('saveAccuracyThreshold', () => {
-    test('saves valid threshold to localStorage', () => {
-      const result = saveAccuracyThreshold(75);
-      expect(result).toBe(true);
-
-      const saved = getAccuracyThreshold();
-      expect(saved).toBe(75);
-    });
-
-    test('handles threshold of 0', () => {
-      const result = saveAccuracyThreshold(0);
-      expect(result).toBe(true);
-
-      const saved = getAccuracyThreshold();
-      expect(saved).toBe(0);
-    });
-
-    test('handles maximum threshold of 95', () => {
-      const result = saveAccuracyThreshold(95);
-      expect(result).toBe(true);
-
-      const saved = getAccuracyThreshold();
-      expect(saved).toBe(95);
-    });
-
-    test('rejects invalid threshold (negative)', () => {
-      const result = saveAccuracyThreshold(-5);
-      expect(result).toBe(false);
-
-      const saved = getAccuracyThreshold();
-      expect(saved).toBe(0); // Should return default
-    });
-
-    test('rejects invalid threshold (over 95)', () => {
-      const result = saveAccuracyThreshold(100);
-      expect(result).toBe(false);
-
-      const saved = getAccuracyThreshold();
-      expect(saved).toBe(0); // Should return default
-    });
-
-    test('rejects non-number values', () => {
-      const result = saveAccuracyThreshold('75');
-      expect(result).toBe(false);
-    });
-  });
-
-  describe('getAccuracyThreshold', () => {
-    test('returns default 0 when nothing saved', () => {
-      const result = getAccuracyThreshold();
-      expect(result).toBe(0);
-    });
-
-    test('returns saved threshold', () => {
-      saveAccuracyThreshold(85);
-      const result = getAccuracyThreshold();
-      expect(result).toBe(85);
-    });
-
-    test('handles corrupted localStorage data', () => {
-      // Manually set invalid data
-      localStorage.setItem('modelSelector', 'invalid json');
-      const result = getAccuracyThreshold();
-      expect(result).toBe(0); // Should return default
-    });
-  });
-
-  describe('saveClassificationMode', () => {
-    test('saves valid mode to localStorage', () => {
-      const result = saveClassificationMode('ensemble');
-      expect(result).toBe(true);
-
-      const saved = getClassificationMode();
-      expect(saved).toBe('ensemble');
-    });
-
-    test('saves fast mode', () => {
-      const result = saveClassificationMode('fast');
-      expect(result).toBe(true);
-
-      const saved = getClassificationMode();
-      expect(saved).toBe('fast');
-    });
-
-    test('rejects invalid mode', () => {
-      const result = saveClassificationMode('invalid');
-      expect(result).toBe(false);
-
-      const saved = getClassificationMode();
-      expect(saved).toBe('fast'); // Should return default
-    });
-
-    test('rejects non-string values', () => {
-      const result = saveClassificationMode(123);
-      expect(result).toBe(false);
-    });
-  });
-
-  describe('getClassificationMode', () => {
-    test('returns default "fast" when nothing saved', () => {
-      const result = getClassificationMode();
-      expect(result).toBe('fast');
-    });
-
-    test('returns saved mode', () => {
-      saveClassificationMode('ensemble');
-      const result = getClassificationMode();
-      expect(result).toBe('ensemble');
-    });
-
-    test('handles corrupted localStorage data', () => {
-      // Manually set invalid data
-      localStorage.setItem('modelSelector', 'invalid json');
-      const result = getClassificationMode();
-      expect(result).toBe('fast'); // Should return default
-    });
-  });
-
-  describe('clearPreferences', () => {
-    test('clears all preferences', () => {
-      saveAccuracyThreshold(75);
-      saveClassificationMode('ensemble');
-      expect(getAccuracyThreshold()).toBe(75);
-      expect(getClassificationMode()).toBe('ensemble');
-
-      clearPreferences();
-      expect(getAccuracyThreshold()).toBe(0);
-      expect(getClassificationMode()).toBe('fast');
-    });
-  });
-});
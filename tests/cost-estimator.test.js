@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the inference cost estimator
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import {
+  CostEstimator,
+  costEstimator,
+  attachCostEstimates,
+  formatCostRange,
+  HOURS_PER_MONTH
+} from '../src/lib/environmental/CostEstimator.js';
+import { DEFAULT_REQUESTS_PER_MONTH } from '../src/lib/data/constants.js';
+import { environmentalCalculator } from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import { HARDWARE_PROFILES } from '../src/lib/hardware/HardwareProfiles.js';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+
+const smallModel = { id: 'small', sizeMB: 50, subcategory: 'image_classification', tierPriority: 0 };
+const largeModel = { id: 'large', sizeMB: 3000, subcategory: 'image_classification', tierPriority: 1 };
+const llm = { id: 'llm', sizeMB: 7000, subcategory: 'text_generation', tierPriority: 2 };
+
+describe('CostEstimator', () => {
+  test('defaults to a cloud T4 and the default volume', () => {
+    const estimate = costEstimator.estimateMonthlyCost(smallModel);
+
+    expect(estimate.profileId).toBe('cloud_t4');
+    expect(estimate.requestsPerMonth).toBe(DEFAULT_REQUESTS_PER_MONTH);
+    expect(estimate.pricingType).toBe('cloud');
+    expect(estimate.low).toBeLessThanOrEqual(estimate.high);
+  });
+
+  test('larger models cost more', () => {
+    const small = costEstimator.estimateMonthlyCost(smallModel);
+    const large = costEstimator.estimateMonthlyCost(largeModel);
+    expect(large.high).toBeGreaterThan(small.high);
+  });
+
+  test('cost scales with request volume', () => {
+    const base = costEstimator.estimateMonthlyCost(largeModel, { requestsPerMonth: 100000 });
+    const tenfold = costEstimator.estimateMonthlyCost(largeModel, { requestsPerMonth: 1000000 });
+    expect(tenfold.high).toBeCloseTo(base.high * 10, 0);
+  });
+
+  test('generative tasks pay for every generated token', () => {
+    const classifier = costEstimator.estimateMonthlyCost({ ...llm, subcategory: 'text_classification' });
+    const generator = costEstimator.estimateMonthlyCost(llm);
+
+    expect(generator.high).toBeGreaterThan(classifier.high * 100);
+    expect(generator.assumptions.some(a => a.includes('generated tokens'))).toBe(true);
+  });
+
+  test('reports the always-on floor for cloud instances', () => {
+    const estimate = costEstimator.estimateMonthlyCost(smallModel, { hardwareProfile: 'cloud_t4' });
+    expect(estimate.alwaysOn.low).toBeCloseTo(HOURS_PER_MONTH * 0.35, 2);
+  });
+
+  test('shards models that do not fit one cloud instance', () => {
+    const estimate = costEstimator.estimateMonthlyCost({ sizeMB: 31000, subcategory: 'text_generation' }, {
+      hardwareProfile: 'cloud_t4'
+    });
+    expect(estimate.instances).toBe(2);
+  });
+
+  test('owned hardware only costs electricity', () => {
+    const estimate = costEstimator.estimateMonthlyCost(smallModel, { hardwareProfile: HARDWARE_PROFILES.laptop_16gb });
+
+    expect(estimate.pricingType).toBe('owned');
+    expect(estimate.alwaysOn).toBeNull();
+    expect(estimate.high).toBeLessThan(1);
+  });
+
+  test('prices owned hardware at the same power draw as the energy estimate', () => {
+    const estimator = new CostEstimator({ electricityPerKWh: { low: 1, high: 1 }, profiles: { desktop_rtx_4090: { type: 'owned' } } });
+    const pricing = estimator.getPricing(HARDWARE_PROFILES.desktop_rtx_4090);
+    const energy = environmentalCalculator.estimateEnergy(smallModel, { hardwareProfile: 'desktop_rtx_4090' });
+
+    expect(pricing.powerWatts).toBe(energy.powerWatts);
+    expect(pricing.hourly).toEqual({ low: energy.powerWatts / 1000, high: energy.powerWatts / 1000 });
+    expect(estimator.estimateMonthlyCost(smallModel, { hardwareProfile: 'desktop_rtx_4090' }).assumptions)
+      .toContain(`Owned hardware: electricity only at ${energy.powerWatts} W`);
+  });
+
+  test('returns no estimate when a model cannot run on owned hardware', () => {
+    const estimate = costEstimator.estimateMonthlyCost(llm, { hardwareProfile: 'raspberry_pi_4gb' });
+
+    expect(estimate.low).toBeNull();
+    expect(estimate.reason).toContain('Raspberry Pi');
+    expect(formatCostRange(estimate)).toBe('N/A');
+  });
+
+  test('uses the accelerator class for custom profiles', () => {
+    const estimate = costEstimator.estimateMonthlyCost(smallModel, {
+      hardwareProfile: { id: 'custom', ramGB: 64, vramGB: 40, accelerator: 'datacenter_gpu' }
+    });
+    expect(estimate.alwaysOn.high).toBeCloseTo(HOURS_PER_MONTH * 4, 2);
+  });
+
+  test('an hourly rate overrides the price table', () => {
+    const estimate = costEstimator.estimateMonthlyCost(smallModel, { hourlyRate: 1 });
+
+    expect(estimate.pricingType).toBe('override');
+    expect(estimate.alwaysOn).toEqual({ low: HOURS_PER_MONTH, high: HOURS_PER_MONTH });
+  });
+
+  test('accepts a custom price table', () => {
+    const estimator = new CostEstimator({
+      currency: 'EUR',
+      profiles: {},
+      accelerators: { datacenter_gpu: { type: 'cloud', hourly: { low: 2, high: 2 } } }
+    });
+    const estimate = estimator.estimateMonthlyCost(smallModel);
+
+    expect(estimate.currency).toBe('EUR');
+    expect(estimate.alwaysOn.low).toBe(HOURS_PER_MONTH * 2);
+  });
+
+  test('formats ranges', () => {
+    expect(formatCostRange({ low: 0.004, high: 0.5, currency: 'USD' })).toBe('<$0.01–$0.50');
+    expect(formatCostRange({ low: 1200, high: 1200 }, 'EUR')).toBe('EUR 1,200');
+  });
+});
+
+describe('ModelSelector - cost ranking', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector({ models: {} });
+  });
+
+  test('sorts cheapest first', () => {
+    const ranked = modelSelector.rankModels(attachCostEstimates([largeModel, llm, smallModel]), { sortMode: 'cost' });
+    expect(ranked.map(m => m.id)).toEqual(['small', 'large', 'llm']);
+  });
+
+  test('puts models without an estimate last', () => {
+    const models = attachCostEstimates([llm, smallModel], { hardwareProfile: 'raspberry_pi_4gb' });
+    const ranked = modelSelector.rankModels(models, { sortMode: 'cost' });
+    expect(ranked.map(m => m.id)).toEqual(['small', 'llm']);
+  });
+});
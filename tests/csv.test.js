@@ -0,0 +1,27 @@
+/**
+ * Unit tests for the shared CSV parser
+ */
+
+import { describe, test, expect } from 'vitest';
+import { parseCsv } from '../src/lib/data/Csv.js';
+
+describe('parseCsv', () => {
+  test('reads rows keyed by the header', () => {
+    const rows = parseCsv('a,b\n1,2\n3,4\n');
+
+    expect(rows).toEqual([
+      { line: 2, a: '1', b: '2' },
+      { line: 3, a: '3', b: '4' }
+    ]);
+  });
+
+  test('handles quoted fields and CRLF line endings', () => {
+    const rows = parseCsv('name,gpu\r\n"Xeon, 2.2GHz","say ""hi"""\r\n\r\n');
+
+    expect(rows).toEqual([{ line: 2, name: 'Xeon, 2.2GHz', gpu: 'say "hi"' }]);
+  });
+
+  test('returns nothing for empty input', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
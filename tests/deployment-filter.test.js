@@ -0,0 +1,120 @@
+/**
+ * Unit tests for deployment target filtering
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import { DEPLOYMENT_TARGETS } from '../src/lib/data/constants.js';
+import modelsData from '../src/lib/data/models.json';
+
+const mockModelsData = {
+  models: {
+    computer_vision: {
+      image_classification: {
+        lightweight: [
+          { id: 'web', name: 'Web', accuracy: 0.75, sizeMB: 20, deploymentOptions: ['browser', 'mobile', 'edge'] },
+          { id: 'edge', name: 'Edge', accuracy: 0.82, sizeMB: 300, deploymentOptions: ['edge', 'cloud'] }
+        ],
+        standard: [
+          { id: 'cloud', name: 'Cloud', accuracy: 0.88, sizeMB: 1200, deploymentOptions: ['cloud', 'server'] }
+        ],
+        advanced: [
+          { id: 'server', name: 'Server', accuracy: 0.95, sizeMB: 8000, deploymentOptions: ['server'] },
+          { id: 'unknown', name: 'Unknown', accuracy: 0.90, sizeMB: 9000 }
+        ]
+      }
+    }
+  }
+};
+
+describe('ModelSelector - Deployment Filtering', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(mockModelsData);
+  });
+
+  describe('filterByDeployment', () => {
+    test('returns all models without a target', () => {
+      const models = modelSelector.getTaskModels('computer_vision', 'image_classification');
+      const result = modelSelector.filterByDeployment(models, null);
+
+      expect(result.filtered).toHaveLength(5);
+      expect(result.hidden).toBe(0);
+    });
+
+    test('ignores unknown targets', () => {
+      const models = modelSelector.getTaskModels('computer_vision', 'image_classification');
+      expect(modelSelector.filterByDeployment(models, 'toaster').hidden).toBe(0);
+    });
+
+    test('keeps only models deployable to the target', () => {
+      const models = modelSelector.getTaskModels('computer_vision', 'image_classification');
+      const result = modelSelector.filterByDeployment(models, 'cloud');
+
+      expect(result.filtered.map(m => m.id)).toEqual(['edge', 'cloud']);
+      expect(result.hidden).toBe(3);
+      expect(result.total).toBe(5);
+    });
+
+    test('treats missing deploymentOptions as not deployable', () => {
+      const models = modelSelector.getTaskModels('computer_vision', 'image_classification');
+      const result = modelSelector.filterByDeployment(models, 'server');
+
+      expect(result.filtered.map(m => m.id)).not.toContain('unknown');
+    });
+  });
+
+  describe('getTaskModelsGroupedByTier', () => {
+    test('reports deployment hidden counts per tier', () => {
+      const result = modelSelector.getTaskModelsGroupedByTier(
+        'computer_vision',
+        'image_classification',
+        0,
+        { deploymentTarget: 'browser' }
+      );
+
+      expect(result.lightweight.models.map(m => m.id)).toEqual(['web']);
+      expect(result.lightweight.hidden).toBe(1);
+      expect(result.standard.hidden).toBe(1);
+      expect(result.advanced.hidden).toBe(2);
+      expect(result.hiddenBy.deployment).toBe(4);
+      expect(result.totalHidden).toBe(4);
+      expect(result.totalShown).toBe(1);
+    });
+
+    test('combines with the accuracy filter without double counting', () => {
+      const result = modelSelector.getTaskModelsGroupedByTier(
+        'computer_vision',
+        'image_classification',
+        80,
+        { deploymentTarget: 'edge' }
+      );
+
+      // Accuracy hides 'web' first, so deployment only hides the cloud/server models
+      expect(result.hiddenBy.accuracy).toBe(1);
+      expect(result.hiddenBy.deployment).toBe(3);
+      expect(result.totalHidden).toBe(4);
+      expect(result.lightweight.models.map(m => m.id)).toEqual(['edge']);
+    });
+
+    test('agrees with deploymentOptions in the real dataset', () => {
+      const selector = new ModelSelector(modelsData);
+
+      for (const target of DEPLOYMENT_TARGETS) {
+        const result = selector.getTaskModelsGroupedByTier(
+          'speech_processing',
+          'speech_recognition',
+          0,
+          { deploymentTarget: target }
+        );
+
+        ['lightweight', 'standard', 'advanced'].forEach(tier => {
+          result[tier].models.forEach(model => {
+            expect(model.deploymentOptions).toContain(target);
+          });
+        });
+      }
+    });
+  });
+});
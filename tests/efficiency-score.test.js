@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the continuous efficiency score
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  EnvironmentalImpactCalculator,
+  environmentalCalculator
+} from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import {
+  enhanceModelWithEnvironmentalData,
+  getEfficiencyScore,
+  getEnvironmentalComparison,
+  formatEnvironmentalForDisplay
+} from '../src/lib/environmental/EnvironmentalUtils.js';
+import modelsData from '../src/lib/data/models.json';
+
+describe('EnvironmentalImpactCalculator - Efficiency Score', () => {
+  test('hits every calibration point exactly', () => {
+    for (const point of EnvironmentalImpactCalculator.EFFICIENCY_CALIBRATION) {
+      expect(environmentalCalculator.calculateEfficiencyScore(point.sizeMB)).toBe(point.score);
+    }
+  });
+
+  test('clamps below and above the calibrated range', () => {
+    expect(environmentalCalculator.calculateEfficiencyScore(0)).toBe(100);
+    expect(environmentalCalculator.calculateEfficiencyScore(1)).toBe(100);
+    expect(environmentalCalculator.calculateEfficiencyScore(1000000)).toBe(0);
+  });
+
+  test('is log-scaled within a segment', () => {
+    // Geometric midpoint of 500 MB and 4 GB sits halfway between 70 and 45
+    const midpoint = Math.sqrt(500 * 4000);
+    expect(environmentalCalculator.calculateEfficiencyScore(midpoint)).toBeCloseTo(57.5, 6);
+  });
+
+  test('separates models the 1-3 score lumps together', () => {
+    const small = environmentalCalculator.calculateImpact({ sizeMB: 600 });
+    const large = environmentalCalculator.calculateImpact({ sizeMB: 3900 });
+
+    expect(small.environmentalScore).toBe(large.environmentalScore);
+    expect(small.efficiencyScore).toBe(68);
+    expect(large.efficiencyScore).toBe(45);
+  });
+
+  test('decreases as size grows', () => {
+    const sizes = [5, 50, 400, 600, 3000, 8000, 25000, 140000];
+    const scores = sizes.map(size => environmentalCalculator.calculateEfficiencyScore(size));
+
+    for (let i = 1; i < scores.length; i++) {
+      expect(scores[i]).toBeLessThan(scores[i - 1]);
+    }
+  });
+
+  test.each([
+    [500, 1, 'lightweight'],
+    [501, 2, 'standard'],
+    [4000, 2, 'standard'],
+    [4001, 3, 'advanced'],
+    [20000, 3, 'advanced'],
+    [20001, 3, 'xlarge']
+  ])('derives score and tier at %d MB', (sizeMB, score, tier) => {
+    expect(environmentalCalculator.calculateScoreFromSize(sizeMB)).toBe(score);
+    expect(environmentalCalculator.getTierFromSize(sizeMB)).toBe(tier);
+  });
+
+  test('tier bands follow the calibration', () => {
+    expect(environmentalCalculator.getTierBands()).toEqual({
+      lightweight: 70,
+      standard: 45,
+      advanced: 25,
+      xlarge: 0
+    });
+  });
+
+  test('agrees with the tier definitions in models.json', () => {
+    for (const [tier, definition] of Object.entries(modelsData.tiers)) {
+      if (definition.maxSizeMB === null) continue;
+      expect(environmentalCalculator.getTierFromSize(definition.maxSizeMB)).toBe(tier);
+      expect(environmentalCalculator.calculateScoreFromSize(definition.maxSizeMB)).toBe(definition.environmentalScore);
+    }
+    expect(environmentalCalculator.getTierFromSize(modelsData.tiers.advanced.maxSizeMB + 1)).toBe('xlarge');
+  });
+});
+
+describe('EnvironmentalUtils - Efficiency Score', () => {
+  test('adds the efficiency score to enhanced models', () => {
+    const model = enhanceModelWithEnvironmentalData({ id: 'm', sizeMB: 500 });
+    expect(model.environmental).toEqual({
+      score: 1,
+      efficiencyScore: 70,
+      label: 'Low Impact',
+      tier: 'lightweight',
+      provenance: { methodologyVersion: '2.0', inputs: { modelId: 'm', sizeMB: 500 } }
+    });
+  });
+
+  test('returns a rounded score per model', () => {
+    expect(getEfficiencyScore({ sizeMB: 25000 })).toBe(23);
+    expect(getEfficiencyScore({ name: 'No size' })).toBeNull();
+  });
+
+  test('includes the efficiency score in comparisons', () => {
+    const comparison = getEnvironmentalComparison([
+      { name: 'Big', sizeMB: 3900 },
+      { name: 'Small', sizeMB: 600 }
+    ]);
+
+    expect(comparison.models.map(m => m.environmental.efficiencyScore)).toEqual([68, 45]);
+    expect(comparison.summary.mostEfficient.efficiencyScore).toBe(68);
+  });
+
+  test('shows the efficiency score on badges', () => {
+    const badge = formatEnvironmentalForDisplay({ score: 2, efficiencyScore: 52 }, 'badge');
+    expect(badge.text).toBe('Medium Impact · 52/100');
+    expect(formatEnvironmentalForDisplay({ score: 2 }, 'badge').text).toBe('Medium Impact');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for energy and CO2e per inference
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  EnvironmentalImpactCalculator,
+  environmentalCalculator,
+  DEFAULT_DATACENTER_PUE,
+  ENERGY_CAVEAT
+} from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import {
+  attachEnergyEstimates,
+  enhanceModelWithEnvironmentalData,
+  formatCO2e,
+  formatEnergy,
+  formatEnvironmentalForDisplay
+} from '../src/lib/environmental/EnvironmentalUtils.js';
+import { ACCELERATOR_POWER_WATTS } from '../src/lib/hardware/HardwareProfiles.js';
+import { estimateInferenceMs } from '../src/lib/hardware/LatencyEstimator.js';
+
+const smallModel = { id: 'small', name: 'Small', sizeMB: 100, tier: 'lightweight' };
+
+describe('EnvironmentalImpactCalculator - Grid Intensity', () => {
+  test('looks up countries and cloud regions', () => {
+    expect(environmentalCalculator.getGridIntensity('FR')).toMatchObject({ kind: 'country', gCO2ePerKWh: 55, fallback: false });
+    expect(environmentalCalculator.getGridIntensity('aws:eu-north-1')).toMatchObject({ kind: 'cloud', country: 'SE', pue: 1.15 });
+  });
+
+  test('falls back to the world average', () => {
+    expect(environmentalCalculator.getGridIntensity()).toMatchObject({ id: 'world', fallback: false });
+    expect(environmentalCalculator.getGridIntensity('atlantis')).toMatchObject({ id: 'world', fallback: true });
+  });
+
+  test('lists every region for pickers', () => {
+    const regions = environmentalCalculator.listGridRegions();
+    expect(regions.countries.find(r => r.id === 'SE')).toEqual({ id: 'SE', label: 'Sweden', gCO2ePerKWh: 40 });
+    expect(regions.cloudRegions.length).toBeGreaterThan(0);
+  });
+
+  test('accepts a custom table', () => {
+    const calculator = new EnvironmentalImpactCalculator({
+      default: 'home',
+      countries: { home: { label: 'Home', gCO2ePerKWh: 100 } }
+    });
+    expect(calculator.getGridIntensity('FR').gCO2ePerKWh).toBe(100);
+  });
+});
+
+describe('EnvironmentalImpactCalculator - Energy Estimate', () => {
+  test('multiplies power draw, time and grid intensity', () => {
+    const estimate = environmentalCalculator.estimateEnergy(smallModel, { hardwareProfile: 'laptop_16gb', region: 'FR' });
+    const latency = estimateInferenceMs(smallModel, 'cpu');
+
+    expect(estimate.powerWatts).toBe(45);
+    expect(estimate.pue).toBe(1);
+    expect(estimate.energyWh.expected).toBeCloseTo(45 * latency.expected / 3600000, 12);
+    expect(estimate.co2eGrams.expected).toBeCloseTo(estimate.energyWh.expected / 1000 * 55, 15);
+    expect(estimate.energyWh.low).toBeLessThan(estimate.energyWh.expected);
+    expect(estimate.energyWh.high).toBeGreaterThan(estimate.energyWh.expected);
+  });
+
+  test('applies the region PUE to cloud profiles only', () => {
+    const cloud = environmentalCalculator.estimateEnergy(smallModel, { hardwareProfile: 'cloud_t4', region: 'aws:eu-north-1' });
+    const defaultPue = environmentalCalculator.estimateEnergy(smallModel, { hardwareProfile: 'cloud_t4', region: 'SE' });
+
+    expect(cloud.pue).toBe(1.15);
+    expect(defaultPue.pue).toBe(DEFAULT_DATACENTER_PUE);
+    expect(cloud.assumptions).toContain('Data center PUE 1.15');
+  });
+
+  test('defaults to a cloud T4 on the world average grid', () => {
+    const estimate = environmentalCalculator.estimateEnergy(smallModel);
+
+    expect(estimate.profileId).toBe('cloud_t4');
+    expect(estimate.grid).toEqual({ id: 'world', label: 'World average', gCO2ePerKWh: 480 });
+  });
+
+  test('uses the CPU power draw when a model spills out of GPU memory', () => {
+    const estimate = environmentalCalculator.estimateEnergy({ sizeMB: 20000, tier: 'advanced' }, { hardwareProfile: 'cloud_t4' });
+
+    expect(estimate.accelerator).toBe('cpu');
+    expect(estimate.powerWatts).toBe(ACCELERATOR_POWER_WATTS.cpu);
+  });
+
+  test('uses the accelerator default for custom profiles', () => {
+    const estimate = environmentalCalculator.estimateEnergy(smallModel, {
+      hardwareProfile: { id: 'custom', ramGB: 32, vramGB: 12, accelerator: 'consumer_gpu' }
+    });
+    expect(estimate.powerWatts).toBe(ACCELERATOR_POWER_WATTS.consumer_gpu);
+  });
+
+  test('returns no figures when the model does not fit', () => {
+    const estimate = environmentalCalculator.estimateEnergy({ sizeMB: 14000 }, { hardwareProfile: 'raspberry_pi_4gb' });
+
+    expect(estimate.energyWh).toBeNull();
+    expect(estimate.co2eGrams).toBeNull();
+    expect(estimate.reason).toBe('Does not fit on Raspberry Pi (4 GB)');
+  });
+
+  test('carries its assumptions and caveat', () => {
+    const estimate = environmentalCalculator.estimateEnergy(
+      { sizeMB: 1400, tier: 'standard', subcategory: 'text_generation' },
+      { hardwareProfile: 'desktop_rtx_4090', region: 'atlantis' }
+    );
+
+    expect(estimate.caveat).toBe(ENERGY_CAVEAT);
+    expect(estimate.assumptions[0]).toBe('450 W on Desktop with RTX 4090 (24 GB) (Consumer GPU)');
+    expect(estimate.assumptions).toContain('256 generated tokens per request');
+    expect(estimate.assumptions).toContain('480 gCO2e/kWh (World average)');
+    expect(estimate.assumptions).toContain('Unknown region "atlantis", using World average');
+  });
+});
+
+describe('EnvironmentalUtils - Energy', () => {
+  test('attaches estimates to models', () => {
+    const [model] = attachEnergyEstimates([smallModel], { hardwareProfile: 'smartphone', region: 'SE' });
+
+    expect(model.id).toBe('small');
+    expect(model.energyEstimate.grid.id).toBe('SE');
+  });
+
+  test('adds energy to enhanced models only when asked', () => {
+    expect(enhanceModelWithEnvironmentalData(smallModel).environmental.energy).toBeUndefined();
+    expect(enhanceModelWithEnvironmentalData(smallModel, { region: 'FR' }).environmental.energy.grid.id).toBe('FR');
+  });
+
+  test.each([
+    [0.00004, '40 µWh'],
+    [0.0038, '3.8 mWh'],
+    [1.32, '1.3 Wh'],
+    [2500, '2.5 kWh'],
+    [null, 'N/A']
+  ])('formats %s Wh', (wh, expected) => {
+    expect(formatEnergy(wh)).toBe(expected);
+  });
+
+  test.each([
+    [0.0000021, '2.1 µg CO2e'],
+    [0.053, '53 mg CO2e'],
+    [12, '12 g CO2e'],
+    [1500, '1.5 kg CO2e'],
+    [0, '0 µg CO2e']
+  ])('formats %s g CO2e', (grams, expected) => {
+    expect(formatCO2e(grams)).toBe(expected);
+  });
+
+  test('formats energy figures with their caveat', () => {
+    const environmental = enhanceModelWithEnvironmentalData(smallModel, { hardwareProfile: 'laptop_16gb', region: 'FR' }).environmental;
+    const display = formatEnvironmentalForDisplay(environmental, 'energy');
+
+    expect(display.energy).toMatch(/^~[\d.]+ µWh per inference$/);
+    expect(display.co2e).toMatch(/^~[\d.]+ µg CO2e per inference$/);
+    expect(display.caveat).toBe(ENERGY_CAVEAT);
+    expect(display.assumptions.length).toBeGreaterThan(0);
+    expect(formatEnvironmentalForDisplay(environmental, 'card').energy).toEqual(display);
+  });
+
+  test('shows why no energy figure is available', () => {
+    const environmental = enhanceModelWithEnvironmentalData({ sizeMB: 14000 }, { hardwareProfile: 'raspberry_pi_4gb' }).environmental;
+    expect(formatEnvironmentalForDisplay(environmental, 'energy')).toMatchObject({
+      energy: 'N/A',
+      caveat: 'Does not fit on Raspberry Pi (4 GB)'
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for everyday equivalents of energy and CO2e
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  formatEnvironmentalForDisplay,
+  formatEquivalents,
+  getEquivalents,
+  EQUIVALENTS_REQUESTS
+} from '../src/lib/environmental/EnvironmentalUtils.js';
+import { environmentalCalculator } from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import { buildSavingsReport, formatSavingsReportAsMarkdown } from '../src/lib/environmental/SavingsReport.js';
+import equivalenceData from '../src/lib/data/equivalences.json';
+
+const table = {
+  version: 'test',
+  equivalents: [
+    { id: 'charges', basis: 'energy', perUnit: 20, singular: 'charge', plural: 'charges', source: 'Energy source', url: null },
+    { id: 'km', basis: 'co2e', perUnit: 250, singular: 'km', plural: 'km', source: 'CO2e source', url: null }
+  ]
+};
+
+describe('EnvironmentalUtils - getEquivalents', () => {
+  test('divides each basis by its unit', () => {
+    const equivalents = getEquivalents({ energyWh: 50, co2eGrams: 500 }, table);
+
+    expect(equivalents.map(({ id, value, text }) => ({ id, value, text }))).toEqual([
+      { id: 'charges', value: 2.5, text: '2.5 charges' },
+      { id: 'km', value: 2, text: '2 km' }
+    ]);
+    expect(equivalents[0].source).toBe('Energy source');
+  });
+
+  test('uses the singular for exactly one unit', () => {
+    expect(getEquivalents({ energyWh: 20 }, table)[0].text).toBe('1 charge');
+  });
+
+  test('rounds to two significant figures', () => {
+    expect(getEquivalents({ energyWh: 20 * 1599 }, table)[0].text).toBe('1,600 charges');
+  });
+
+  test('leaves out equivalents too small to picture and missing amounts', () => {
+    expect(getEquivalents({ energyWh: 1, co2eGrams: null }, table)).toEqual([]);
+  });
+
+  test('cites a source for every entry in the shipped table', () => {
+    expect(equivalenceData.version).toBeTruthy();
+    for (const entry of equivalenceData.equivalents) {
+      expect(['energy', 'co2e']).toContain(entry.basis);
+      expect(entry.perUnit).toBeGreaterThan(0);
+      expect(entry.source).toBeTruthy();
+    }
+  });
+});
+
+describe('EnvironmentalUtils - formatEquivalents', () => {
+  test('picks one energy and one CO2e equivalent', () => {
+    expect(formatEquivalents({ energyWh: 19, co2eGrams: 1000000 })).toBe('1 smartphone charge · 4,000 km driven by car');
+  });
+
+  test('returns null when everything is too small', () => {
+    expect(formatEquivalents({ energyWh: 0.001, co2eGrams: 0.001 })).toBeNull();
+  });
+});
+
+describe('formatEnvironmentalForDisplay - equivalents', () => {
+  test('describes a million requests at the per-inference estimate', () => {
+    const energy = environmentalCalculator.estimateEnergy({ id: 'm', sizeMB: 1400, tier: 'standard' }, { region: 'DE' });
+    const display = formatEnvironmentalForDisplay({ energy }, 'equivalents');
+
+    expect(display.per).toBe('per million requests');
+    expect(display.version).toBe(equivalenceData.version);
+    expect(display.summary).toBe(formatEquivalents({
+      energyWh: energy.energyWh.expected * EQUIVALENTS_REQUESTS,
+      co2eGrams: energy.co2eGrams.expected * EQUIVALENTS_REQUESTS
+    }));
+    expect(display.items.every(item => item.text && item.source)).toBe(true);
+  });
+
+  test('is null without an estimate', () => {
+    const energy = environmentalCalculator.estimateEnergy({ id: 'm', sizeMB: 140000, tier: 'xlarge' }, { hardwareProfile: 'smartphone' });
+
+    expect(formatEnvironmentalForDisplay({ energy }, 'equivalents')).toBeNull();
+    expect(formatEnvironmentalForDisplay({ score: 1 }, 'equivalents')).toBeNull();
+  });
+});
+
+describe('SavingsReport - equivalents', () => {
+  test('translates lifetime savings in the Markdown export', () => {
+    const small = { id: 'small', name: 'Small', sizeMB: 250, tier: 'lightweight' };
+    const large = { id: 'large', name: 'Large', sizeMB: 14000, tier: 'advanced' };
+    const markdown = formatSavingsReportAsMarkdown(buildSavingsReport(small, large, { region: 'DE' }));
+
+    expect(markdown).toMatch(/this avoids about .+ \(≈ .+ smartphone charges · .+ km driven by car\)\./);
+  });
+});
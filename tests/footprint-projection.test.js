@@ -0,0 +1,94 @@
+/**
+ * Unit tests for annual footprint projections
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  compareFootprints,
+  projectFootprint
+} from '../src/lib/environmental/EnvironmentalUtils.js';
+import { DEFAULT_LIFETIME_YEARS, DEFAULT_REQUESTS_PER_DAY } from '../src/lib/data/constants.js';
+import { environmentalCalculator } from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import { costEstimator } from '../src/lib/environmental/CostEstimator.js';
+
+const lightweight = { id: 'light', name: 'Light', sizeMB: 100, tier: 'lightweight' };
+const standard = { id: 'mid', name: 'Mid', sizeMB: 1400, tier: 'standard' };
+const advanced = { id: 'heavy', name: 'Heavy', sizeMB: 14000, tier: 'advanced' };
+
+describe('EnvironmentalUtils - projectFootprint', () => {
+  test('scales per-inference energy and CO2e to a year', () => {
+    const options = { requestsPerDay: 1000, region: 'FR' };
+    const projection = projectFootprint(lightweight, options);
+    const perInference = environmentalCalculator.estimateEnergy(lightweight, options);
+
+    expect(projection.requestsPerYear).toBe(365000);
+    expect(projection.yearly.energyWh.expected).toBeCloseTo(perInference.energyWh.expected * 365000, 9);
+    expect(projection.yearly.co2eGrams.high).toBeCloseTo(perInference.co2eGrams.high * 365000, 9);
+  });
+
+  test('multiplies yearly figures by the lifetime', () => {
+    const projection = projectFootprint(standard, { lifetimeYears: 5 });
+
+    expect(projection.lifetime.co2eGrams.expected).toBeCloseTo(projection.yearly.co2eGrams.expected * 5, 9);
+    expect(projection.lifetime.cost.high).toBeCloseTo(projection.yearly.cost.high * 5, 9);
+  });
+
+  test('estimates cost at the projected volume', () => {
+    const projection = projectFootprint(standard, { requestsPerDay: 2000, hourlyRate: 1 });
+    const monthly = costEstimator.estimateMonthlyCost(standard, { requestsPerMonth: 2000 * 365 / 12, hourlyRate: 1 });
+
+    expect(projection.yearly.cost.low).toBeCloseTo(monthly.low * 12, 9);
+    expect(projection.yearly.alwaysOnCost.low).toBeCloseTo(monthly.alwaysOn.low * 12, 9);
+    expect(projection.currency).toBe('USD');
+  });
+
+  test('uses default volume and lifetime', () => {
+    const projection = projectFootprint(lightweight);
+
+    expect(projection.requestsPerDay).toBe(DEFAULT_REQUESTS_PER_DAY);
+    expect(projection.lifetimeYears).toBe(DEFAULT_LIFETIME_YEARS);
+    expect(projection.assumptions[0]).toBe('10,000 requests per day for 3 years');
+  });
+
+  test('has no figures when the model does not fit', () => {
+    const projection = projectFootprint(advanced, { hardwareProfile: 'raspberry_pi_4gb' });
+
+    expect(projection.yearly.energyWh).toBeNull();
+    expect(projection.yearly.cost).toBeNull();
+    expect(projection.lifetime.co2eGrams).toBeNull();
+    expect(projection.reason).toBe('Does not fit on Raspberry Pi (4 GB)');
+  });
+});
+
+describe('EnvironmentalUtils - compareFootprints', () => {
+  test('keeps display order and rates each model against the lowest', () => {
+    const { rows } = compareFootprints([standard, lightweight, advanced], { region: 'DE' });
+
+    expect(rows.map(row => row.model.id)).toEqual(['mid', 'light', 'heavy']);
+    expect(rows[1].co2eRatio).toBe(1);
+    expect(rows[0].co2eRatio).toBeGreaterThan(1);
+    expect(rows[2].co2eRatio).toBeGreaterThan(rows[0].co2eRatio);
+  });
+
+  test('reports what the lowest-emitting pick saves over the highest', () => {
+    const { rows, savings } = compareFootprints([lightweight, standard, advanced], { region: 'DE' });
+    const [light, , heavy] = rows.map(row => row.projection.yearly);
+
+    expect(savings.from.id).toBe('heavy');
+    expect(savings.to.id).toBe('light');
+    expect(savings.yearly.co2eGrams).toBeCloseTo(heavy.co2eGrams.expected - light.co2eGrams.expected, 9);
+    expect(savings.yearly.cost.high).toBeCloseTo(heavy.cost.high - light.cost.high, 9);
+  });
+
+  test('skips models without figures', () => {
+    const { rows, savings } = compareFootprints([lightweight, advanced], { hardwareProfile: 'raspberry_pi_4gb' });
+
+    expect(rows[1].co2eRatio).toBeNull();
+    expect(savings).toBeNull();
+  });
+
+  test('needs two models to report savings', () => {
+    expect(compareFootprints([lightweight]).savings).toBeNull();
+    expect(compareFootprints([]).rows).toEqual([]);
+  });
+});
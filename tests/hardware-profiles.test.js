@@ -0,0 +1,183 @@
+/**
+ * Unit tests for hardware profile constraints
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import {
+  HARDWARE_PROFILES,
+  normalizeHardwareProfile,
+  estimateRuntimeMemoryMB,
+  checkModelFit
+} from '../src/lib/hardware/HardwareProfiles.js';
+
+const mockModelsData = {
+  models: {
+    natural_language_processing: {
+      text_generation: {
+        lightweight: [
+          { id: 'tiny-lm', name: 'Tiny LM', accuracy: 0.70, sizeMB: 300 }
+        ],
+        standard: [
+          { id: 'small-lm', name: 'Small LM', accuracy: 0.80, sizeMB: 2500 }
+        ],
+        advanced: [
+          { id: 'big-lm', name: 'Big LM', accuracy: 0.90, sizeMB: 14000 }
+        ]
+      }
+    }
+  }
+};
+
+describe('Hardware Profiles', () => {
+  describe('normalizeHardwareProfile', () => {
+    test('resolves predefined profiles by ID', () => {
+      expect(normalizeHardwareProfile('raspberry_pi_4gb')).toBe(HARDWARE_PROFILES.raspberry_pi_4gb);
+      expect(normalizeHardwareProfile({ id: 'cloud_t4' })).toBe(HARDWARE_PROFILES.cloud_t4);
+    });
+
+    test('returns null for unknown or empty profiles', () => {
+      expect(normalizeHardwareProfile(null)).toBeNull();
+      expect(normalizeHardwareProfile('mainframe')).toBeNull();
+      expect(normalizeHardwareProfile({ ramGB: 8 })).toBeNull();
+    });
+
+    test('accepts a valid custom profile and fills defaults', () => {
+      const profile = normalizeHardwareProfile({ id: 'custom', ramGB: 8 });
+      expect(profile).toEqual({
+        id: 'custom',
+        label: 'Custom hardware',
+        ramGB: 8,
+        vramGB: 0,
+        diskGB: null,
+        accelerator: 'cpu'
+      });
+    });
+
+    test('rejects invalid custom profiles', () => {
+      expect(normalizeHardwareProfile({ id: 'custom', ramGB: 0 })).toBeNull();
+      expect(normalizeHardwareProfile({ id: 'custom', ramGB: 8, vramGB: -1 })).toBeNull();
+      expect(normalizeHardwareProfile({ id: 'custom', ramGB: 8, accelerator: 'quantum' })).toBeNull();
+    });
+  });
+
+  describe('estimateRuntimeMemoryMB', () => {
+    test('adds runtime overhead to stored size', () => {
+      expect(estimateRuntimeMemoryMB({ sizeMB: 1000 })).toBe(1200);
+    });
+
+    test('scales by target precision relative to fp16 storage', () => {
+      expect(estimateRuntimeMemoryMB({ sizeMB: 1000 }, 'int8')).toBe(600);
+      expect(estimateRuntimeMemoryMB({ sizeMB: 1000 }, 'fp32')).toBe(2400);
+    });
+
+    test('respects a declared model precision', () => {
+      expect(estimateRuntimeMemoryMB({ sizeMB: 1000, precision: 'fp32' }, 'fp16')).toBe(600);
+    });
+  });
+
+  describe('checkModelFit', () => {
+    test('small model fits a Raspberry Pi in RAM', () => {
+      const fit = checkModelFit({ sizeMB: 300 }, HARDWARE_PROFILES.raspberry_pi_4gb);
+      expect(fit.fits).toBe(true);
+      expect(fit.status).toBe('fits');
+      expect(fit.device).toBe('ram');
+    });
+
+    test('large model exceeds a Raspberry Pi', () => {
+      const fit = checkModelFit({ sizeMB: 14000 }, HARDWARE_PROFILES.raspberry_pi_4gb);
+      expect(fit.fits).toBe(false);
+      expect(fit.status).toBe('exceeds');
+      expect(fit.reasons.length).toBeGreaterThan(0);
+    });
+
+    test('prefers VRAM when the model fits on the GPU', () => {
+      const fit = checkModelFit({ sizeMB: 2500 }, HARDWARE_PROFILES.cloud_t4);
+      expect(fit.device).toBe('vram');
+    });
+
+    test('falls back to system RAM when VRAM is too small', () => {
+      const fit = checkModelFit({ sizeMB: 14000 }, HARDWARE_PROFILES.cloud_t4);
+      expect(fit.fits).toBe(true);
+      expect(fit.device).toBe('ram');
+    });
+
+    test('flags fits that use most of the memory as tight', () => {
+      // 2500MB * 1.2 = 3000MB of 3072MB usable on a 4GB Pi
+      const fit = checkModelFit({ sizeMB: 2500 }, HARDWARE_PROFILES.raspberry_pi_4gb);
+      expect(fit.fits).toBe(true);
+      expect(fit.status).toBe('tight');
+    });
+
+    test('fails when the disk is too small', () => {
+      const fit = checkModelFit({ sizeMB: 2000 }, { id: 'custom', ramGB: 64, vramGB: 0, diskGB: 1 });
+      expect(fit.fits).toBe(false);
+    });
+  });
+});
+
+describe('ModelSelector - Hardware Filtering', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(mockModelsData);
+  });
+
+  test('returns all models without a profile', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier('natural_language_processing', 'text_generation', 0);
+    expect(result.totalShown).toBe(3);
+    expect(result.hiddenBy.hardware).toBe(0);
+  });
+
+  test('hides models that do not fit in hide mode', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier(
+      'natural_language_processing',
+      'text_generation',
+      0,
+      { hardwareProfile: 'raspberry_pi_4gb' }
+    );
+
+    expect(result.lightweight.models).toHaveLength(1);
+    expect(result.standard.models).toHaveLength(1);
+    expect(result.advanced.models).toHaveLength(0);
+    expect(result.advanced.hidden).toBe(1);
+    expect(result.hiddenBy.hardware).toBe(1);
+    expect(result.totalHidden).toBe(1);
+  });
+
+  test('keeps and flags models in flag mode', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier(
+      'natural_language_processing',
+      'text_generation',
+      0,
+      { hardwareProfile: 'raspberry_pi_4gb', hardwareMode: 'flag' }
+    );
+
+    expect(result.totalShown).toBe(3);
+    expect(result.hiddenBy.hardware).toBe(0);
+    expect(result.advanced.models[0].hardwareFit.fits).toBe(false);
+    expect(result.lightweight.models[0].hardwareFit.fits).toBe(true);
+  });
+
+  test('combines accuracy and hardware hidden counts', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier(
+      'natural_language_processing',
+      'text_generation',
+      75,
+      { hardwareProfile: 'raspberry_pi_4gb' }
+    );
+
+    expect(result.hiddenBy.accuracy).toBe(1);
+    expect(result.hiddenBy.hardware).toBe(1);
+    expect(result.totalHidden).toBe(2);
+    expect(result.totalShown).toBe(1);
+  });
+
+  test('lower precision lets bigger models fit', () => {
+    const fp16 = modelSelector.filterByHardware([{ sizeMB: 14000 }], 'laptop_16gb');
+    const int4 = modelSelector.filterByHardware([{ sizeMB: 14000 }], 'laptop_16gb', { precision: 'int4' });
+
+    expect(fp16.hidden).toBe(1);
+    expect(int4.hidden).toBe(0);
+  });
+});
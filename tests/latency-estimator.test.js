@@ -0,0 +1,172 @@
+/**
+ * Unit tests for per-inference latency estimates and the latency budget filter
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import { buildRationale, getSubcategoryStats } from '../src/lib/recommendation/RecommendationRationale.js';
+import {
+  estimateInferenceMs,
+  estimateLatency,
+  estimateLatencyByClass,
+  attachLatencyEstimates,
+  formatLatency,
+  formatLatencyRange,
+  TIER_UNCERTAINTY
+} from '../src/lib/hardware/LatencyEstimator.js';
+import { ACCELERATORS } from '../src/lib/hardware/HardwareProfiles.js';
+
+const mockModelsData = {
+  models: {
+    computer_vision: {
+      image_classification: {
+        lightweight: [
+          { id: 'tiny', name: 'Tiny', sizeMB: 20, accuracy: 0.7 },
+          { id: 'small', name: 'Small', sizeMB: 100, accuracy: 0.75 }
+        ],
+        standard: [
+          { id: 'medium', name: 'Medium', sizeMB: 3000, accuracy: 0.85 }
+        ],
+        advanced: []
+      }
+    }
+  }
+};
+
+describe('Latency Estimator', () => {
+  test('larger models are slower', () => {
+    const small = estimateInferenceMs({ sizeMB: 100 }, 'cpu');
+    const large = estimateInferenceMs({ sizeMB: 3000 }, 'cpu');
+    expect(large.expected).toBeGreaterThan(small.expected);
+  });
+
+  test('GPUs are faster than CPUs', () => {
+    const byClass = estimateLatencyByClass({ sizeMB: 500 });
+
+    expect(Object.keys(byClass)).toEqual(ACCELERATORS);
+    expect(byClass.datacenter_gpu.expected).toBeLessThan(byClass.cpu.expected);
+    expect(byClass.consumer_gpu.expected).toBeLessThan(byClass.mobile_soc.expected);
+  });
+
+  test('expected latency sits inside the uncertainty range', () => {
+    const estimate = estimateInferenceMs({ sizeMB: 1000, tier: 'standard' }, 'cpu');
+    expect(estimate.low).toBeLessThan(estimate.expected);
+    expect(estimate.expected).toBeLessThan(estimate.high);
+  });
+
+  test('bigger tiers widen the pessimistic bound', () => {
+    const standard = estimateInferenceMs({ sizeMB: 1000, tier: 'standard' }, 'cpu');
+    const xlarge = estimateInferenceMs({ sizeMB: 1000, tier: 'xlarge' }, 'cpu');
+
+    expect(xlarge.expected).toBe(standard.expected);
+    expect(xlarge.high / standard.high).toBeCloseTo(TIER_UNCERTAINTY.xlarge / TIER_UNCERTAINTY.standard, 5);
+  });
+
+  test('generative tasks run one pass per generated token', () => {
+    const classifier = estimateInferenceMs({ sizeMB: 1000, subcategory: 'text_classification' }, 'consumer_gpu');
+    const generator = estimateInferenceMs({ sizeMB: 1000, subcategory: 'text_generation' }, 'consumer_gpu');
+    expect(generator.expected).toBeGreaterThan(classifier.expected * 100);
+  });
+
+  test('defaults to a cloud T4 without a profile', () => {
+    const estimate = estimateLatency({ sizeMB: 100 });
+
+    expect(estimate.profileId).toBe('cloud_t4');
+    expect(estimate.accelerator).toBe('datacenter_gpu');
+  });
+
+  test('models that spill out of VRAM run at CPU speed', () => {
+    const estimate = estimateLatency({ sizeMB: 30000 }, 'desktop_rtx_4090');
+
+    expect(estimate.accelerator).toBe('cpu');
+    expect(estimate.assumptions).toContain('Spills out of GPU memory, runs at CPU speed');
+  });
+
+  test('returns no estimate when the model does not fit', () => {
+    const estimate = estimateLatency({ sizeMB: 7000 }, 'raspberry_pi_4gb');
+
+    expect(estimate.expected).toBeNull();
+    expect(estimate.reason).toContain('Raspberry Pi');
+    expect(formatLatencyRange(estimate)).toBe('N/A');
+  });
+
+  test('attaches estimates for the profile and every class', () => {
+    const [model] = attachLatencyEstimates([{ id: 'm', sizeMB: 100 }], 'laptop_16gb');
+
+    expect(model.latencyEstimate.profileId).toBe('laptop_16gb');
+    expect(Object.keys(model.latencyByClass)).toEqual(ACCELERATORS);
+  });
+
+  test.each([
+    [0.4, '<1 ms'],
+    [42.4, '42 ms'],
+    [1234, '1.2 s'],
+    [45000, '45 s'],
+    [null, 'N/A']
+  ])('formats %s ms as "%s"', (ms, expected) => {
+    expect(formatLatency(ms)).toBe(expected);
+  });
+
+  test('formats ranges', () => {
+    expect(formatLatencyRange({ low: 7, high: 33 })).toBe('7 ms–33 ms');
+  });
+});
+
+describe('ModelSelector - Latency Budget', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(mockModelsData);
+  });
+
+  test('shows every model without a budget', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier('computer_vision', 'image_classification', 0);
+
+    expect(result.totalShown).toBe(3);
+    expect(result.hiddenBy.latency).toBe(0);
+  });
+
+  test('hides models expected to exceed the budget', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier('computer_vision', 'image_classification', 0, {
+      hardwareProfile: 'laptop_16gb',
+      latencyBudgetMs: 50
+    });
+
+    expect(result.lightweight.models.map(m => m.id)).toEqual(['tiny', 'small']);
+    expect(result.standard.models).toHaveLength(0);
+    expect(result.hiddenBy.latency).toBe(1);
+    expect(result.totalHidden).toBe(1);
+  });
+
+  test('attaches the estimate used for filtering', () => {
+    const { filtered } = modelSelector.filterByLatency([{ id: 'a', sizeMB: 100 }], 1000, 'laptop_16gb');
+    expect(filtered[0].latencyEstimate.expected).toBeLessThanOrEqual(1000);
+  });
+
+  test('drops models that cannot run on the profile', () => {
+    const result = modelSelector.filterByLatency([{ id: 'big', sizeMB: 7000 }], 100000, 'raspberry_pi_4gb');
+    expect(result.hidden).toBe(1);
+  });
+
+  test('ignores invalid budgets', () => {
+    const models = [{ id: 'a', sizeMB: 100 }];
+    expect(modelSelector.filterByLatency(models, 0).filtered).toBe(models);
+    expect(modelSelector.filterByLatency(models, null).filtered).toBe(models);
+  });
+});
+
+describe('Recommendation Rationale - latency', () => {
+  test('flags models close to the latency budget', () => {
+    const model = { id: 'a', tier: 'lightweight', sizeMB: 100, latencyEstimate: { expected: 45 } };
+    const rationale = buildRationale(model, getSubcategoryStats([model]), { latencyBudgetMs: 50 });
+
+    expect(rationale.nearMisses.map(n => n.filter)).toContain('latency');
+  });
+
+  test('does not flag models well within the budget', () => {
+    const model = { id: 'a', tier: 'lightweight', sizeMB: 100, latencyEstimate: { expected: 10 } };
+    const rationale = buildRationale(model, getSubcategoryStats([model]), { latencyBudgetMs: 50 });
+
+    expect(rationale.nearMisses).toEqual([]);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for importing measured energy from CodeCarbon logs
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  guessHardwareProfile,
+  mergeMeasurements,
+  parseEmissionsCsv,
+  summarizeRuns
+} from '../src/lib/environmental/MeasuredEnergy.js';
+import {
+  EnvironmentalImpactCalculator,
+  ENERGY_CAVEAT,
+  MEASURED_ENERGY_CAVEAT
+} from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import { formatEnvironmentalForDisplay } from '../src/lib/environmental/EnvironmentalUtils.js';
+
+const HEADER = 'timestamp,project_name,run_id,duration,emissions,energy_consumed,country_iso_code,cpu_model,gpu_count,gpu_model,pue';
+
+function emissionsLog(...rows) {
+  return [HEADER, ...rows].join('\n');
+}
+
+const model = { id: 'efficientnet_b0', name: 'EfficientNet B0', sizeMB: 20.3, tier: 'lightweight' };
+
+const measurementTable = {
+  models: {
+    efficientnet_b0: [{
+      hardwareProfile: 'cloud_t4',
+      hardware: '1 x Tesla T4',
+      date: '2026-10-02',
+      energyWhPerInference: { low: 0.0002, expected: 0.0003, high: 0.0004 },
+      runs: 2,
+      inferences: 2000,
+      source: 'emissions.csv'
+    }]
+  }
+};
+
+describe('MeasuredEnergy - parseEmissionsCsv', () => {
+  test('converts kWh per run to Wh per inference', () => {
+    const log = emissionsLog('2026-10-01T10:00:00,efficientnet_b0,a,12.5,0.0001,0.0003,FRA,Intel Xeon,1,1 x Tesla T4,1.0');
+    const { runs, errors } = parseEmissionsCsv(log, { inferencesPerRun: 1000 });
+
+    expect(errors).toEqual([]);
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({
+      modelId: 'efficientnet_b0',
+      hardwareProfile: 'cloud_t4',
+      hardware: '1 x Tesla T4',
+      date: '2026-10-01',
+      inferences: 1000
+    });
+    expect(runs[0].energyWh).toBeCloseTo(0.0003, 12);
+  });
+
+  test('reads model_id and inferences columns', () => {
+    const log = 'timestamp,model_id,inferences,energy_consumed,cpu_model,gpu_count\n2026-10-01,distilbert,500,0.001,Cortex-A72,0';
+    const { runs } = parseEmissionsCsv(log);
+
+    expect(runs[0].modelId).toBe('distilbert');
+    expect(runs[0].hardwareProfile).toBe('raspberry_pi_4gb');
+    expect(runs[0].energyWh).toBeCloseTo(0.002, 12);
+  });
+
+  test('lets options override the log', () => {
+    const log = emissionsLog('2026-10-01,project,a,1,0,0.001,FRA,Intel Xeon,0,,1.0');
+    const { runs } = parseEmissionsCsv(log, { modelId: 'efficientnet_b0', inferencesPerRun: 10, hardwareProfile: 'laptop_16gb' });
+
+    expect(runs[0]).toMatchObject({ modelId: 'efficientnet_b0', hardwareProfile: 'laptop_16gb', hardware: 'Intel Xeon' });
+  });
+
+  test('skips rows it cannot use and says why', () => {
+    const log = emissionsLog(
+      '2026-10-01,efficientnet_b0,a,1,0,0.001,FRA,Intel Xeon,0,,1.0',
+      '2026-10-01,efficientnet_b0,b,1,0,,FRA,Intel Xeon,1,1 x Tesla T4,1.0'
+    );
+    const { runs, errors } = parseEmissionsCsv(log, { inferencesPerRun: 100 });
+
+    expect(runs).toEqual([]);
+    expect(errors).toEqual([
+      'line 2: can\'t tell the hardware profile of "Intel Xeon" (pass --profile)',
+      'line 3: invalid energy_consumed ""'
+    ]);
+    expect(parseEmissionsCsv(log).errors[0]).toMatch(/^line 2: no inference count/);
+  });
+
+  test('rejects files that are not emissions logs', () => {
+    expect(() => parseEmissionsCsv('model,accuracy\nbert,0.9')).toThrow(/missing column energy_consumed/);
+  });
+
+  test('guesses hardware profiles from device names', () => {
+    expect(guessHardwareProfile('4 x NVIDIA A100-SXM4-80GB')).toBe('cloud_a100_80gb');
+    expect(guessHardwareProfile('NVIDIA GeForce RTX 4090')).toBe('desktop_rtx_4090');
+    expect(guessHardwareProfile('Apple M2')).toBeNull();
+  });
+});
+
+describe('MeasuredEnergy - summarizeRuns and mergeMeasurements', () => {
+  const runs = [
+    { modelId: 'm', hardwareProfile: 'cloud_t4', hardware: 'T4', date: '2026-10-01', energyWh: 0.002, inferences: 100 },
+    { modelId: 'm', hardwareProfile: 'cloud_t4', hardware: '1 x Tesla T4', date: '2026-10-03', energyWh: 0.001, inferences: 300 },
+    { modelId: 'm', hardwareProfile: 'laptop_16gb', hardware: 'Intel', date: '2026-10-02', energyWh: 0.004, inferences: 50 }
+  ];
+
+  test('combines runs per model and hardware profile', () => {
+    const measurements = summarizeRuns(runs, 'emissions.csv');
+
+    expect(measurements.m).toHaveLength(2);
+    const [t4] = measurements.m;
+    expect(t4).toMatchObject({
+      hardwareProfile: 'cloud_t4',
+      hardware: '1 x Tesla T4',
+      date: '2026-10-03',
+      runs: 2,
+      inferences: 400,
+      source: 'emissions.csv'
+    });
+    expect(t4.energyWhPerInference.low).toBe(0.001);
+    expect(t4.energyWhPerInference.high).toBe(0.002);
+    expect(t4.energyWhPerInference.expected).toBeCloseTo(0.5 / 400, 12);
+  });
+
+  test('replaces measurements for the same model and profile', () => {
+    const table = { version: '1.0', models: summarizeRuns(runs) };
+    const newer = summarizeRuns([{ ...runs[0], date: '2026-11-01', energyWh: 0.0015 }]);
+    const merged = mergeMeasurements(table, newer, '2026-11-02');
+
+    expect(merged.lastUpdated).toBe('2026-11-02');
+    expect(merged.version).toBe('1.0');
+    expect(merged.models.m.map(record => record.hardwareProfile)).toEqual(['laptop_16gb', 'cloud_t4']);
+    expect(merged.models.m[1].date).toBe('2026-11-01');
+    expect(table.models.m[0].date).toBe('2026-10-03');
+  });
+
+  test('combines runs for the same model and profile across logs', () => {
+    const options = { modelId: 'm', inferencesPerRun: 100, hardwareProfile: 'cloud_t4' };
+    const first = parseEmissionsCsv(emissionsLog('2026-10-01T10:00:00,p,r1,60,0.0001,0.0002,US,Intel,1,Tesla T4,1.0'), { ...options, source: 'monday.csv' });
+    const second = parseEmissionsCsv(emissionsLog('2026-10-02T10:00:00,p,r2,60,0.0001,0.0004,US,Intel,1,Tesla T4,1.0'), { ...options, source: 'tuesday.csv' });
+
+    const [record] = summarizeRuns([...first.runs, ...second.runs]).m;
+
+    expect(record).toMatchObject({ runs: 2, inferences: 200, date: '2026-10-02', source: 'monday.csv, tuesday.csv' });
+    expect(record.energyWhPerInference.expected).toBeCloseTo(0.003, 12);
+  });
+});
+
+describe('EnvironmentalImpactCalculator - measured energy', () => {
+  const calculator = new EnvironmentalImpactCalculator(undefined, measurementTable);
+
+  test('prefers a measurement on the same hardware profile', () => {
+    const energy = calculator.estimateEnergy(model, { hardwareProfile: 'cloud_t4', region: 'FR' });
+
+    expect(energy.measured).toBe(true);
+    expect(energy.energyWh.expected).toBeCloseTo(0.0003 * 1.2, 12);
+    expect(energy.co2eGrams.expected).toBeCloseTo(0.0003 * 1.2 / 1000 * 55, 12);
+    expect(energy.measurement).toEqual({
+      hardware: '1 x Tesla T4',
+      date: '2026-10-02',
+      runs: 2,
+      inferences: 2000,
+      source: 'emissions.csv'
+    });
+    expect(energy.assumptions[0]).toBe('Measured on 1 x Tesla T4 (2026-10-02)');
+    expect(energy.caveat).toBe(MEASURED_ENERGY_CAVEAT);
+  });
+
+  test('measures the default profile when none is selected', () => {
+    expect(calculator.estimateEnergy(model).measured).toBe(true);
+  });
+
+  test('keeps the estimate on other hardware', () => {
+    const energy = calculator.estimateEnergy(model, { hardwareProfile: 'laptop_16gb' });
+
+    expect(energy.measured).toBe(false);
+    expect(energy.measurement).toBeUndefined();
+    expect(energy.caveat).toBe(ENERGY_CAVEAT);
+  });
+
+  test('finds measurements by model and profile', () => {
+    expect(calculator.getMeasurement('efficientnet_b0', 'cloud_t4').runs).toBe(2);
+    expect(calculator.getMeasurement('efficientnet_b0', 'smartphone')).toBeNull();
+    expect(calculator.getMeasurement('unknown', 'cloud_t4')).toBeNull();
+  });
+
+  test('labels the source for display', () => {
+    const measured = formatEnvironmentalForDisplay({ energy: calculator.estimateEnergy(model) }, 'energy');
+    const estimated = formatEnvironmentalForDisplay({ energy: calculator.estimateEnergy(model, { hardwareProfile: 'smartphone' }) }, 'energy');
+
+    expect(measured.source).toBe('Measured');
+    expect(estimated.source).toBe('Estimated');
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for methodology versions and result provenance
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  CURRENT_METHODOLOGY_VERSION,
+  getMethodology,
+  listMethodologies
+} from '../src/lib/environmental/MethodologyRegistry.js';
+import {
+  EnvironmentalImpactCalculator,
+  environmentalCalculator
+} from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import {
+  enhanceModelWithEnvironmentalData,
+  formatEnvironmentalForDisplay,
+  getEnvironmentalComparison,
+  getEnvironmentalInsights,
+  projectFootprint,
+  recomputeImpact
+} from '../src/lib/environmental/EnvironmentalUtils.js';
+import { buildSavingsReport, formatSavingsReportAsMarkdown } from '../src/lib/environmental/SavingsReport.js';
+import { ModelAggregator } from '../src/lib/aggregation/ModelAggregator.js';
+import modelsData from '../src/lib/data/models.json';
+
+const model = { id: 'mid', name: 'Mid', sizeMB: 1400, tier: 'standard', subcategory: 'text_classification' };
+const huge = { id: 'huge', name: 'Huge', sizeMB: 40000, tier: 'xlarge' };
+
+describe('MethodologyRegistry', () => {
+  test('lists every version, oldest first, marking the current one', () => {
+    const versions = listMethodologies();
+
+    expect(versions.map(entry => entry.version)).toEqual(['1.0', '2.0']);
+    expect(versions.filter(entry => entry.current).map(entry => entry.version)).toEqual([CURRENT_METHODOLOGY_VERSION]);
+  });
+
+  test('backs the calculator constants with the current version', () => {
+    const current = getMethodology();
+
+    expect(EnvironmentalImpactCalculator.THRESHOLDS).toBe(current.thresholds);
+    expect(EnvironmentalImpactCalculator.EFFICIENCY_CALIBRATION).toBe(current.efficiencyCalibration);
+    expect(getMethodology('0.1')).toBeNull();
+  });
+});
+
+describe('EnvironmentalImpactCalculator - provenance', () => {
+  test('records the methodology and inputs behind an impact score', () => {
+    expect(environmentalCalculator.calculateImpact(model).provenance).toEqual({
+      methodologyVersion: CURRENT_METHODOLOGY_VERSION,
+      inputs: { modelId: 'mid', sizeMB: 1400 }
+    });
+  });
+
+  test('records inputs and table versions behind energy and water estimates', () => {
+    const options = { hardwareProfile: 'cloud_t4', region: 'aws:eu-west-1', deploymentTarget: 'cloud' };
+    const energy = environmentalCalculator.estimateEnergy(model, options);
+    const water = environmentalCalculator.estimateWater(model, options);
+
+    expect(energy.provenance).toEqual({
+      methodologyVersion: CURRENT_METHODOLOGY_VERSION,
+      inputs: {
+        modelId: 'mid',
+        sizeMB: 1400,
+        tier: 'standard',
+        subcategory: 'text_classification',
+        hardwareProfile: 'cloud_t4',
+        region: 'aws:eu-west-1'
+      },
+      tables: { gridIntensity: '1.0', measuredEnergy: '1.0' }
+    });
+    expect(water.provenance.inputs.deploymentTarget).toBe('cloud');
+    expect(water.provenance.tables).toEqual({ gridIntensity: '1.0', measuredEnergy: '1.0', waterUsage: '1.0' });
+  });
+
+  test('keeps provenance on results without figures', () => {
+    const water = environmentalCalculator.estimateWater(model, { deploymentTarget: 'mobile' });
+    const energy = environmentalCalculator.estimateEnergy(huge, { hardwareProfile: 'smartphone' });
+
+    expect(water.waterLiters).toBeNull();
+    expect(water.provenance.methodologyVersion).toBe(CURRENT_METHODOLOGY_VERSION);
+    expect(energy.energyWh).toBeNull();
+    expect(energy.provenance.inputs.hardwareProfile).toBe('smartphone');
+  });
+
+  test('records the reported figures behind a training footprint', () => {
+    const trainingEmissions = { co2eGrams: 1200, source: 'CodeCarbon' };
+    const training = environmentalCalculator.getTrainingFootprint({ id: 'mid', trainingEmissions });
+
+    expect(training.provenance).toEqual({
+      methodologyVersion: CURRENT_METHODOLOGY_VERSION,
+      inputs: { modelId: 'mid', trainingEmissions }
+    });
+  });
+
+  test('rejects unknown methodology versions', () => {
+    expect(() => new EnvironmentalImpactCalculator(undefined, undefined, undefined, '0.1'))
+      .toThrow('Unknown methodology version: 0.1');
+  });
+});
+
+describe('EnvironmentalUtils - provenance', () => {
+  test('passes provenance through enhanced models, projections, comparisons and insights', () => {
+    const enhanced = enhanceModelWithEnvironmentalData(model, { hardwareProfile: 'cloud_t4' });
+    const projection = projectFootprint(model, { requestsPerDay: 500, lifetimeYears: 2 });
+    const comparison = getEnvironmentalComparison([model, huge]);
+    const insights = getEnvironmentalInsights([model, huge]);
+
+    expect(enhanced.environmental.provenance.methodologyVersion).toBe(CURRENT_METHODOLOGY_VERSION);
+    expect(enhanced.environmental.energy.provenance.inputs.hardwareProfile).toBe('cloud_t4');
+    expect(projection.provenance.inputs).toMatchObject({ modelId: 'mid', requestsPerDay: 500, lifetimeYears: 2 });
+    expect(projection.provenance.tables).toMatchObject({ waterUsage: '1.0', pricing: '1.0' });
+    expect(comparison.summary.methodologyVersion).toBe(CURRENT_METHODOLOGY_VERSION);
+    expect(comparison.models[0].environmental.provenance.inputs.modelId).toBe('mid');
+    expect(insights.summary.methodologyVersion).toBe(CURRENT_METHODOLOGY_VERSION);
+    expect(insights.recommendations[0].provenance.inputs.modelId).toBe('mid');
+  });
+
+  test('shows the methodology version on cards and equivalents', () => {
+    const { environmental } = enhanceModelWithEnvironmentalData(model, {});
+
+    expect(formatEnvironmentalForDisplay(environmental, 'card').methodologyVersion).toBe(CURRENT_METHODOLOGY_VERSION);
+    expect(formatEnvironmentalForDisplay(environmental, 'equivalents').methodologyVersion).toBe(CURRENT_METHODOLOGY_VERSION);
+  });
+
+  test('prints the methodology and table versions in the savings report', () => {
+    const report = buildSavingsReport({ ...model, sizeMB: 250 }, model, {});
+    const markdown = formatSavingsReportAsMarkdown(report);
+
+    expect(report.provenance.methodologyVersion).toBe(CURRENT_METHODOLOGY_VERSION);
+    expect(markdown).toContain(`_Methodology v${CURRENT_METHODOLOGY_VERSION} (data tables: gridIntensity 1.0, measuredEnergy 1.0, waterUsage 1.0, pricing 1.0)_`);
+  });
+});
+
+describe('EnvironmentalUtils - recomputeImpact', () => {
+  test('recomputes a model under the original size thresholds', () => {
+    const impact = recomputeImpact(huge, '1.0');
+
+    expect(impact).toMatchObject({
+      environmentalScore: 3,
+      efficiencyScore: null,
+      tier: 'advanced',
+      provenance: { methodologyVersion: '1.0' }
+    });
+    expect(recomputeImpact(huge, '2.0').tier).toBe('xlarge');
+  });
+
+  test('agrees with the current version on the 1-3 score', () => {
+    for (const sizeMB of [10, 500, 501, 4000, 4001, 20000, 200000]) {
+      expect(recomputeImpact({ sizeMB }, '1.0').environmentalScore)
+        .toBe(environmentalCalculator.calculateImpact({ sizeMB }).environmentalScore);
+    }
+  });
+
+  test('has no tier bands without an efficiency score', () => {
+    const calculator = new EnvironmentalImpactCalculator(undefined, undefined, undefined, '1.0');
+    expect(calculator.getTierBands()).toBeNull();
+  });
+
+  test('rejects unknown versions', () => {
+    expect(() => recomputeImpact(model, '9.9')).toThrow(/Unknown methodology version/);
+  });
+});
+
+describe('models.json - methodology version', () => {
+  test('names a known methodology for its stored scores', () => {
+    const version = modelsData.environmentalImpact.methodologyVersion;
+    expect(getMethodology(version)).not.toBeNull();
+  });
+
+  test('stored scores match that methodology', () => {
+    const version = modelsData.environmentalImpact.methodologyVersion;
+    for (const subcategories of Object.values(modelsData.models)) {
+      for (const tiers of Object.values(subcategories)) {
+        for (const models of Object.values(tiers)) {
+          for (const entry of models) {
+            expect(recomputeImpact(entry, version).environmentalScore).toBe(entry.environmentalScore);
+          }
+        }
+      }
+    }
+  });
+
+  test('the aggregator rescores stored models and stamps the current version', () => {
+    const aggregator = new ModelAggregator();
+    const data = {
+      environmentalImpact: { methodologyVersion: '1.0', caveat: 'Rough' },
+      models: { nlp: { text_classification: { standard: [{ id: 'a', sizeMB: 300, environmentalScore: 2 }] } } }
+    };
+
+    aggregator.rescoreModels(data);
+
+    expect(data.models.nlp.text_classification.standard[0].environmentalScore).toBe(1);
+    expect(data.environmentalImpact).toEqual({ methodologyVersion: CURRENT_METHODOLOGY_VERSION, caveat: 'Rough' });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, test, expect, beforeAll } from 'vitest';
-import { ModelAggregator } from '../src/lib/aggregation/ModelAggregator.js';
+import { ACCURACY_SOURCES, ModelAggregator } from '../src/lib/aggregation/ModelAggregator.js';
+import modelsData from '../src/lib/data/models.json';
 
 describe('ModelAggregator', () => {
   let aggregator;
@@ -303,5 +304,181 @@ describe('ModelAggregator', () => {
       expect(aggregator.calculateEnvironmentalScore(100000)).toBe(3);
     });
   });
+
+  describe('extractTrainingEmissions', () => {
+    test('reads the full co2_eq_emissions object', () => {
+      const detailedInfo = {
+        cardData: {
+          co2_eq_emissions: {
+            emissions: 149200,
+            source: 'CodeCarbon',
+            training_type: 'fine-tuning',
+            geographical_location: 'Paris, France',
+            hardware_used: '8 x A100'
+          }
+        }
+      };
+
+      expect(aggregator.extractTrainingEmissions(detailedInfo)).toEqual({
+        co2eGrams: 149200,
+        source: 'CodeCarbon',
+        trainingType: 'fine-tuning',
+        hardware: '8 x A100',
+        region: 'Paris, France'
+      });
+    });
+
+    test('reads a plain number as grams', () => {
+      const emissions = aggregator.extractTrainingEmissions({ cardData: { co2_eq_emissions: 12.5 } });
+
+      expect(emissions).toEqual({ co2eGrams: 12.5, source: null, trainingType: null, hardware: null, region: null });
+    });
+
+    test('returns null when nothing usable is reported', () => {
+      expect(aggregator.extractTrainingEmissions(null)).toBeNull();
+      expect(aggregator.extractTrainingEmissions({ cardData: {} })).toBeNull();
+      expect(aggregator.extractTrainingEmissions({ cardData: { co2_eq_emissions: { source: 'ML CO2 Impact' } } })).toBeNull();
+      expect(aggregator.extractTrainingEmissions({ cardData: { co2_eq_emissions: 'unknown' } })).toBeNull();
+    });
+
+    test('adds trainingEmissions to extracted metadata only when reported', async () => {
+      const rawModel = { id: 'org/model-base', sourceTask: 'text-classification', downloads: 10 };
+
+      const reported = await aggregator.extractModelMetadata(rawModel, { cardData: { co2_eq_emissions: 500 } });
+      const unreported = await aggregator.extractModelMetadata(rawModel, {});
+
+      expect(reported.trainingEmissions.co2eGrams).toBe(500);
+      expect(unreported).not.toHaveProperty('trainingEmissions');
+    });
+
+    test('fills in emissions newly reported for an existing model', () => {
+      const existing = { id: 'a', huggingFaceId: 'org/a', specialization: 'general' };
+      const fresh = { id: 'a', huggingFaceId: 'org/a', trainingEmissions: { co2eGrams: 500 } };
+
+      const [model] = aggregator.deduplicateModels([existing, fresh]);
+
+      expect(model.specialization).toBe('general');
+      expect(model.trainingEmissions.co2eGrams).toBe(500);
+    });
+  });
+
+  describe('extractBenchmarkMetrics and extractAccuracy', () => {
+    const cardWith = results => ({ cardData: { 'model-index': [{ name: 'model', results }] } });
+    const sst2 = {
+      task: { type: 'text-classification' },
+      dataset: { name: 'GLUE SST2', type: 'glue', split: 'validation' },
+      metrics: [
+        { type: 'accuracy', value: 0.913, name: 'Accuracy', verified: true },
+        { type: 'f1', value: 0.92 }
+      ]
+    };
+
+    test('reads every metric with its dataset and split', () => {
+      const metrics = aggregator.extractBenchmarkMetrics(cardWith([
+        sst2,
+        { dataset: { type: 'imdb' }, metrics: [{ type: 'loss', value: '0.31' }, { type: 'accuracy', value: null }] }
+      ]));
+
+      expect(metrics).toEqual([
+        { type: 'accuracy', value: 0.913, dataset: 'GLUE SST2', split: 'validation' },
+        { type: 'f1', value: 0.92, dataset: 'GLUE SST2', split: 'validation' },
+        { type: 'loss', value: 0.31, dataset: 'imdb', split: null }
+      ]);
+    });
+
+    test('returns no metrics when the card has no model-index', () => {
+      expect(aggregator.extractBenchmarkMetrics(null)).toEqual([]);
+      expect(aggregator.extractBenchmarkMetrics({ cardData: {} })).toEqual([]);
+      expect(aggregator.extractBenchmarkMetrics({ cardData: { 'model-index': 'broken' } })).toEqual([]);
+    });
+
+    test('takes accuracy from the metrics, preferring the test split', () => {
+      const rawModel = { id: 'org/model-large' };
+      const test = { dataset: { name: 'SST2', split: 'test' }, metrics: [{ type: 'Accuracy', value: 89.5 }] };
+
+      expect(aggregator.extractAccuracy(rawModel, cardWith([sst2]))).toBe(0.913);
+      expect(aggregator.extractAccuracy(rawModel, cardWith([sst2, test]))).toBe(0.895);
+      expect(aggregator.extractAccuracy(rawModel, { 'model-index': [{ results: [{ metrics: [{ type: 'acc_norm', value: 0.5 }] }] }] })).toBe(0.5);
+    });
+
+    test('recognizes accuracy metrics by type or column name', () => {
+      expect(aggregator.isAccuracyMetric('Accuracy')).toBe(true);
+      expect(aggregator.isAccuracyMetric('top1-accuracy')).toBe(true);
+      expect(aggregator.isAccuracyMetric('Average ⬆️')).toBe(false);
+      expect(aggregator.isAccuracyMetric('f1')).toBe(false);
+    });
+
+    test('does not guess accuracy from the model name', () => {
+      const f1Only = { dataset: { name: 'conll2003' }, metrics: [{ type: 'f1', value: 0.95 }] };
+
+      expect(aggregator.extractAccuracy({ id: 'org/model-large' }, {})).toBeNull();
+      expect(aggregator.extractAccuracy({ id: 'org/model-base' }, cardWith([f1Only]))).toBeNull();
+    });
+
+    test('flags models without reported accuracy in extracted metadata', async () => {
+      const rawModel = { id: 'org/model-large', sourceTask: 'text-classification', downloads: 10 };
+
+      const reported = await aggregator.extractModelMetadata(rawModel, cardWith([sst2]));
+      const unreported = await aggregator.extractModelMetadata(rawModel, {});
+
+      expect(reported.accuracy).toBe(0.913);
+      expect(reported.accuracySource).toBe('model-index');
+      expect(reported.metrics).toHaveLength(2);
+      expect(reported).not.toHaveProperty('accuracyReported');
+      expect(unreported.accuracy).toBeNull();
+      expect(unreported.accuracyReported).toBe(false);
+      expect(unreported).not.toHaveProperty('accuracySource');
+      expect(unreported).not.toHaveProperty('metrics');
+    });
+
+    test('replaces an unreported accuracy when metrics appear', () => {
+      const existing = { id: 'a', huggingFaceId: 'org/a', accuracy: null, accuracyReported: false };
+      const fresh = { id: 'a', huggingFaceId: 'org/a', accuracy: 0.9, metrics: [{ type: 'accuracy', value: 0.9, dataset: null, split: null }] };
+
+      const [model] = aggregator.deduplicateModels([existing, fresh]);
+
+      expect(model.accuracy).toBe(0.9);
+      expect(model.metrics).toHaveLength(1);
+      expect(model).not.toHaveProperty('accuracyReported');
+    });
+
+    test('replaces a curated accuracy and its source when metrics appear', () => {
+      const existing = { id: 'a', huggingFaceId: 'org/a-large', accuracy: 0.85, accuracySource: 'curated' };
+      const fresh = {
+        id: 'a',
+        huggingFaceId: 'org/a-large',
+        accuracy: 0.913,
+        accuracySource: 'model-index',
+        metrics: [{ type: 'accuracy', value: 0.913, dataset: null, split: null }]
+      };
+
+      const [model] = aggregator.deduplicateModels([existing, fresh]);
+
+      expect(model).toMatchObject({ accuracy: 0.913, accuracySource: 'model-index' });
+    });
+  });
+
+  describe('models.json accuracy sources', () => {
+    const entries = Object.values(modelsData.models)
+      .flatMap(subcategories => Object.values(subcategories))
+      .flatMap(tiers => Object.values(tiers))
+      .flat();
+
+    test('records where every stored accuracy came from', () => {
+      for (const entry of entries.filter(model => model.accuracy !== null)) {
+        expect(ACCURACY_SOURCES).toContain(entry.accuracySource);
+      }
+    });
+
+    test('keeps no size-based guesses', () => {
+      const unreported = entries.filter(model => model.accuracy === null);
+
+      expect(unreported.length).toBeGreaterThan(0);
+      for (const entry of unreported) {
+        expect(entry.accuracyReported).toBe(false);
+        expect(entry).not.toHaveProperty('accuracySource');
+      }
+    });
+  });
 });
 
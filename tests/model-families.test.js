@@ -0,0 +1,122 @@
+/**
+ * Unit tests for model families and step-up/step-down paths
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { getFamilyKey, groupByFamily } from '../src/lib/data/ModelFamilies.js';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import modelsData from '../src/lib/data/models.json';
+
+describe('Model Families', () => {
+  describe('getFamilyKey', () => {
+    test.each([
+      ['openai/whisper-small', 'openai/whisper'],
+      ['openai/whisper-small.en', 'openai/whisper'],
+      ['openai/whisper-large-v3-turbo', 'openai/whisper'],
+      ['hustvl/yolos-tiny', 'hustvl/yolos'],
+      ['google/efficientnet-b7', 'google/efficientnet'],
+      ['Qwen/Qwen2.5-Coder-0.5B-Instruct', 'qwen/qwen2.5-coder'],
+      ['deepseek-ai/deepseek-coder-6.7b-instruct', 'deepseek-ai/deepseek-coder'],
+      ['amazon/chronos-t5-large', 'amazon/chronos-t5'],
+      ['gpt2-medium', 'gpt2']
+    ])('derives %s → %s', (huggingFaceId, expected) => {
+      expect(getFamilyKey({ huggingFaceId })).toBe(expected);
+    });
+
+    test('keeps publishers apart', () => {
+      expect(getFamilyKey({ huggingFaceId: 'facebook/wav2vec2-base-960h' }))
+        .not.toBe(getFamilyKey({ huggingFaceId: 'jonatasgrosman/wav2vec2-large-xlsr-53-dutch' }));
+    });
+
+    test('falls back to the name and honours an explicit family', () => {
+      expect(getFamilyKey({ name: 'MobileViT Small' })).toBe('mobilevit');
+      expect(getFamilyKey({ huggingFaceId: 'org/custom-small', family: 'Custom' })).toBe('custom');
+      expect(getFamilyKey({})).toBeNull();
+    });
+  });
+
+  describe('groupByFamily', () => {
+    test('sorts members smallest first and drops duplicate checkpoints', () => {
+      const families = groupByFamily([
+        { id: 'l', huggingFaceId: 'org/net-large', sizeMB: 800 },
+        { id: 's', huggingFaceId: 'org/net-small', sizeMB: 50 },
+        { id: 'l', huggingFaceId: 'org/net-large', sizeMB: 900 }
+      ]);
+
+      expect(families.get('org/net').map(m => m.id)).toEqual(['s', 'l']);
+    });
+  });
+});
+
+describe('ModelSelector - family steps', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(modelsData);
+  });
+
+  function findModel(subcategory, huggingFaceId) {
+    const category = subcategory === 'speech_recognition' ? 'speech_processing' : 'time_series';
+    return modelSelector.getTaskModels(category, subcategory).find(m => m.huggingFaceId === huggingFaceId);
+  }
+
+  test('steps through the Chronos T5 size ladder', () => {
+    const small = findModel('forecasting', 'amazon/chronos-t5-small');
+    const steps = modelSelector.getFamilySteps(small);
+
+    expect(steps.family).toBe('amazon/chronos-t5');
+    expect(steps.smaller.name).toBe('Chronos T5 Tiny');
+    expect(steps.larger.name).toBe('Chronos T5 Base');
+    expect(steps.smaller.sizeDeltaMB).toBe(8 - 42);
+    expect(steps.larger.sizeRatio).toBeCloseTo(200 / 42);
+  });
+
+  test('reports accuracy deltas in points', () => {
+    const selector = new ModelSelector({
+      models: {
+        speech_processing: {
+          speech_recognition: {
+            lightweight: [{ id: 's', huggingFaceId: 'org/asr-small', sizeMB: 250, accuracy: 0.72 }],
+            standard: [{ id: 'l', huggingFaceId: 'org/asr-large', sizeMB: 800, accuracy: 0.85 }]
+          }
+        }
+      }
+    });
+    const [small] = selector.getTaskModels('speech_processing', 'speech_recognition');
+
+    expect(selector.getFamilySteps(small).larger.accuracyDelta).toBe(13);
+  });
+
+  test('has no accuracy delta when either model reports no accuracy', () => {
+    const whisperSmall = findModel('speech_recognition', 'openai/whisper-small');
+    const steps = modelSelector.getFamilySteps(whisperSmall);
+
+    expect(steps.smaller).toBeNull();
+    expect(steps.larger.sizeMB).toBe(800);
+    expect(steps.larger.accuracyDelta).toBeNull();
+  });
+
+  test('does not step across specializations', () => {
+    const whisperSmallEn = findModel('speech_recognition', 'openai/whisper-small.en');
+    const steps = modelSelector.getFamilySteps(whisperSmallEn);
+
+    // No other English-only Whisper variant is listed
+    expect(steps.smaller).toBeNull();
+    expect(steps.larger).toBeNull();
+  });
+
+  test('ignores filters when looking for siblings', () => {
+    const grouped = modelSelector.getTaskModelsGroupedByTier('time_series', 'forecasting', 0, { deploymentTarget: 'browser' });
+    const shown = [...grouped.lightweight.models, ...grouped.standard.models, ...grouped.advanced.models];
+    const [withSteps] = modelSelector.attachFamilySteps(shown.filter(m => m.huggingFaceId === 'amazon/chronos-t5-tiny'));
+
+    expect(withSteps.familySteps.larger.name).toBe('Chronos T5 Small');
+  });
+
+  test('models without siblings get empty steps', () => {
+    const [model] = modelSelector.attachFamilySteps([
+      { id: 'solo', huggingFaceId: 'org/solo', sizeMB: 10, category: 'nonexistent', subcategory: 'none' }
+    ]);
+    expect(model.familySteps).toEqual({ family: 'org/solo', size: 1, smaller: null, larger: null });
+  });
+});
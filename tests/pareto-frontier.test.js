@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the accuracy-vs-size Pareto frontier
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import modelsData from '../src/lib/data/models.json';
+
+const mockModelsData = {
+  models: {
+    computer_vision: {
+      image_classification: {
+        lightweight: [
+          { id: 'tiny', name: 'Tiny', accuracy: 0.70, sizeMB: 10 },
+          { id: 'small-weak', name: 'Small Weak', accuracy: 0.65, sizeMB: 50 },
+          { id: 'small', name: 'Small', accuracy: 0.80, sizeMB: 60 }
+        ],
+        standard: [
+          { id: 'medium', name: 'Medium', accuracy: 0.80, sizeMB: 900 },
+          { id: 'medium-good', name: 'Medium Good', accuracy: 0.88, sizeMB: 1200 }
+        ],
+        advanced: [
+          { id: 'large', name: 'Large', accuracy: 0.95, sizeMB: 9000 },
+          { id: 'large-unknown', name: 'Large Unknown', accuracy: null, sizeMB: 8000 }
+        ]
+      }
+    }
+  }
+};
+
+describe('ModelSelector - Pareto Frontier', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(mockModelsData);
+  });
+
+  test('returns frontier models sorted smallest first', () => {
+    const { frontier } = modelSelector.getParetoFrontier('computer_vision', 'image_classification');
+    expect(frontier.map(m => m.id)).toEqual(['tiny', 'small', 'medium-good', 'large']);
+  });
+
+  test('marks models dominated on both axes', () => {
+    const { dominated } = modelSelector.getParetoFrontier('computer_vision', 'image_classification');
+    const byId = Object.fromEntries(dominated.map(m => [m.id, m]));
+
+    // Bigger than tiny and less accurate
+    expect(byId['small-weak'].dominatedBy).toBe('tiny');
+    // Same accuracy as small but much bigger
+    expect(byId['medium'].dominatedBy).toBe('small');
+    // Missing accuracy counts as 0
+    expect(byId['large-unknown']).toBeDefined();
+  });
+
+  test('preserves input order when marking', () => {
+    const models = modelSelector.rankBySize(modelSelector.getTaskModels('computer_vision', 'image_classification'));
+    const marked = modelSelector.markParetoFrontier(models);
+
+    expect(marked.map(m => m.id)).toEqual(models.map(m => m.id));
+    marked.forEach(model => {
+      expect(typeof model.paretoOptimal).toBe('boolean');
+    });
+  });
+
+  test('identical models do not dominate each other', () => {
+    const marked = modelSelector.markParetoFrontier([
+      { id: 'a', sizeMB: 100, accuracy: 0.8 },
+      { id: 'b', sizeMB: 100, accuracy: 0.8 }
+    ]);
+
+    expect(marked.every(m => m.paretoOptimal)).toBe(true);
+  });
+
+  test('handles unknown subcategories', () => {
+    const result = modelSelector.getParetoFrontier('nonexistent', 'category');
+    expect(result.frontier).toEqual([]);
+    expect(result.dominated).toEqual([]);
+  });
+
+  test('no frontier model is dominated in the real dataset', () => {
+    const selector = new ModelSelector(modelsData);
+    const { frontier } = selector.getParetoFrontier('speech_processing', 'speech_recognition');
+
+    expect(frontier.length).toBeGreaterThan(0);
+    for (const model of frontier) {
+      const dominator = frontier.find(other =>
+        other !== model &&
+        other.sizeMB <= model.sizeMB &&
+        (other.accuracy ?? 0) >= (model.accuracy ?? 0) &&
+        (other.sizeMB < model.sizeMB || (other.accuracy ?? 0) > (model.accuracy ?? 0))
+      );
+      expect(dominator).toBeUndefined();
+    }
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for multi-stage pipeline planning
+ */
+
+import { describe, test, expect, beforeAll } from 'vitest';
+import {
+  splitIntoStages,
+  classifyStages,
+  summarizePipeline,
+  MAX_STAGES
+} from '../src/lib/recommendation/PipelinePlanner.js';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import modelsData from '../src/lib/data/models.json';
+
+// Deterministic stand-in for the embedding classifier
+const STUB_CLASSIFICATIONS = {
+  transcribe: { category: 'speech_processing', subcategory: 'speech_recognition', confidence: 0.9 },
+  summarize: { category: 'natural_language_processing', subcategory: 'text_generation', confidence: 0.8 },
+  extract: { category: 'natural_language_processing', subcategory: 'named_entity_recognition', confidence: 0.85 },
+  tag: { category: 'natural_language_processing', subcategory: 'named_entity_recognition', confidence: 0.7 }
+};
+
+async function stubClassify(text) {
+  const verb = text.split(' ')[0].toLowerCase();
+  return STUB_CLASSIFICATIONS[verb] || null;
+}
+
+describe('Pipeline Planner', () => {
+  describe('splitIntoStages', () => {
+    test.each([
+      ['transcribe meetings and summarize them', ['transcribe meetings', 'summarize them']],
+      ['OCR invoices then extract entities', ['OCR invoices', 'extract entities']],
+      ['First transcribe the podcast, then translate it, and finally summarize it.', ['transcribe the podcast', 'translate it', 'summarize it']],
+      ['transcribe calls; extract entities', ['transcribe calls', 'extract entities']]
+    ])('splits "%s"', (description, expected) => {
+      expect(splitIntoStages(description)).toEqual(expected);
+    });
+
+    test('keeps single-task descriptions whole', () => {
+      expect(splitIntoStages('classify images of dogs and cats')).toEqual(['classify images of dogs and cats']);
+      expect(splitIntoStages('analyze sentiment of reviews')).toEqual(['analyze sentiment of reviews']);
+    });
+
+    test('folds one-word fragments into their neighbour', () => {
+      expect(splitIntoStages('detect and classify objects in photos')).toEqual(['detect and classify objects in photos']);
+    });
+
+    test('caps the number of stages', () => {
+      const description = Array.from({ length: 8 }, (_, i) => `step ${i}`).join(' then ');
+      expect(splitIntoStages(description)).toHaveLength(MAX_STAGES);
+    });
+
+    test('handles empty and invalid input', () => {
+      expect(splitIntoStages('')).toEqual([]);
+      expect(splitIntoStages(null)).toEqual([]);
+    });
+  });
+
+  describe('classifyStages', () => {
+    test('classifies stages in order', async () => {
+      const stages = await classifyStages(['transcribe meetings', 'summarize them'], stubClassify);
+
+      expect(stages.map(s => s.subcategory)).toEqual(['speech_recognition', 'text_generation']);
+      expect(stages[0].description).toBe('transcribe meetings');
+    });
+
+    test('merges neighbouring stages with the same subcategory', async () => {
+      const stages = await classifyStages(['extract names', 'tag places', 'summarize it'], stubClassify);
+
+      expect(stages).toHaveLength(2);
+      expect(stages[0].description).toBe('extract names and tag places');
+      expect(stages[0].confidence).toBe(0.7);
+    });
+
+    test('drops stages the classifier cannot place', async () => {
+      const stages = await classifyStages(['juggle widgets', 'summarize it'], stubClassify);
+      expect(stages.map(s => s.subcategory)).toEqual(['text_generation']);
+    });
+  });
+
+  describe('summarizePipeline', () => {
+    let modelSelector;
+
+    beforeAll(() => {
+      modelSelector = new ModelSelector(modelsData);
+    });
+
+    function withModels(stages) {
+      return stages.map(stage => ({
+        ...stage,
+        models: modelSelector.selectModels(stage.category, stage.subcategory, 3)
+      }));
+    }
+
+    test('sums the size of each stage pick', async () => {
+      const stages = await classifyStages(splitIntoStages('transcribe meetings and summarize them'), stubClassify);
+      const pipeline = summarizePipeline(withModels(stages));
+
+      const expectedSize = pipeline.stages.reduce((sum, s) => sum + s.pick.sizeMB, 0);
+      expect(pipeline.stages).toHaveLength(2);
+      expect(pipeline.totalSizeMB).toBe(expectedSize);
+      expect(pipeline.missingStages).toEqual([]);
+    });
+
+    test('scores the chain on its combined size', () => {
+      const pipeline = summarizePipeline([
+        { subcategory: 'a', models: [{ name: 'A', sizeMB: 300 }] },
+        { subcategory: 'b', models: [{ name: 'B', sizeMB: 300 }] }
+      ]);
+
+      // Each model alone is low impact, together they exceed the 500MB threshold
+      expect(pipeline.totalSizeMB).toBe(600);
+      expect(pipeline.environmentalScore).toBe(2);
+      expect(pipeline.scoreLabel).toBe('Medium Impact');
+    });
+
+    test('identifies the largest stage', () => {
+      const pipeline = summarizePipeline([
+        { subcategory: 'a', models: [{ name: 'A', sizeMB: 100 }] },
+        { subcategory: 'b', models: [{ name: 'B', sizeMB: 900 }] }
+      ]);
+      expect(pipeline.largestStage).toBe(1);
+    });
+
+    test('sums stage costs when every pick has an estimate', () => {
+      const pipeline = summarizePipeline([
+        { subcategory: 'a', models: [{ name: 'A', sizeMB: 100, costEstimate: { low: 1, high: 3, currency: 'USD' } }] },
+        { subcategory: 'b', models: [{ name: 'B', sizeMB: 200, costEstimate: { low: 2, high: 5, currency: 'USD' } }] }
+      ]);
+      expect(pipeline.totalCost).toEqual({ low: 3, high: 8, currency: 'USD' });
+
+      const partial = summarizePipeline([
+        { subcategory: 'a', models: [{ name: 'A', sizeMB: 100, costEstimate: { low: 1, high: 3, currency: 'USD' } }] },
+        { subcategory: 'b', models: [] }
+      ]);
+      expect(partial.totalCost).toBeNull();
+    });
+
+    test('reports stages without matching models', () => {
+      const pipeline = summarizePipeline([
+        { subcategory: 'a', models: [{ name: 'A', sizeMB: 100 }] },
+        { subcategory: 'b', models: [] }
+      ]);
+
+      expect(pipeline.stages[1].pick).toBeNull();
+      expect(pipeline.missingStages).toEqual([1]);
+      expect(pipeline.totalSizeMB).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,392 @@
+/**
+ * Unit tests for the preferences storage utility
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import {
+  getAccuracyThreshold,
+  saveAccuracyThreshold,
+  getClassificationMode,
+  saveClassificationMode,
+  clearPreferences,
+  getSortMode,
+  saveSortMode,
+  getDiversity,
+  saveDiversity,
+  getHardwareProfile,
+  saveHardwareProfile,
+  getHardwareFitMode,
+  saveHardwareFitMode,
+  getDeploymentTarget,
+  saveDeploymentTarget,
+  getIncludeXlarge,
+  saveIncludeXlarge,
+  getRequestVolume,
+  saveRequestVolume,
+  getHourlyRate,
+  saveHourlyRate,
+  getLatencyBudget,
+  saveLatencyBudget,
+  getTargetSearch,
+  saveTargetSearch,
+  getGridRegion,
+  saveGridRegion,
+  getFootprintProjection,
+  saveFootprintProjection
+} from '../src/lib/storage/preferences.js';
+import { DEFAULT_REQUESTS_PER_MONTH, GRID_REGION_IDS } from '../src/lib/data/constants.js';
+import { environmentalCalculator } from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import { HARDWARE_PROFILES, normalizeHardwareProfile } from '../src/lib/hardware/HardwareProfiles.js';
+
+describe('Preferences Storage', () => {
+  beforeEach(() => {
+    // Clear localStorage mock before each test
+    localStorage.clear();
+  });
+
+  describe('saveAccuracyThreshold', () => {
+    test('saves valid threshold to localStorage', () => {
+      const result = saveAccuracyThreshold(75);
+      expect(result).toBe(true);
+
+      const saved = getAccuracyThreshold();
+      expect(saved).toBe(75);
+    });
+
+    test('handles threshold of 0', () => {
+      const result = saveAccuracyThreshold(0);
+      expect(result).toBe(true);
+
+      const saved = getAccuracyThreshold();
+      expect(saved).toBe(0);
+    });
+
+    test('handles maximum threshold of 95', () => {
+      const result = saveAccuracyThreshold(95);
+      expect(result).toBe(true);
+
+      const saved = getAccuracyThreshold();
+      expect(saved).toBe(95);
+    });
+
+    test('rejects invalid threshold (negative)', () => {
+      const result = saveAccuracyThreshold(-5);
+      expect(result).toBe(false);
+
+      const saved = getAccuracyThreshold();
+      expect(saved).toBe(0); // Should return default
+    });
+
+    test('rejects invalid threshold (over 95)', () => {
+      const result = saveAccuracyThreshold(100);
+      expect(result).toBe(false);
+
+      const saved = getAccuracyThreshold();
+      expect(saved).toBe(0); // Should return default
+    });
+
+    test('rejects non-number values', () => {
+      const result = saveAccuracyThreshold('75');
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('getAccuracyThreshold', () => {
+    test('returns default 0 when nothing saved', () => {
+      const result = getAccuracyThreshold();
+      expect(result).toBe(0);
+    });
+
+    test('returns saved threshold', () => {
+      saveAccuracyThreshold(85);
+      const result = getAccuracyThreshold();
+      expect(result).toBe(85);
+    });
+
+    test('handles corrupted localStorage data', () => {
+      // Manually set invalid data
+      localStorage.setItem('modelSelector', 'invalid json');
+      const result = getAccuracyThreshold();
+      expect(result).toBe(0); // Should return default
+    });
+  });
+
+  describe('saveClassificationMode', () => {
+    test('saves valid mode to localStorage', () => {
+      const result = saveClassificationMode('ensemble');
+      expect(result).toBe(true);
+
+      const saved = getClassificationMode();
+      expect(saved).toBe('ensemble');
+    });
+
+    test('saves fast mode', () => {
+      const result = saveClassificationMode('fast');
+      expect(result).toBe(true);
+
+      const saved = getClassificationMode();
+      expect(saved).toBe('fast');
+    });
+
+    test('rejects invalid mode', () => {
+      const result = saveClassificationMode('invalid');
+      expect(result).toBe(false);
+
+      const saved = getClassificationMode();
+      expect(saved).toBe('fast'); // Should return default
+    });
+
+    test('rejects non-string values', () => {
+      const result = saveClassificationMode(123);
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('getClassificationMode', () => {
+    test('returns default "fast" when nothing saved', () => {
+      const result = getClassificationMode();
+      expect(result).toBe('fast');
+    });
+
+    test('returns saved mode', () => {
+      saveClassificationMode('ensemble');
+      const result = getClassificationMode();
+      expect(result).toBe('ensemble');
+    });
+
+    test('handles corrupted localStorage data', () => {
+      // Manually set invalid data
+      localStorage.setItem('modelSelector', 'invalid json');
+      const result = getClassificationMode();
+      expect(result).toBe('fast'); // Should return default
+    });
+  });
+
+  describe('clearPreferences', () => {
+    test('clears all preferences', () => {
+      saveAccuracyThreshold(75);
+      saveClassificationMode('ensemble');
+      expect(getAccuracyThreshold()).toBe(75);
+      expect(getClassificationMode()).toBe('ensemble');
+
+      clearPreferences();
+      expect(getAccuracyThreshold()).toBe(0);
+      expect(getClassificationMode()).toBe('fast');
+    });
+  });
+
+  describe('sort mode', () => {
+    test('returns default "size" when nothing saved', () => {
+      expect(getSortMode()).toBe('size');
+    });
+
+    test('saves balanced mode', () => {
+      expect(saveSortMode('balanced')).toBe(true);
+      expect(getSortMode()).toBe('balanced');
+    });
+
+    test('rejects invalid mode', () => {
+      expect(saveSortMode('largest')).toBe(false);
+      expect(getSortMode()).toBe('size');
+    });
+  });
+
+  describe('diversity', () => {
+    test('defaults to off', () => {
+      expect(getDiversity()).toBe(false);
+    });
+
+    test('saves the toggle', () => {
+      expect(saveDiversity(true)).toBe(true);
+      expect(getDiversity()).toBe(true);
+
+      expect(saveDiversity(false)).toBe(true);
+      expect(getDiversity()).toBe(false);
+    });
+
+    test('rejects non-boolean values', () => {
+      expect(saveDiversity(1)).toBe(false);
+      expect(getDiversity()).toBe(false);
+    });
+  });
+
+  describe('hardware profile', () => {
+    test('returns null when nothing saved', () => {
+      expect(getHardwareProfile()).toBeNull();
+    });
+
+    test('saves predefined profiles by ID', () => {
+      expect(saveHardwareProfile(HARDWARE_PROFILES.laptop_16gb)).toBe(true);
+      expect(JSON.parse(localStorage.getItem('modelSelector')).hardwareProfile).toEqual({ id: 'laptop_16gb' });
+      expect(getHardwareProfile()).toEqual({ id: 'laptop_16gb' });
+      expect(normalizeHardwareProfile(getHardwareProfile())).toBe(HARDWARE_PROFILES.laptop_16gb);
+    });
+
+    test('saves custom profiles with their specs', () => {
+      expect(saveHardwareProfile({ id: 'custom', ramGB: 12, vramGB: 6, accelerator: 'consumer_gpu' })).toBe(true);
+      expect(getHardwareProfile()).toMatchObject({ id: 'custom', ramGB: 12, vramGB: 6 });
+    });
+
+    test('clears the profile with null', () => {
+      saveHardwareProfile(HARDWARE_PROFILES.cloud_t4);
+      expect(saveHardwareProfile(null)).toBe(true);
+      expect(getHardwareProfile()).toBeNull();
+    });
+
+    test('rejects invalid profiles', () => {
+      expect(saveHardwareProfile({ id: 'custom', ramGB: -4 })).toBe(false);
+      expect(getHardwareProfile()).toBeNull();
+    });
+
+    test('saves fit mode and defaults to hide', () => {
+      expect(getHardwareFitMode()).toBe('hide');
+      expect(saveHardwareFitMode('flag')).toBe(true);
+      expect(getHardwareFitMode()).toBe('flag');
+      expect(saveHardwareFitMode('ignore')).toBe(false);
+    });
+  });
+
+  describe('deployment target', () => {
+    test('returns null when nothing saved', () => {
+      expect(getDeploymentTarget()).toBeNull();
+    });
+
+    test('saves a valid target', () => {
+      expect(saveDeploymentTarget('browser')).toBe(true);
+      expect(getDeploymentTarget()).toBe('browser');
+    });
+
+    test('clears the target with null', () => {
+      saveDeploymentTarget('mobile');
+      expect(saveDeploymentTarget(null)).toBe(true);
+      expect(getDeploymentTarget()).toBeNull();
+    });
+
+    test('rejects invalid targets', () => {
+      expect(saveDeploymentTarget('mainframe')).toBe(false);
+      expect(getDeploymentTarget()).toBeNull();
+    });
+  });
+
+  describe('xlarge tier', () => {
+    test('defaults to excluded', () => {
+      expect(getIncludeXlarge()).toBe(false);
+    });
+
+    test('saves the opt-in', () => {
+      expect(saveIncludeXlarge(true)).toBe(true);
+      expect(getIncludeXlarge()).toBe(true);
+
+      expect(saveIncludeXlarge(false)).toBe(true);
+      expect(getIncludeXlarge()).toBe(false);
+    });
+
+    test('rejects non-boolean values', () => {
+      expect(saveIncludeXlarge('yes')).toBe(false);
+      expect(getIncludeXlarge()).toBe(false);
+    });
+  });
+
+  describe('cost settings', () => {
+    test('accepts the cost sort mode', () => {
+      expect(saveSortMode('cost')).toBe(true);
+      expect(getSortMode()).toBe('cost');
+    });
+
+    test('saves request volume', () => {
+      expect(getRequestVolume()).toBe(DEFAULT_REQUESTS_PER_MONTH);
+      expect(saveRequestVolume(1000000)).toBe(true);
+      expect(getRequestVolume()).toBe(1000000);
+      expect(saveRequestVolume(-5)).toBe(false);
+      expect(saveRequestVolume(1.5)).toBe(false);
+    });
+
+    test('saves and clears the hourly rate', () => {
+      expect(getHourlyRate()).toBeNull();
+      expect(saveHourlyRate(0.9)).toBe(true);
+      expect(getHourlyRate()).toBe(0.9);
+      expect(saveHourlyRate(null)).toBe(true);
+      expect(getHourlyRate()).toBeNull();
+      expect(saveHourlyRate('cheap')).toBe(false);
+    });
+  });
+
+  describe('latency budget', () => {
+    test('defaults to no budget', () => {
+      expect(getLatencyBudget()).toBeNull();
+    });
+
+    test('saves and clears the budget', () => {
+      expect(saveLatencyBudget(200)).toBe(true);
+      expect(getLatencyBudget()).toBe(200);
+      expect(saveLatencyBudget(null)).toBe(true);
+      expect(getLatencyBudget()).toBeNull();
+    });
+
+    test('rejects invalid budgets', () => {
+      expect(saveLatencyBudget(0)).toBe(false);
+      expect(saveLatencyBudget('fast')).toBe(false);
+    });
+  });
+
+  describe('target search', () => {
+    test('defaults to disabled without a size limit', () => {
+      expect(getTargetSearch()).toEqual({ enabled: false, maxSizeMB: null });
+    });
+
+    test('saves target search settings', () => {
+      expect(saveTargetSearch({ enabled: true, maxSizeMB: 500 })).toBe(true);
+      expect(getTargetSearch()).toEqual({ enabled: true, maxSizeMB: 500 });
+    });
+
+    test('rejects invalid settings', () => {
+      expect(saveTargetSearch({ enabled: 'yes', maxSizeMB: null })).toBe(false);
+      expect(saveTargetSearch({ enabled: true, maxSizeMB: -1 })).toBe(false);
+      expect(saveTargetSearch(null)).toBe(false);
+    });
+  });
+
+  describe('grid region', () => {
+    test('defaults to the world average', () => {
+      expect(getGridRegion()).toBeNull();
+    });
+
+    test('saves countries and cloud regions', () => {
+      expect(saveGridRegion('DE')).toBe(true);
+      expect(getGridRegion()).toBe('DE');
+      expect(saveGridRegion('gcp:europe-west1')).toBe(true);
+      expect(getGridRegion()).toBe('gcp:europe-west1');
+      expect(saveGridRegion(null)).toBe(true);
+      expect(getGridRegion()).toBeNull();
+    });
+
+    test('rejects unknown regions', () => {
+      expect(saveGridRegion('atlantis')).toBe(false);
+      expect(saveGridRegion(42)).toBe(false);
+    });
+
+    test('accepts exactly the regions the carbon table knows', () => {
+      const { countries, cloudRegions } = environmentalCalculator.listGridRegions();
+      const tableIds = [...countries, ...cloudRegions].map(region => region.id);
+
+      expect([...GRID_REGION_IDS].sort()).toEqual(tableIds.sort());
+    });
+  });
+
+  describe('footprint projection', () => {
+    test('defaults to 10K requests per day for 3 years', () => {
+      expect(getFootprintProjection()).toEqual({ requestsPerDay: 10000, lifetimeYears: 3 });
+    });
+
+    test('saves projection settings', () => {
+      expect(saveFootprintProjection({ requestsPerDay: 250000, lifetimeYears: 5 })).toBe(true);
+      expect(getFootprintProjection()).toEqual({ requestsPerDay: 250000, lifetimeYears: 5 });
+    });
+
+    test('rejects invalid settings', () => {
+      expect(saveFootprintProjection({ requestsPerDay: 0, lifetimeYears: 3 })).toBe(false);
+      expect(saveFootprintProjection({ requestsPerDay: 1000, lifetimeYears: 'forever' })).toBe(false);
+      expect(saveFootprintProjection(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for "why this model" recommendation rationales
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import {
+  getSubcategoryStats,
+  buildRationale,
+  formatRationaleAsMarkdown
+} from '../src/lib/recommendation/RecommendationRationale.js';
+import { HARDWARE_PROFILES } from '../src/lib/hardware/HardwareProfiles.js';
+import { environmentalCalculator } from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+
+const mockModelsData = {
+  models: {
+    natural_language_processing: {
+      sentiment_analysis: {
+        lightweight: [
+          { id: 'tiny', name: 'Tiny', huggingFaceId: 'org/tiny', accuracy: 0.70, sizeMB: 50, deploymentOptions: ['browser'] },
+          { id: 'spanish', name: 'Spanish', huggingFaceId: 'org/spanish', accuracy: 0.82, sizeMB: 400, specialization: 'language:spanish', deploymentOptions: ['cloud'] }
+        ],
+        standard: [
+          { id: 'medium', name: 'Medium', huggingFaceId: 'org/medium', accuracy: 0.80, sizeMB: 1500, deploymentOptions: ['cloud'] }
+        ],
+        advanced: [
+          { id: 'large', name: 'Large', huggingFaceId: 'org/large', accuracy: 0.90, sizeMB: 3000, deploymentOptions: ['server'] }
+        ]
+      }
+    }
+  }
+};
+
+describe('Recommendation Rationale', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(mockModelsData);
+  });
+
+  describe('getSubcategoryStats', () => {
+    test('computes sorted sizes and median accuracy', () => {
+      const stats = getSubcategoryStats(modelSelector.getTaskModels('natural_language_processing', 'sentiment_analysis'));
+      expect(stats.count).toBe(4);
+      expect(stats.sizes).toEqual([50, 400, 1500, 3000]);
+      expect(stats.medianAccuracy).toBeCloseTo(0.81);
+    });
+
+    test('ignores missing accuracy', () => {
+      const stats = getSubcategoryStats([{ sizeMB: 1, accuracy: null }, { sizeMB: 2, accuracy: 0.9 }]);
+      expect(stats.medianAccuracy).toBe(0.9);
+    });
+  });
+
+  describe('attachRationale', () => {
+    test('lists tier, size and accuracy factors for every model', () => {
+      const models = modelSelector.attachRationale(
+        modelSelector.selectModels('natural_language_processing', 'sentiment_analysis', 4)
+      );
+
+      models.forEach(model => {
+        const factorNames = model.rationale.factors.map(f => f.factor);
+        expect(factorNames).toEqual(expect.arrayContaining(['tier', 'size', 'accuracy']));
+        expect(model.rationale.summary.length).toBeGreaterThan(0);
+      });
+    });
+
+    test('reports size percentile within the whole subcategory', () => {
+      const [tiny] = modelSelector.attachRationale(
+        modelSelector.selectModels('natural_language_processing', 'sentiment_analysis', 1)
+      );
+      const size = tiny.rationale.factors.find(f => f.factor === 'size');
+
+      expect(size.value).toBe(0);
+      expect(size.summary).toContain('Smaller than 100%');
+    });
+
+    test('compares accuracy with the subcategory median', () => {
+      const models = modelSelector.attachRationale(
+        modelSelector.selectModels('natural_language_processing', 'sentiment_analysis', 4)
+      );
+      const large = models.find(m => m.id === 'large');
+      const accuracy = large.rationale.factors.find(f => f.factor === 'accuracy');
+
+      expect(accuracy.value).toBe(9);
+      expect(accuracy.summary).toContain('9 points above');
+    });
+
+    test('includes deployment and specialization matches', () => {
+      const models = modelSelector.attachRationale(
+        modelSelector.selectModels('natural_language_processing', 'sentiment_analysis', 4),
+        { deploymentTarget: 'cloud', specializations: ['language:spanish'] }
+      );
+      const spanish = models.find(m => m.id === 'spanish');
+
+      expect(spanish.rationale.factors.find(f => f.factor === 'deployment').value).toBe(true);
+      expect(spanish.rationale.factors.find(f => f.factor === 'specialization').summary)
+        .toBe('Specialized for Spanish, matching your task');
+    });
+
+    test('flags models that barely passed the accuracy filter', () => {
+      const models = modelSelector.attachRationale(
+        modelSelector.selectModels('natural_language_processing', 'sentiment_analysis', 4),
+        { accuracyThreshold: 80 }
+      );
+
+      const spanish = models.find(m => m.id === 'spanish');
+      const large = models.find(m => m.id === 'large');
+      expect(spanish.rationale.nearMisses.map(n => n.filter)).toEqual(['accuracy']);
+      expect(large.rationale.nearMisses).toHaveLength(0);
+    });
+
+    test('flags tight hardware fits', () => {
+      const profile = HARDWARE_PROFILES.raspberry_pi_4gb;
+      const models = modelSelector.getTaskModels('natural_language_processing', 'sentiment_analysis');
+      const model = { ...models[2], hardwareFit: { status: 'tight', memoryMB: 3000 } };
+
+      const rationale = buildRationale(model, getSubcategoryStats(models), { hardwareProfile: profile });
+
+      expect(rationale.nearMisses).toHaveLength(1);
+      expect(rationale.nearMisses[0].filter).toBe('hardware');
+      expect(rationale.nearMisses[0].summary).toContain('Raspberry Pi');
+    });
+  });
+
+  describe('formatRationaleAsMarkdown', () => {
+    test('renders factors and near misses as a list', () => {
+      const [model] = modelSelector.attachRationale(
+        [modelSelector.getTaskModels('natural_language_processing', 'sentiment_analysis')[1]],
+        { accuracyThreshold: 80 }
+      );
+      const markdown = formatRationaleAsMarkdown(model);
+
+      expect(markdown).toContain('### Why Spanish');
+      expect(markdown).toContain('`org/spanish`');
+      expect(markdown).toContain('**Nearly excluded by:**');
+      expect(markdown.split('\n').filter(line => line.startsWith('- ')).length)
+        .toBe(model.rationale.factors.length + model.rationale.nearMisses.length);
+    });
+
+    test('adds the footprint with everyday equivalents when energy is estimated', () => {
+      const [model] = modelSelector.attachRationale(
+        [modelSelector.getTaskModels('natural_language_processing', 'sentiment_analysis')[1]],
+        {}
+      );
+      const energyEstimate = environmentalCalculator.estimateEnergy(model, {});
+      const markdown = formatRationaleAsMarkdown({ ...model, energyEstimate });
+
+      expect(markdown).toMatch(/^Footprint: ~.+ CO2e per request \(≈ .+ smartphone charges .* per million requests\)$/m);
+      expect(formatRationaleAsMarkdown(model)).not.toContain('Footprint:');
+    });
+
+    test('returns empty string without a rationale', () => {
+      expect(formatRationaleAsMarkdown({ name: 'x' })).toBe('');
+    });
+  });
+});
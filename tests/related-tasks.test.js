@@ -0,0 +1,174 @@
+/**
+ * Unit tests for the related-task fallback
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import { buildRationale, getSubcategoryStats } from '../src/lib/recommendation/RecommendationRationale.js';
+import {
+  buildRelatednessMap,
+  getRelatedTasks,
+  TASK_RELATEDNESS
+} from '../src/lib/data/TaskRelatedness.js';
+import tasksData from '../src/lib/data/tasks.json';
+
+const mockTasks = {
+  taskTaxonomy: {
+    recommendation_systems: {
+      label: 'Recommendation Systems',
+      subcategories: {
+        collaborative_filtering: { label: 'Collaborative Filtering' },
+        content_based: { label: 'Content-Based', related: ['collaborative_filtering', 'text_classification'] },
+        session_based: { label: 'Session-Based' }
+      }
+    },
+    natural_language_processing: {
+      label: 'Natural Language Processing',
+      subcategories: {
+        text_classification: { label: 'Text Classification' }
+      }
+    }
+  }
+};
+
+const mockModelsData = {
+  models: {
+    recommendation_systems: {
+      collaborative_filtering: {
+        lightweight: [{ id: 'cf-small', name: 'CF Small', sizeMB: 10, accuracy: 0.8, deploymentOptions: ['browser'] }],
+        standard: [{ id: 'cf-base', name: 'CF Base', sizeMB: 200, accuracy: 0.9 }]
+      },
+      content_based: {
+        lightweight: [{ id: 'cb-small', name: 'CB Small', sizeMB: 15, accuracy: 0.7 }]
+      },
+      session_based: {
+        lightweight: [
+          { id: 'sb-general', name: 'SB General', sizeMB: 30, accuracy: 0.75 },
+          { id: 'sb-niche', name: 'SB Niche', sizeMB: 20, accuracy: 0.9, specialization: 'domain:retail' }
+        ]
+      }
+    },
+    natural_language_processing: {
+      text_classification: {
+        lightweight: [{ id: 'tc-small', name: 'TC Small', sizeMB: 60, accuracy: 0.92 }]
+      }
+    }
+  }
+};
+
+describe('Task Relatedness', () => {
+  test('lists explicit relations before same-category siblings', () => {
+    const map = buildRelatednessMap(mockTasks);
+    const related = getRelatedTasks('recommendation_systems', 'content_based', map);
+
+    expect(related.map(t => [t.subcategory, t.relation])).toEqual([
+      ['collaborative_filtering', 'related'],
+      ['text_classification', 'related'],
+      ['session_based', 'parent']
+    ]);
+    expect(related[1].category).toBe('natural_language_processing');
+    expect(related[1].label).toBe('Text Classification');
+  });
+
+  test('ignores unknown related ids', () => {
+    const map = buildRelatednessMap({
+      taskTaxonomy: { a: { subcategories: { x: { related: ['missing'] } } } }
+    });
+    expect(getRelatedTasks('a', 'x', map)).toEqual([]);
+  });
+
+  test('every related id in tasks.json resolves', () => {
+    for (const category of Object.values(tasksData.taskTaxonomy)) {
+      for (const [id, subcategory] of Object.entries(category.subcategories)) {
+        const known = (subcategory.related || []).every(relatedId =>
+          Object.values(tasksData.taskTaxonomy).some(c => c.subcategories[relatedId])
+        );
+        expect(known, id).toBe(true);
+      }
+    }
+  });
+
+  test('sparse subcategories have somewhere to fall back to', () => {
+    for (const [category, subcategory] of [
+      ['recommendation_systems', 'content_based'],
+      ['data_preprocessing', 'data_cleaning'],
+      ['reinforcement_learning', 'robotics']
+    ]) {
+      expect(getRelatedTasks(category, subcategory, TASK_RELATEDNESS).length).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('ModelSelector - Related Task Fallback', () => {
+  let modelSelector;
+  const relatedness = buildRelatednessMap(mockTasks);
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(mockModelsData);
+  });
+
+  test('falls back to related subcategories', () => {
+    const result = modelSelector.getRelatedTaskModels('recommendation_systems', 'content_based', 85, { relatedness });
+
+    expect(result.models.map(m => m.id)).toEqual(['cf-base', 'tc-small']);
+    expect(result.sources.map(s => s.subcategory)).toEqual(['collaborative_filtering', 'text_classification']);
+  });
+
+  test('tags every model with the task it came from', () => {
+    const [model] = modelSelector.getRelatedTaskModels('recommendation_systems', 'content_based', 85, { relatedness }).models;
+
+    expect(model.subcategory).toBe('collaborative_filtering');
+    expect(model.relatedTask).toEqual({
+      category: 'recommendation_systems',
+      subcategory: 'collaborative_filtering',
+      label: 'Collaborative Filtering',
+      relation: 'related',
+      requestedSubcategory: 'content_based'
+    });
+  });
+
+  test('prefers related tasks over the parent category', () => {
+    const result = modelSelector.getRelatedTaskModels('recommendation_systems', 'content_based', 72, { relatedness });
+    expect(result.models.every(m => m.relatedTask.relation === 'related')).toBe(true);
+  });
+
+  test('falls back to generic parent-category models', () => {
+    // collaborative_filtering has no explicit relations; its siblings are content_based and session_based
+    const result = modelSelector.getRelatedTaskModels('recommendation_systems', 'collaborative_filtering', 72, { relatedness });
+
+    expect(result.models.map(m => m.id)).toEqual(['sb-general']);
+    expect(result.models[0].relatedTask.relation).toBe('parent');
+  });
+
+  test('returns nothing when related tasks are filtered out too', () => {
+    const result = modelSelector.getRelatedTaskModels('recommendation_systems', 'content_based', 95, { relatedness });
+
+    expect(result.models).toEqual([]);
+    expect(result.sources).toEqual([]);
+  });
+
+  test('leaves the requested task\'s hidden counts for the empty state', () => {
+    const grouped = modelSelector.getTaskModelsGroupedByTier('recommendation_systems', 'content_based', 95);
+
+    expect(modelSelector.getRelatedTaskModels('recommendation_systems', 'content_based', 95, { relatedness }).models).toEqual([]);
+    expect(grouped.totalShown).toBe(0);
+    expect(grouped.totalHidden).toBeGreaterThan(0);
+    expect(grouped.hiddenBy.accuracy).toBe(grouped.totalHidden);
+  });
+
+  test('applies the same filters to related tasks', () => {
+    const result = modelSelector.getRelatedTaskModels('recommendation_systems', 'content_based', 0, {
+      relatedness,
+      deploymentTarget: 'browser'
+    });
+    expect(result.models.map(m => m.id)).toEqual(['cf-small']);
+  });
+
+  test('attaches a rationale factor explaining the fallback', () => {
+    const [model] = modelSelector.getRelatedTaskModels('recommendation_systems', 'content_based', 85, { relatedness }).models;
+    const rationale = buildRationale(model, getSubcategoryStats([model]));
+
+    expect(rationale.factors[0].factor).toBe('relatedTask');
+    expect(rationale.factors[0].summary).toContain('no content based models matched your filters');
+  });
+});
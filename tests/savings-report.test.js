@@ -0,0 +1,120 @@
+/**
+ * Unit tests for savings reports against a baseline model
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  buildSavingsReport,
+  formatSavingsReportAsMarkdown,
+  pickBaseline
+} from '../src/lib/environmental/SavingsReport.js';
+import { projectFootprint } from '../src/lib/environmental/EnvironmentalUtils.js';
+
+const small = { id: 'small', name: 'Small', sizeMB: 250, tier: 'lightweight', accuracy: 0.84 };
+const base = { id: 'base', name: 'Base', sizeMB: 1400, tier: 'standard', accuracy: 0.9 };
+const large = { id: 'large', name: 'Large', sizeMB: 14000, tier: 'advanced', accuracy: 0.88 };
+const unrated = { id: 'unrated', name: 'Unrated', sizeMB: 300, tier: 'lightweight' };
+
+describe('SavingsReport - pickBaseline', () => {
+  test('picks the largest model', () => {
+    expect(pickBaseline([small, base, large], 'largest').id).toBe('large');
+  });
+
+  test('picks the most accurate model', () => {
+    expect(pickBaseline([small, base, large, unrated], 'most_accurate').id).toBe('base');
+  });
+
+  test('breaks accuracy ties towards the larger model', () => {
+    const twin = { ...small, id: 'twin', sizeMB: 500 };
+    expect(pickBaseline([small, twin], 'most_accurate').id).toBe('twin');
+  });
+
+  test('falls back to the largest when nothing is rated', () => {
+    expect(pickBaseline([unrated, { ...unrated, id: 'bigger', sizeMB: 900 }], 'most_accurate').id).toBe('bigger');
+  });
+
+  test('returns null without candidates', () => {
+    expect(pickBaseline([], 'largest')).toBeNull();
+  });
+});
+
+describe('SavingsReport - buildSavingsReport', () => {
+  const options = { requestsPerDay: 5000, lifetimeYears: 2, region: 'DE' };
+
+  test('computes relative size savings', () => {
+    const report = buildSavingsReport(small, large, options);
+
+    expect(report.size).toEqual({ chosen: 250, baseline: 14000, saved: 13750, relative: 13750 / 14000 });
+    expect(report.chosen).toMatchObject({ id: 'small', name: 'Small', tier: 'lightweight' });
+    expect(report.baseline.id).toBe('large');
+  });
+
+  test('compares projected yearly energy, CO2e and cost', () => {
+    const report = buildSavingsReport(small, base, options);
+    const smallYear = projectFootprint(small, options).yearly;
+    const baseYear = projectFootprint(base, options).yearly;
+
+    expect(report.energyWh.saved).toBeCloseTo(baseYear.energyWh.expected - smallYear.energyWh.expected, 9);
+    expect(report.co2eGrams.relative).toBeCloseTo(1 - smallYear.co2eGrams.expected / baseYear.co2eGrams.expected, 9);
+    expect(report.cost.saved.high).toBeCloseTo(baseYear.cost.high - smallYear.cost.high, 9);
+    expect(report.requestsPerDay).toBe(5000);
+    expect(report.lifetimeYears).toBe(2);
+  });
+
+  test('reports the accuracy given up', () => {
+    expect(buildSavingsReport(small, base, options).accuracy).toEqual({ chosen: 0.84, baseline: 0.9, pointsGivenUp: 6 });
+    expect(buildSavingsReport(base, large, options).accuracy.pointsGivenUp).toBe(-2);
+    expect(buildSavingsReport(unrated, base, options).accuracy.pointsGivenUp).toBeNull();
+  });
+
+  test('compares cooling water only for deployment targets with datacenter cooling', () => {
+    const cloud = buildSavingsReport(small, base, { ...options, deploymentTarget: 'cloud' });
+    const browser = buildSavingsReport(small, base, { ...options, deploymentTarget: 'browser' });
+    const baseYear = projectFootprint(base, { ...options, deploymentTarget: 'cloud' }).yearly;
+
+    expect(cloud.waterLiters.baseline).toBeCloseTo(baseYear.waterLiters.expected, 9);
+    expect(cloud.waterLiters.saved).toBeGreaterThan(0);
+    expect(browser.waterLiters).toBeNull();
+    expect(browser.energyWh).toEqual(cloud.energyWh);
+  });
+
+  test('has no footprint comparison when a model does not fit', () => {
+    const report = buildSavingsReport(small, large, { hardwareProfile: 'raspberry_pi_4gb' });
+
+    expect(report.energyWh).toBeNull();
+    expect(report.cost).toBeNull();
+    expect(report.size.saved).toBe(13750);
+    expect(report.reasons).toEqual(['Does not fit on Raspberry Pi (4 GB)']);
+  });
+});
+
+describe('SavingsReport - formatSavingsReportAsMarkdown', () => {
+  test('summarizes the decision as a table', () => {
+    const markdown = formatSavingsReportAsMarkdown(buildSavingsReport(small, base, { region: 'FR' }));
+    const lines = markdown.split('\n');
+
+    expect(lines[0]).toBe('### Decision: Small over Base');
+    expect(lines).toContain('| | Small | Base | Saved |');
+    expect(lines).toContain('| Size | 250 MB | 1.4 GB | 1.1 GB (82%) |');
+    expect(lines).toContain('| Accuracy | 84% | 90% | 6 points given up |');
+    expect(markdown).toMatch(/\| CO2e \/ year \| .+ \| .+ \| .+ \(\d+%\) \|/);
+    expect(markdown).toMatch(/\| Water \/ year \| .+ \| .+ \| .+ \(\d+%\) \|/);
+    expect(markdown).toContain('Over 3 years this avoids about');
+    expect(lines[lines.length - 1]).toMatch(/^_Assumptions: 10,000 requests per day for 3 years; .+ not a measurement\._$/);
+  });
+
+  test('marks a larger chosen model as costing more', () => {
+    const markdown = formatSavingsReportAsMarkdown(buildSavingsReport(base, small, {}));
+
+    expect(markdown).toContain('| Size | 1.4 GB | 250 MB | 1.1 GB more |');
+    expect(markdown).toContain('6 points gained');
+    expect(markdown).not.toContain('this avoids');
+  });
+
+  test('lists why footprint rows are missing', () => {
+    const markdown = formatSavingsReportAsMarkdown(buildSavingsReport(small, large, { hardwareProfile: 'raspberry_pi_4gb' }));
+
+    expect(markdown).not.toContain('Energy / year');
+    expect(markdown).toContain('- Does not fit on Raspberry Pi (4 GB)');
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Unit tests for the aggregator's model source adapters
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ModelAggregator } from '../src/lib/aggregation/ModelAggregator.js';
+import {
+  CatalogSource,
+  createSourceAdapter,
+  HuggingFaceSource,
+  LeaderboardSource
+} from '../src/lib/aggregation/SourceAdapters.js';
+
+const categories = [
+  { category: 'natural_language_processing', subcategory: 'text_classification', task: 'text-classification' },
+  { category: 'natural_language_processing', subcategory: 'text_generation', task: 'text-generation' }
+];
+
+describe('SourceAdapters', () => {
+  let aggregator;
+  let dir;
+
+  beforeAll(() => {
+    aggregator = new ModelAggregator();
+    dir = mkdtempSync(join(tmpdir(), 'sources-'));
+
+    writeFileSync(join(dir, 'catalog.json'), JSON.stringify({
+      models: [
+        { huggingFaceId: 'acme/tiny-bert', sizeMB: 120, task: 'text-classification', accuracy: 0.91 },
+        { huggingFaceId: 'acme/vision', sizeMB: 80, category: 'computer_vision', subcategory: 'image_classification' },
+        { name: 'No hub ID', sizeMB: 50, task: 'text-classification' }
+      ]
+    }));
+    writeFileSync(join(dir, 'catalog.csv'), [
+      'huggingFaceId,name,sizeMB,category,subcategory,deploymentOptions,frameworks',
+      'acme/chat-1b,Acme Chat,2400,natural_language_processing,text_generation,cloud;server,PyTorch;ONNX'
+    ].join('\n'));
+    writeFileSync(join(dir, 'leaderboard.json'), JSON.stringify([
+      { fullname: 'acme/llm-7b', '#Params (B)': 7.24, 'Average ⬆️': 61.5 },
+      { fullname: 'hf-internal-testing/tiny-random-llama', '#Params (B)': 0.001, 'Average ⬆️': 10 },
+      { fullname: 'acme/unknown-size', '#Params (B)': null, 'Average ⬆️': 40 }
+    ]));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('createSourceAdapter', () => {
+    test('creates adapters by name', () => {
+      expect(createSourceAdapter('huggingface', aggregator)).toBeInstanceOf(HuggingFaceSource);
+      expect(createSourceAdapter('catalog', aggregator, { path: 'models.csv' })).toBeInstanceOf(CatalogSource);
+    });
+
+    test('rejects unknown names and file sources without a path', () => {
+      expect(() => createSourceAdapter('papers', aggregator)).toThrow('Unknown model source: papers (choose from huggingface, catalog, leaderboard)');
+      expect(() => createSourceAdapter('leaderboard', aggregator)).toThrow('The leaderboard source needs a file path');
+    });
+
+    test('defaults the aggregator to Hugging Face', () => {
+      expect(aggregator.sources).toHaveLength(1);
+      expect(aggregator.sources[0].name).toBe('huggingface');
+    });
+  });
+
+  describe('HuggingFaceSource', () => {
+    test('normalizes API records with their detailed info', async () => {
+      const source = new HuggingFaceSource(aggregator);
+      source.getDetailedModelInfo = async () => ({ safetensors: { total: 66000000 }, library_name: 'transformers' });
+      const record = {
+        id: 'acme/distil-sentiment',
+        downloads: 1200,
+        sourceCategory: 'natural_language_processing',
+        sourceSubcategory: 'sentiment_analysis',
+        sourceTask: 'text-classification'
+      };
+
+      const model = await source.normalize(record);
+
+      expect(model).toMatchObject({
+        id: 'acme_distil-sentiment',
+        huggingFaceId: 'acme/distil-sentiment',
+        sizeMB: 126,
+        tier: 'lightweight',
+        subcategory: 'sentiment_analysis'
+      });
+      expect(source.provenance(record)).toMatchObject({
+        adapter: 'huggingface',
+        reference: 'https://huggingface.co/acme/distil-sentiment'
+      });
+    });
+
+    test('skips records without downloads and test models', async () => {
+      const source = new HuggingFaceSource(aggregator);
+      expect(await source.normalize({ id: 'acme/new' })).toBeNull();
+      expect(await source.normalize({ id: 'hf-internal-testing/tiny', downloads: 5 })).toBeNull();
+    });
+  });
+
+  describe('CatalogSource', () => {
+    test('reads JSON entries for the requested categories', async () => {
+      const source = new CatalogSource(aggregator, { path: join(dir, 'catalog.json') });
+      const entries = await source.fetch(categories);
+
+      expect(entries.map(entry => entry.huggingFaceId)).toEqual(['acme/tiny-bert', undefined]);
+      expect(entries[0].subcategory).toBe('text_classification');
+    });
+
+    test('fills in what the catalog leaves out', async () => {
+      const source = new CatalogSource(aggregator, { path: join(dir, 'catalog.json') });
+      const [tinyBert, noHubId] = await source.fetch(categories);
+
+      expect(source.normalize(tinyBert)).toMatchObject({
+        id: 'acme_tiny-bert',
+        name: 'Tiny Bert',
+        description: 'Tiny Bert model for text classification',
+        sizeMB: 120,
+        accuracy: 0.91,
+        accuracySource: 'curated',
+        environmentalScore: 1,
+        deploymentOptions: ['edge', 'cloud', 'server'],
+        tier: 'lightweight'
+      });
+      expect(source.normalize(noHubId)).toBeNull();
+      expect(source.provenance(tinyBert)).toMatchObject({ adapter: 'catalog', reference: 'catalog.json' });
+    });
+
+    test('reads CSV rows with semicolon-separated lists', async () => {
+      const source = new CatalogSource(aggregator, { path: join(dir, 'catalog.csv') });
+      const [entry] = await source.fetch(categories);
+
+      expect(source.normalize(entry)).toMatchObject({
+        name: 'Acme Chat',
+        sizeMB: 2400,
+        accuracy: null,
+        accuracyReported: false,
+        deploymentOptions: ['cloud', 'server'],
+        frameworks: ['PyTorch', 'ONNX'],
+        tier: 'standard',
+        environmentalScore: 2
+      });
+      expect(source.normalize(entry)).not.toHaveProperty('accuracySource');
+    });
+  });
+
+  describe('LeaderboardSource', () => {
+    test('estimates size from parameters and keeps the score as a metric', async () => {
+      const source = new LeaderboardSource(aggregator, { path: join(dir, 'leaderboard.json') });
+      const rows = await source.fetch(categories);
+      const models = rows.map(row => source.normalize(row));
+
+      expect(models[0]).toMatchObject({
+        huggingFaceId: 'acme/llm-7b',
+        sizeMB: 14480,
+        accuracy: null,
+        accuracyReported: false,
+        metrics: [{ type: 'Average ⬆️', value: 61.5, dataset: 'leaderboard.json', split: null }],
+        tier: 'advanced',
+        category: 'natural_language_processing',
+        subcategory: 'text_generation'
+      });
+      expect(models[0]).not.toHaveProperty('accuracySource');
+      expect(models.slice(1)).toEqual([null, null]);
+    });
+
+    test('returns nothing when its task is not requested', async () => {
+      const source = new LeaderboardSource(aggregator, { path: join(dir, 'leaderboard.json'), task: 'text-generation' });
+      expect(await source.fetch(categories.slice(0, 1))).toEqual([]);
+    });
+
+    test('accepts other column names and reads an accuracy column as accuracy', async () => {
+      writeFileSync(join(dir, 'custom.csv'), 'model,size_b,acc_norm\nacme/small-lm,0.5,0.42\n');
+      const source = new LeaderboardSource(aggregator, {
+        path: join(dir, 'custom.csv'),
+        fields: { id: 'model', params: 'size_b', score: 'acc_norm' },
+        scoreScale: 1
+      });
+      const [row] = await source.fetch(categories);
+
+      expect(source.normalize(row)).toMatchObject({
+        huggingFaceId: 'acme/small-lm',
+        sizeMB: 1000,
+        accuracy: 0.42,
+        accuracySource: 'leaderboard',
+        metrics: [{ type: 'acc_norm', value: 0.42, dataset: 'custom.csv', split: null }]
+      });
+    });
+  });
+
+  describe('ModelAggregator with several sources', () => {
+    test('merges sources into one tiering pipeline, first source winning duplicates', async () => {
+      const inMemory = (name, models) => ({
+        name,
+        fetch: async () => models,
+        normalize: model => ({ ...model }),
+        provenance: () => ({ adapter: name, reference: 'memory', retrieved: '2026-10-19' })
+      });
+      const base = {
+        description: 'Test model',
+        environmentalScore: 1,
+        deploymentOptions: ['cloud'],
+        frameworks: ['PyTorch'],
+        category: 'natural_language_processing',
+        subcategory: 'text_classification',
+        tier: 'lightweight'
+      };
+      const multi = new ModelAggregator({
+        sources: [
+          inMemory('first', [{ ...base, id: 'a', name: 'A', huggingFaceId: 'acme/a', sizeMB: 100 }]),
+          inMemory('second', [
+            { ...base, id: 'a', name: 'A again', huggingFaceId: 'acme/a', sizeMB: 100 },
+            { ...base, id: 'b', name: 'B', huggingFaceId: 'acme/b', sizeMB: 200 }
+          ])
+        ]
+      });
+      multi.mergeWithExistingData = tiered => ({ models: tiered });
+
+      const result = await multi.aggregateModels({ dryRun: true, categories });
+      const tier = result.data.models.natural_language_processing.text_classification.lightweight;
+
+      expect(result.success).toBe(true);
+      expect(tier.map(model => [model.name, model.source.adapter])).toEqual([['A', 'first'], ['B', 'second']]);
+      expect(multi.stats.processed).toBe(3);
+    });
+
+    test('keeps a model under every subcategory sharing its pipeline tag', async () => {
+      const model = {
+        id: 'acme_sst',
+        name: 'Acme SST',
+        description: 'Test model',
+        huggingFaceId: 'acme/sst',
+        sizeMB: 250,
+        environmentalScore: 1,
+        deploymentOptions: ['cloud'],
+        frameworks: ['PyTorch'],
+        category: 'natural_language_processing',
+        tier: 'lightweight'
+      };
+      const shared = new ModelAggregator({
+        sources: [{
+          name: 'memory',
+          fetch: async () => [
+            { ...model, subcategory: 'text_classification' },
+            { ...model, subcategory: 'sentiment_analysis' }
+          ],
+          normalize: record => ({ ...record }),
+          provenance: () => ({ adapter: 'memory', reference: 'memory', retrieved: '2026-10-19' })
+        }]
+      });
+      shared.mergeWithExistingData = tiered => ({ models: tiered });
+
+      const result = await shared.aggregateModels({ dryRun: true, categories });
+      const nlp = result.data.models.natural_language_processing;
+
+      expect(Object.keys(nlp).filter(subcategory => nlp[subcategory].lightweight.length > 0))
+        .toEqual(['text_classification', 'sentiment_analysis']);
+    });
+  });
+});
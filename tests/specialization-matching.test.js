@@ -0,0 +1,99 @@
+/**
+ * Unit tests for specialization-aware matching
+ */
+
+import { describe, test, expect, beforeAll } from 'vitest';
+import { extractSpecializationHints } from '../src/lib/classification/SpecializationExtractor.js';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import modelsData from '../src/lib/data/models.json';
+
+describe('Specialization Matching', () => {
+  let modelSelector;
+
+  beforeAll(() => {
+    modelSelector = new ModelSelector(modelsData);
+  });
+
+  describe('extractSpecializationHints', () => {
+    test.each([
+      ['analyze sentiment of Spanish product reviews', ['language:spanish']],
+      ['classify financial news headlines by sentiment', ['domain:finance']],
+      ['detect toxic comments in our forum', ['task:toxicity']],
+      ['figure out who spoke when in meeting recordings', ['task:speaker-diarization']],
+      ['transcribe Russian podcasts', ['language:russian']],
+      ['sentiment of tweets about stocks', ['domain:finance', 'domain:social-media']]
+    ])('extracts hints from "%s"', (description, expected) => {
+      expect(extractSpecializationHints(description).sort()).toEqual(expected.sort());
+    });
+
+    test('returns no hints for generic descriptions', () => {
+      expect(extractSpecializationHints('classify images of dogs and cats')).toEqual([]);
+    });
+
+    test('matches whole words only', () => {
+      // "stable" contains "table" but is not about tables
+      expect(extractSpecializationHints('keep the forecasting model stable')).toEqual([]);
+    });
+
+    test('handles empty and invalid input', () => {
+      expect(extractSpecializationHints('')).toEqual([]);
+      expect(extractSpecializationHints(null)).toEqual([]);
+    });
+  });
+
+  describe('boostSpecialized', () => {
+    test('moves matching specialists to the front and marks them', () => {
+      const ranked = modelSelector.selectModels('natural_language_processing', 'sentiment_analysis', 20);
+      const boosted = modelSelector.boostSpecialized(ranked, ['language:spanish']);
+
+      expect(boosted[0].specialization).toBe('language:spanish');
+      expect(boosted[0].specializationMatch).toBe(true);
+      expect(boosted).toHaveLength(ranked.length);
+    });
+
+    test('keeps generic models as fallbacks in their original order', () => {
+      const ranked = modelSelector.selectModels('natural_language_processing', 'sentiment_analysis', 20);
+      const boosted = modelSelector.boostSpecialized(ranked, ['language:spanish']);
+
+      const genericBefore = ranked.filter(m => !m.specialization).map(m => m.id);
+      const genericAfter = boosted.filter(m => !m.specialization).map(m => m.id);
+      expect(genericAfter).toEqual(genericBefore);
+    });
+
+    test('demotes specialists for a different language below generic models', () => {
+      const ranked = modelSelector.selectModels('speech_processing', 'speech_recognition', 20);
+      const boosted = modelSelector.boostSpecialized(ranked, ['language:dutch']);
+
+      const dutchIndex = boosted.findIndex(m => m.specialization === 'language:dutch');
+      const englishIndex = boosted.findIndex(m => m.specialization === 'language:english');
+      const lastGenericIndex = boosted.map(m => !m.specialization).lastIndexOf(true);
+
+      expect(dutchIndex).toBe(0);
+      expect(englishIndex).toBeGreaterThan(lastGenericIndex);
+    });
+
+    test('leaves specialists for unrelated prefixes in place', () => {
+      const ranked = modelSelector.selectModels('speech_processing', 'speech_recognition', 20);
+      const boosted = modelSelector.boostSpecialized(ranked, ['language:dutch']);
+
+      const diarization = boosted.find(m => m.specialization === 'task:speaker-diarization');
+      expect(diarization.specializationMatch).toBeUndefined();
+    });
+
+    test('returns models unchanged without hints', () => {
+      const ranked = modelSelector.selectModels('speech_processing', 'speech_recognition', 20);
+      expect(modelSelector.boostSpecialized(ranked, [])).toBe(ranked);
+    });
+  });
+
+  test('end-to-end: Spanish sentiment task surfaces the Spanish model first', () => {
+    const description = 'analyze sentiment of Spanish customer reviews';
+    const hints = extractSpecializationHints(description);
+    const ranked = modelSelector.selectModels('natural_language_processing', 'sentiment_analysis', 20);
+    const [top] = modelSelector.attachRationale(modelSelector.boostSpecialized(ranked, hints), { specializations: hints });
+
+    expect(top.id).toBe('pysentimiento_robertuito-sentiment-analysis');
+    expect(top.rationale.factors.find(f => f.factor === 'specialization').summary)
+      .toContain('matching your task');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the smallest-model-that-meets-target search
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+
+const mockModelsData = {
+  models: {
+    natural_language_processing: {
+      text_classification: {
+        lightweight: [
+          { id: 'tiny', name: 'Tiny', sizeMB: 20, accuracy: 0.78, deploymentOptions: ['browser', 'edge'] },
+          { id: 'unrated', name: 'Unrated', sizeMB: 40, deploymentOptions: ['browser'] },
+          { id: 'small', name: 'Small', sizeMB: 60, accuracy: 0.86, deploymentOptions: ['cloud'] },
+          { id: 'compact', name: 'Compact', sizeMB: 120, accuracy: 0.87, deploymentOptions: ['browser', 'cloud'] }
+        ],
+        standard: [
+          { id: 'base', name: 'Base', sizeMB: 440, accuracy: 0.91, deploymentOptions: ['browser', 'cloud'] }
+        ],
+        advanced: [
+          { id: 'large', name: 'Large', sizeMB: 1400, accuracy: 0.94, deploymentOptions: ['cloud'] }
+        ]
+      }
+    }
+  }
+};
+
+describe('ModelSelector - Target Search', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(mockModelsData);
+  });
+
+  function search(constraints, maxNearMisses) {
+    return modelSelector.findSmallestQualifying(
+      'natural_language_processing',
+      'text_classification',
+      constraints,
+      maxNearMisses
+    );
+  }
+
+  test('returns the smallest model without constraints', () => {
+    const answer = search({});
+    expect(answer.match.id).toBe('tiny');
+    expect(answer.nearMisses).toEqual([]);
+  });
+
+  test('finds the smallest model meeting accuracy and deployment', () => {
+    const answer = search({ minAccuracy: 85, deploymentTarget: 'browser' });
+
+    expect(answer.match.id).toBe('compact');
+    expect(answer.candidates).toBe(6);
+  });
+
+  test('lists smaller near misses with the constraint each failed', () => {
+    const answer = search({ minAccuracy: 85, deploymentTarget: 'browser' });
+    const misses = Object.fromEntries(answer.nearMisses.map(m => [m.model.id, m.failed]));
+
+    expect(Object.keys(misses)).toEqual(['tiny', 'unrated', 'small']);
+    expect(misses.tiny).toEqual([{ constraint: 'accuracy', summary: '78% accuracy, 7 points below 85%' }]);
+    expect(misses.small).toEqual([{ constraint: 'deployment', summary: 'Not deployable to browser' }]);
+    expect(misses.unrated[0].summary).toBe('No accuracy reported');
+  });
+
+  test('ranks near misses by how close they came', () => {
+    const answer = search({ minAccuracy: 90, maxSizeMB: 100 });
+
+    // Small misses accuracy by 4 points and Tiny by 12, while Base is over four times the size limit
+    expect(answer.match).toBeNull();
+    expect(answer.nearMisses.map(m => m.model.id)).toEqual(['small', 'tiny', 'unrated']);
+    expect(answer.nearMisses[0].failed.map(f => f.constraint)).toEqual(['accuracy']);
+  });
+
+  test('reports every failed constraint', () => {
+    const answer = search({ minAccuracy: 99, deploymentTarget: 'mobile', maxSizeMB: 10 }, 10);
+    const large = answer.nearMisses.find(m => m.model.id === 'large');
+
+    expect(large.failed.map(f => f.constraint)).toEqual(['accuracy', 'deployment', 'size']);
+  });
+
+  test('limits the number of near misses', () => {
+    expect(search({ minAccuracy: 99 }, 2).nearMisses).toHaveLength(2);
+  });
+
+  test('echoes the constraints it searched', () => {
+    expect(search({ minAccuracy: 85 }).constraints).toEqual({
+      minAccuracy: 85,
+      deploymentTarget: null,
+      maxSizeMB: null
+    });
+  });
+
+  test('returns an empty answer for unknown tasks', () => {
+    const answer = modelSelector.findSmallestQualifying('unknown', 'task', { minAccuracy: 80 });
+
+    expect(answer.match).toBeNull();
+    expect(answer.nearMisses).toEqual([]);
+    expect(answer.candidates).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for training emissions reported on model cards
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  environmentalCalculator,
+  TRAINING_CAVEAT
+} from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import {
+  enhanceModelWithEnvironmentalData,
+  formatEnvironmentalForDisplay,
+  projectFootprint
+} from '../src/lib/environmental/EnvironmentalUtils.js';
+
+const reported = {
+  id: 'reported',
+  name: 'Reported',
+  sizeMB: 400,
+  tier: 'lightweight',
+  trainingEmissions: {
+    co2eGrams: 149200,
+    source: 'CodeCarbon',
+    trainingType: 'fine-tuning',
+    hardware: '8 x A100',
+    region: null
+  }
+};
+const unreported = { id: 'unreported', name: 'Unreported', sizeMB: 400, tier: 'lightweight' };
+
+describe('EnvironmentalImpactCalculator - getTrainingFootprint', () => {
+  test('returns the reported figure with its details', () => {
+    const training = environmentalCalculator.getTrainingFootprint(reported);
+
+    expect(training.co2eGrams).toBe(149200);
+    expect(training.details).toEqual([
+      'Training type: fine-tuning',
+      'Hardware: 8 x A100',
+      'Source: CodeCarbon'
+    ]);
+    expect(training.caveat).toBe(TRAINING_CAVEAT);
+  });
+
+  test('returns null when nothing is reported', () => {
+    expect(environmentalCalculator.getTrainingFootprint(unreported)).toBeNull();
+    expect(environmentalCalculator.getTrainingFootprint({ trainingEmissions: { co2eGrams: 0 } })).toBeNull();
+  });
+});
+
+describe('EnvironmentalUtils - training footprint', () => {
+  test('adds the training footprint to environmental data', () => {
+    expect(enhanceModelWithEnvironmentalData(reported).environmental.training.co2eGrams).toBe(149200);
+    expect(enhanceModelWithEnvironmentalData(unreported).environmental).not.toHaveProperty('training');
+  });
+
+  test('formats it separately from inference figures', () => {
+    const { environmental } = enhanceModelWithEnvironmentalData(reported, {});
+
+    expect(formatEnvironmentalForDisplay(environmental, 'training')).toEqual({
+      co2e: '150 kg CO2e to train',
+      details: ['Training type: fine-tuning', 'Hardware: 8 x A100', 'Source: CodeCarbon'],
+      caveat: TRAINING_CAVEAT
+    });
+    expect(formatEnvironmentalForDisplay(environmental, 'card').training.co2e).toBe('150 kg CO2e to train');
+    expect(formatEnvironmentalForDisplay(enhanceModelWithEnvironmentalData(unreported).environmental, 'training')).toBeNull();
+  });
+
+  test('keeps training out of projected yearly figures', () => {
+    const withTraining = projectFootprint(reported);
+    const without = projectFootprint(unreported);
+
+    expect(withTraining.training.co2eGrams).toBe(149200);
+    expect(without.training).toBeNull();
+    expect(withTraining.yearly.co2eGrams).toEqual(without.yearly.co2eGrams);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for cooling water estimates
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  environmentalCalculator,
+  EnvironmentalImpactCalculator,
+  WATER_CAVEAT
+} from '../src/lib/environmental/EnvironmentalImpactCalculator.js';
+import {
+  attachWaterEstimates,
+  enhanceModelWithEnvironmentalData,
+  formatEnvironmentalForDisplay,
+  formatWater,
+  projectFootprint
+} from '../src/lib/environmental/EnvironmentalUtils.js';
+import gridIntensity from '../src/lib/data/grid-intensity.json';
+import waterUsage from '../src/lib/data/water-usage.json';
+
+const cloudModel = { id: 'cloud', name: 'Cloud', sizeMB: 1400, tier: 'standard', deploymentOptions: ['cloud', 'server'] };
+const browserModel = { id: 'browser', name: 'Browser', sizeMB: 50, tier: 'lightweight', deploymentOptions: ['browser', 'mobile'] };
+
+describe('EnvironmentalImpactCalculator - getWaterUsageEffectiveness', () => {
+  test('uses the region figure for countries and cloud regions', () => {
+    expect(environmentalCalculator.getWaterUsageEffectiveness('SE')).toMatchObject({ label: 'Sweden', litersPerKWh: 0.9, fallback: false });
+    expect(environmentalCalculator.getWaterUsageEffectiveness('gcp:europe-north1')).toMatchObject({ litersPerKWh: 0.05, fallback: false });
+    expect(environmentalCalculator.getWaterUsageEffectiveness('aws:eu-west-1').source).toMatch(/^Approximate: AWS fleet average/);
+  });
+
+  test('uses the cloud provider figure for cloud regions without an entry', () => {
+    expect(environmentalCalculator.getWaterUsageEffectiveness('aws:ca-central-1')).toMatchObject({ litersPerKWh: 0.18, fallback: false });
+    expect(environmentalCalculator.getWaterUsageEffectiveness('azure:northeurope').litersPerKWh).toBe(0.3);
+    expect(environmentalCalculator.getWaterUsageEffectiveness('gcp:us-east4').litersPerKWh).toBe(1);
+  });
+
+  test('falls back to the industry average', () => {
+    expect(environmentalCalculator.getWaterUsageEffectiveness('XX')).toMatchObject({ litersPerKWh: 1.8, fallback: true });
+    expect(environmentalCalculator.getWaterUsageEffectiveness('oci:us-ashburn-1').litersPerKWh).toBe(1.8);
+    expect(environmentalCalculator.getWaterUsageEffectiveness().label).toBe('Industry average');
+  });
+
+  test('has a region entry for every grid intensity region', () => {
+    const regionIds = [
+      ...Object.keys(gridIntensity.countries).filter(id => id !== gridIntensity.default),
+      ...Object.keys(gridIntensity.cloudRegions)
+    ];
+
+    expect(Object.keys(waterUsage.regions).sort()).toEqual(regionIds.sort());
+    for (const entry of Object.values(waterUsage.regions)) {
+      expect(entry.litersPerKWh).toBeGreaterThanOrEqual(0);
+      expect(entry.source).toBeTruthy();
+    }
+  });
+
+  test('prefers region entries over the provider', () => {
+    const calculator = new EnvironmentalImpactCalculator(undefined, undefined, {
+      default: { label: 'Default', litersPerKWh: 2 },
+      providers: { aws: { label: 'AWS', litersPerKWh: 0.2 } },
+      regions: { 'aws:us-west-2': { label: 'Oregon', litersPerKWh: 0.05 } }
+    });
+
+    expect(calculator.getWaterUsageEffectiveness('aws:us-west-2').litersPerKWh).toBe(0.05);
+    expect(calculator.getWaterUsageEffectiveness('aws:us-east-1').litersPerKWh).toBe(0.2);
+  });
+});
+
+describe('EnvironmentalImpactCalculator - estimateWater', () => {
+  test('multiplies IT energy by the water usage effectiveness', () => {
+    const options = { region: 'aws:us-east-1' };
+    const energy = environmentalCalculator.estimateEnergy(cloudModel, options);
+    const water = environmentalCalculator.estimateWater(cloudModel, options);
+
+    expect(water.waterLiters.expected).toBeCloseTo(energy.energyWh.expected / energy.pue / 1000 * 0.25, 15);
+    expect(water.waterLiters.low).toBeLessThan(water.waterLiters.high);
+    expect(water.wue.label).toBe('AWS us-east-1 (N. Virginia)');
+    expect(water.assumptions[0]).toBe('0.25 L/kWh cooling water (AWS us-east-1 (N. Virginia))');
+    expect(water.caveat).toBe(WATER_CAVEAT);
+  });
+
+  test('is only reported for cloud and server deployments', () => {
+    expect(environmentalCalculator.estimateWater(cloudModel, { deploymentTarget: 'server' }).waterLiters).not.toBeNull();
+
+    const edge = environmentalCalculator.estimateWater(cloudModel, { deploymentTarget: 'edge' });
+    expect(edge.waterLiters).toBeNull();
+    expect(edge.reason).toBe('Cooling water is only estimated for cloud and server deployments');
+
+    expect(environmentalCalculator.estimateWater(browserModel).reason).toBe('Not deployable to cloud or server');
+  });
+
+  test('is not reported for hardware outside a data center', () => {
+    const water = environmentalCalculator.estimateWater(cloudModel, { hardwareProfile: 'laptop_16gb' });
+
+    expect(water.waterLiters).toBeNull();
+    expect(water.reason).toBe('Laptop (16 GB, no GPU) runs outside a data center');
+  });
+
+  test('passes on why there is no energy estimate', () => {
+    const huge = { ...cloudModel, sizeMB: 400000, tier: 'xlarge' };
+
+    expect(environmentalCalculator.estimateWater(huge).reason).toMatch(/^Does not fit on/);
+  });
+});
+
+describe('EnvironmentalUtils - water', () => {
+  test('attaches water estimates to models', () => {
+    const [cloud, browser] = attachWaterEstimates([cloudModel, browserModel], {});
+
+    expect(cloud.waterEstimate.waterLiters.expected).toBeGreaterThan(0);
+    expect(browser.waterEstimate.waterLiters).toBeNull();
+  });
+
+  test('projects yearly and lifetime water', () => {
+    const projection = projectFootprint(cloudModel, { requestsPerDay: 1000, lifetimeYears: 2 });
+    const perInference = environmentalCalculator.estimateWater(cloudModel);
+
+    expect(projection.yearly.waterLiters.expected).toBeCloseTo(perInference.waterLiters.expected * 365000, 9);
+    expect(projection.lifetime.waterLiters.expected).toBeCloseTo(projection.yearly.waterLiters.expected * 2, 9);
+    expect(projection.assumptions).toContain('1.8 L/kWh cooling water (Industry average)');
+    expect(projectFootprint(browserModel).yearly.waterLiters).toBeNull();
+  });
+
+  test('formats water for display only when it applies', () => {
+    const cloud = enhanceModelWithEnvironmentalData(cloudModel, {}).environmental;
+    const browser = enhanceModelWithEnvironmentalData(browserModel, {}).environmental;
+
+    expect(formatEnvironmentalForDisplay(cloud, 'water').water).toMatch(/^~.+ per inference$/);
+    expect(formatEnvironmentalForDisplay(cloud, 'card').water.caveat).toBe(WATER_CAVEAT);
+    expect(formatEnvironmentalForDisplay(browser, 'water')).toBeNull();
+  });
+
+  test('formats volumes with readable units', () => {
+    expect(formatWater(0.00000045)).toBe('0.45 µL');
+    expect(formatWater(0.012)).toBe('12 mL');
+    expect(formatWater(3.4)).toBe('3.4 L');
+    expect(formatWater(1500)).toBe('1.5 m³');
+    expect(formatWater(null)).toBe('N/A');
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Unit tests for balanced (weighted multi-criteria) ranking and diversity re-ranking
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector, DEFAULT_WEIGHTS, DEFAULT_DIVERSITY_PENALTIES, DIVERSE_PICKS } from '../src/lib/recommendation/ModelSelector.js';
+import modelsData from '../src/lib/data/models.json';
+
+const mockModelsData = {
+  selectionRules: {
+    environmentalWeighting: 0.4,
+    accuracyWeighting: 0.4,
+    deploymentWeighting: 0.2
+  },
+  models: {
+    natural_language_processing: {
+      text_classification: {
+        lightweight: [
+          { id: 'tiny', name: 'Tiny', accuracy: 0.60, sizeMB: 20, deploymentOptions: ['browser', 'cloud'] },
+          { id: 'small', name: 'Small', accuracy: 0.80, sizeMB: 300, deploymentOptions: ['browser', 'mobile', 'edge', 'cloud', 'server'] }
+        ],
+        standard: [
+          { id: 'medium', name: 'Medium', accuracy: 0.93, sizeMB: 600, deploymentOptions: ['cloud', 'server'] }
+        ],
+        advanced: [
+          { id: 'large', name: 'Large', accuracy: 0.94, sizeMB: 9000, deploymentOptions: ['server'] }
+        ]
+      }
+    }
+  }
+};
+
+describe('ModelSelector - Balanced Ranking', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(mockModelsData);
+  });
+
+  describe('weights', () => {
+    test('reads weights from selectionRules', () => {
+      const selector = new ModelSelector({
+        models: {},
+        selectionRules: { environmentalWeighting: 0.5, accuracyWeighting: 0.3, deploymentWeighting: 0.2 }
+      });
+
+      expect(selector.weights).toEqual({ environmental: 0.5, accuracy: 0.3, deployment: 0.2 });
+    });
+
+    test('falls back to defaults without selectionRules', () => {
+      const selector = new ModelSelector({ models: {} });
+      expect(selector.weights).toEqual(DEFAULT_WEIGHTS);
+    });
+
+    test('matches the weights shipped in models.json', () => {
+      const selector = new ModelSelector(modelsData);
+      expect(selector.weights.environmental).toBe(modelsData.selectionRules.environmentalWeighting);
+      expect(selector.weights.accuracy).toBe(modelsData.selectionRules.accuracyWeighting);
+      expect(selector.weights.deployment).toBe(modelsData.selectionRules.deploymentWeighting);
+    });
+
+    test('normalizes overrides so they sum to 1', () => {
+      const weights = modelSelector.resolveWeights({ environmental: 2, accuracy: 2, deployment: 0 });
+      expect(weights.environmental).toBeCloseTo(0.5);
+      expect(weights.accuracy).toBeCloseTo(0.5);
+      expect(weights.deployment).toBe(0);
+    });
+
+    test('ignores invalid overrides', () => {
+      const weights = modelSelector.resolveWeights({ environmental: -1, accuracy: 'high' });
+      expect(weights.environmental).toBeCloseTo(0.4);
+      expect(weights.accuracy).toBeCloseTo(0.4);
+      expect(weights.deployment).toBeCloseTo(0.2);
+    });
+  });
+
+  describe('rankModels', () => {
+    test('defaults to "smaller is better" ordering', () => {
+      const models = modelSelector.selectModels('natural_language_processing', 'text_classification', 4);
+      expect(models.map(m => m.id)).toEqual(['tiny', 'small', 'medium', 'large']);
+    });
+
+    test('balanced mode lifts a slightly bigger, much more accurate model', () => {
+      const models = modelSelector.selectModels(
+        'natural_language_processing',
+        'text_classification',
+        4,
+        { sortMode: 'balanced' }
+      );
+
+      expect(models[0].id).toBe('small');
+      expect(models.findIndex(m => m.id === 'tiny')).toBeGreaterThan(0);
+    });
+
+    test('attaches a rankingScore and breakdown in balanced mode', () => {
+      const models = modelSelector.selectModels(
+        'natural_language_processing',
+        'text_classification',
+        4,
+        { sortMode: 'balanced' }
+      );
+
+      models.forEach(model => {
+        expect(model.rankingScore).toBeGreaterThanOrEqual(0);
+        expect(model.rankingScore).toBeLessThanOrEqual(1);
+        expect(model.scoreBreakdown).toHaveProperty('environmental');
+        expect(model.scoreBreakdown).toHaveProperty('accuracy');
+        expect(model.scoreBreakdown).toHaveProperty('deployment');
+      });
+
+      // Scores are sorted best first
+      for (let i = 1; i < models.length; i++) {
+        expect(models[i - 1].rankingScore).toBeGreaterThanOrEqual(models[i].rankingScore);
+      }
+    });
+
+    test('per-call weight overrides change the ranking', () => {
+      const sizeOnly = modelSelector.selectModels(
+        'natural_language_processing',
+        'text_classification',
+        4,
+        { sortMode: 'balanced', weights: { environmental: 1, accuracy: 0, deployment: 0 } }
+      );
+      expect(sizeOnly[0].id).toBe('tiny');
+
+      const accuracyOnly = modelSelector.selectModels(
+        'natural_language_processing',
+        'text_classification',
+        4,
+        { sortMode: 'balanced', weights: { environmental: 0, accuracy: 1, deployment: 0 } }
+      );
+      expect(accuracyOnly[0].id).toBe('large');
+    });
+
+    test('deployment target scores matching models higher', () => {
+      const models = modelSelector.selectModels(
+        'natural_language_processing',
+        'text_classification',
+        4,
+        { sortMode: 'balanced', weights: { environmental: 0, accuracy: 0, deployment: 1 }, deploymentTarget: 'browser' }
+      );
+
+      expect(models.slice(0, 2).map(m => m.id).sort()).toEqual(['small', 'tiny']);
+    });
+
+    test('treats missing accuracy as 0', () => {
+      const models = modelSelector.rankModels(
+        [
+          { id: 'a', sizeMB: 100, accuracy: null, deploymentOptions: [] },
+          { id: 'b', sizeMB: 100, accuracy: 0.8, deploymentOptions: [] }
+        ],
+        { sortMode: 'balanced' }
+      );
+
+      expect(models[0].id).toBe('b');
+    });
+
+    test('handles an empty list', () => {
+      expect(modelSelector.rankModels([], { sortMode: 'balanced' })).toEqual([]);
+    });
+
+    test('keeps tiers in order for models grouped by tier', () => {
+      const selector = new ModelSelector(modelsData);
+      const grouped = selector.getTaskModelsGroupedByTier('natural_language_processing', 'text_classification');
+      const tiers = ['lightweight', 'standard', 'advanced'];
+      const models = tiers.flatMap(tier => grouped[tier].models);
+
+      for (const sortMode of ['size', 'cost']) {
+        const ranked = selector.rankModels([...models].reverse(), { sortMode });
+        const positions = ranked.map(model => tiers.indexOf(model.tier));
+
+        expect(positions).toEqual([...positions].sort((a, b) => a - b));
+      }
+    });
+  });
+});
+
+const familyModelsData = {
+  models: {
+    speech_processing: {
+      speech_recognition: {
+        lightweight: [
+          { id: 'w-tiny', name: 'Whisper Tiny', huggingFaceId: 'openai/whisper-tiny', sizeMB: 150, frameworks: ['transformers'] },
+          { id: 'w-base', name: 'Whisper Base', huggingFaceId: 'openai/whisper-base', sizeMB: 290, frameworks: ['transformers'] },
+          { id: 'w-small', name: 'Whisper Small', huggingFaceId: 'openai/whisper-small', sizeMB: 970, frameworks: ['transformers'] },
+          { id: 'oa-other', name: 'OpenAI Other', huggingFaceId: 'openai/other-asr', sizeMB: 1000, frameworks: ['transformers'] },
+          { id: 'w2v', name: 'Wav2Vec2 Base', huggingFaceId: 'facebook/wav2vec2-base-960h', sizeMB: 1100, frameworks: ['transformers'] },
+          { id: 'vosk', name: 'Vosk Small', huggingFaceId: 'alphacep/vosk-model-small', sizeMB: 1200, frameworks: ['kaldi'] }
+        ]
+      }
+    }
+  }
+};
+
+describe('ModelSelector - Diversity', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(familyModelsData);
+  });
+
+  function select(options) {
+    return modelSelector.selectModels('speech_processing', 'speech_recognition', 3, options).map(m => m.id);
+  }
+
+  test('is off by default', () => {
+    expect(select()).toEqual(['w-tiny', 'w-base', 'w-small']);
+  });
+
+  test('spreads the top results across families and publishers', () => {
+    expect(select({ diversity: true })).toEqual(['w-tiny', 'w2v', 'vosk']);
+  });
+
+  test('penalties are configurable', () => {
+    // Only penalize same-family repeats: another OpenAI model is fine
+    expect(select({ diversity: { family: 10, organization: 0, framework: 0 } })).toEqual(['w-tiny', 'oa-other', 'w2v']);
+  });
+
+  test('zero penalties keep the original ranking', () => {
+    expect(select({ diversity: { family: 0, organization: 0, framework: 0 } })).toEqual(['w-tiny', 'w-base', 'w-small']);
+  });
+
+  test('a small penalty only reorders close neighbours', () => {
+    // One position per repeat: the second Whisper keeps its place, the third drops behind oa-other
+    expect(select({ diversity: { family: 1, organization: 0, framework: 0 } })).toEqual(['w-tiny', 'w-base', 'oa-other']);
+  });
+
+  test('framework repeats count when nothing else differs', () => {
+    const models = [
+      { id: 'a', frameworks: ['onnx'] },
+      { id: 'b', frameworks: ['onnx'] },
+      { id: 'c', frameworks: ['tflite'] }
+    ];
+    const diversified = modelSelector.diversify(models, 2, { framework: 2 });
+    expect(diversified.map(m => m.id)).toEqual(['a', 'c', 'b']);
+  });
+
+  test('diversify keeps every model, re-ordering only the top N', () => {
+    const ranked = modelSelector.getTaskModels('speech_processing', 'speech_recognition');
+    const diversified = modelSelector.diversify(ranked, 2);
+
+    expect(diversified).toHaveLength(ranked.length);
+    expect(diversified.slice(0, 2).map(m => m.id)).toEqual(['w-tiny', 'w2v']);
+    expect(diversified.slice(2).map(m => m.id)).toEqual(['w-base', 'w-small', 'oa-other', 'vosk']);
+  });
+
+  test('exposes default penalties', () => {
+    expect(DEFAULT_DIVERSITY_PENALTIES.family).toBeGreaterThan(DEFAULT_DIVERSITY_PENALTIES.organization);
+  });
+
+  test('avoids repeating a family in real recommendations', () => {
+    const selector = new ModelSelector(modelsData);
+    const plain = selector.selectModels('computer_vision', 'object_detection', 3);
+    const diverse = selector.selectModels('computer_vision', 'object_detection', 3, { diversity: true });
+    const orgs = models => new Set(models.map(m => m.huggingFaceId.split('/')[0])).size;
+
+    expect(orgs(diverse)).toBeGreaterThanOrEqual(orgs(plain));
+    expect(orgs(diverse)).toBe(3);
+    expect(diverse[0].id).toBe(plain[0].id);
+  });
+
+  test('re-orders the page pipeline\'s top picks after ranking', () => {
+    // Same order the page applies: rank, boost, then diversify the highlighted picks
+    const ranked = modelSelector.boostSpecialized(
+      modelSelector.rankModels(modelSelector.getTaskModels('speech_processing', 'speech_recognition')),
+      []
+    );
+    const picks = modelSelector.diversify(ranked, DIVERSE_PICKS).slice(0, DIVERSE_PICKS);
+
+    expect(picks.map(m => m.id)).toEqual(['w-tiny', 'w2v', 'vosk']);
+  });
+});
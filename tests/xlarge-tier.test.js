@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the opt-in xlarge tier
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ModelSelector } from '../src/lib/recommendation/ModelSelector.js';
+import modelsData from '../src/lib/data/models.json';
+
+describe('ModelSelector - xlarge tier', () => {
+  let modelSelector;
+
+  beforeEach(() => {
+    modelSelector = new ModelSelector(modelsData);
+  });
+
+  test('includes xlarge models by default', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier('natural_language_processing', 'text_generation');
+
+    expect(result.xlarge.models).toHaveLength(5);
+    expect(result.hiddenBy.xlarge).toBe(0);
+  });
+
+  test('hides xlarge models when not opted in', () => {
+    const included = modelSelector.getTaskModelsGroupedByTier('natural_language_processing', 'text_generation');
+    const result = modelSelector.getTaskModelsGroupedByTier('natural_language_processing', 'text_generation', 0, {
+      includeXlarge: false
+    });
+
+    expect(result.xlarge.models).toEqual([]);
+    expect(result.xlarge.hidden).toBe(5);
+    expect(result.hiddenBy.xlarge).toBe(5);
+    expect(result.totalHidden).toBe(included.totalHidden + 5);
+    expect(result.totalShown).toBe(included.totalShown - 5);
+    expect(result.advanced.models).toEqual(included.advanced.models);
+  });
+
+  test('only counts xlarge models that pass the other filters', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier('natural_language_processing', 'text_generation', 80, {
+      includeXlarge: false
+    });
+
+    // All xlarge text generation models report 75% accuracy
+    expect(result.hiddenBy.accuracy).toBeGreaterThanOrEqual(5);
+    expect(result.hiddenBy.xlarge).toBe(0);
+  });
+
+  test('reports zero xlarge hidden for tasks without xlarge models', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier('computer_vision', 'image_classification', 0, {
+      includeXlarge: false
+    });
+    expect(result.hiddenBy.xlarge).toBe(0);
+  });
+
+  test('empty results include the xlarge counter', () => {
+    const result = modelSelector.getTaskModelsGroupedByTier('nonexistent', 'category', 0, { includeXlarge: false });
+    expect(result.hiddenBy.xlarge).toBe(0);
+  });
+});
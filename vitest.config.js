@@ -12,6 +12,8 @@ export default defineConfig({
       '**/ensemble-validation.test.js'
     ],
     // Allow tests to run for up to 10 seconds
-    testTimeout: 10000
+    testTimeout: 10000,
+    // In-memory localStorage for tests that touch saved preferences
+    setupFiles: ['./tests/setup.js']
   }
 });